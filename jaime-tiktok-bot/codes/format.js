@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const { normalizeForMatching } = require('./normalize');
+
+// Verification code format, lifetime and bio matching
+// A code is `<PREFIX>-<BODY>`; the prefix identifies the server, the body is random (CSPRNG).
+// Pure functions of the code settings - the per-guild settings live in the guild config.
+//
+// Settings:
+//   prefix            - Fixed prefix, or null to use the server owner's name (the original behaviour)
+//   length            - Number of body characters
+//   alphabet          - 'digits' or 'crockford' (Crockford base32: no I, L, O or U, so nothing to misread)
+//   prefixTypos       - Edits (insert/delete/substitute/swap neighbours) tolerated in the prefix, e.g. JAIME -> JAMIE
+//   ignoreSeparators  - Ignore spaces and dashes in the bio and the code ("JAIME 12345", "JAIME12345")
+//   position          - 'anywhere' in the bio, or 'start' (nothing but whitespace before the code)
+//   ttlHours          - How long a code is accepted after it was issued
+
+const ALPHABETS = {
+  digits: '0123456789',
+  crockford: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+};
+
+const CODE_POSITIONS = ['anywhere', 'start'];
+
+// Any character a code body can contain, in either alphabet (bios are uppercased before matching)
+const CODE_CHAR = /[0-9A-Z]/;
+
+const DEFAULT_CODE_SETTINGS = {
+  prefix: null,
+  length: 5,
+  alphabet: 'digits',
+  prefixTypos: 1,
+  ignoreSeparators: false,
+  position: 'anywhere',
+  ttlHours: 48,
+};
+
+const CODE_LENGTH_LIMITS = { min: 4, max: 12 };
+const CODE_TTL_LIMITS = { min: 1, max: 720 };
+const MAX_PREFIX_TYPOS = 2;
+
+// Fill in defaults and drop anything invalid from stored settings
+function resolveCodeSettings(settings = {}) {
+  const resolved = { ...DEFAULT_CODE_SETTINGS };
+  if (typeof settings.prefix === 'string' && /^[A-Z0-9]{1,10}$/.test(settings.prefix)) resolved.prefix = settings.prefix;
+  if (Number.isInteger(settings.length) && settings.length >= CODE_LENGTH_LIMITS.min && settings.length <= CODE_LENGTH_LIMITS.max) resolved.length = settings.length;
+  if (ALPHABETS[settings.alphabet]) resolved.alphabet = settings.alphabet;
+  if (Number.isInteger(settings.prefixTypos) && settings.prefixTypos >= 0 && settings.prefixTypos <= MAX_PREFIX_TYPOS) resolved.prefixTypos = settings.prefixTypos;
+  if (typeof settings.ignoreSeparators === 'boolean') resolved.ignoreSeparators = settings.ignoreSeparators;
+  if (CODE_POSITIONS.includes(settings.position)) resolved.position = settings.position;
+  if (Number.isInteger(settings.ttlHours) && settings.ttlHours >= CODE_TTL_LIMITS.min && settings.ttlHours <= CODE_TTL_LIMITS.max) resolved.ttlHours = settings.ttlHours;
+  return resolved;
+}
+
+// Random code body from the settings' alphabet
+function generateCodeBody({ length, alphabet }) {
+  const chars = ALPHABETS[alphabet];
+  let body = '';
+  for (let i = 0; i < length; i++) {
+    body += chars[crypto.randomInt(chars.length)];
+  }
+  return body;
+}
+
+function formatCode(prefix, body) {
+  return `${prefix}-${body}`;
+}
+
+// Every code on a pending record with its issue time (ms)
+// Records hold { code, codeIssuedAt, previousCodes: [{ code, issuedAt }] }. Older records have no codeIssuedAt
+// and bare-string previous codes, so those fall back to the record's createdAt (0 if missing = long expired).
+function getCodeEntries(record) {
+  const fallback = record.createdAt || 0;
+  const entries = [];
+  if (record.code) entries.push({ code: record.code, issuedAt: record.codeIssuedAt || fallback });
+  for (const previous of record.previousCodes || []) {
+    if (typeof previous === 'string') entries.push({ code: previous, issuedAt: fallback });
+    else if (previous?.code) entries.push({ code: previous.code, issuedAt: previous.issuedAt || fallback });
+  }
+  return entries;
+}
+
+// Split a record's codes into the ones still accepted and the ones past their TTL
+function splitCodesByExpiry(record, { ttlHours }, now = Date.now()) {
+  const ttlMs = ttlHours * 60 * 60 * 1000;
+  const active = [];
+  const expired = [];
+  for (const entry of getCodeEntries(record)) {
+    (now - entry.issuedAt < ttlMs ? active : expired).push(entry.code);
+  }
+  return { active, expired };
+}
+
+// Edit distance where swapping two neighbouring letters counts as one edit (optimal string alignment)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Normalize (see normalize.js), uppercase, and drop spaces/dashes when the settings ignore separators
+function prepareText(text, settings) {
+  const upper = normalizeForMatching(text).toUpperCase();
+  return settings.ignoreSeparators ? upper.replace(/[\s-]+/g, '') : upper.trim();
+}
+
+// Does `code` appear in `bio` under the given settings?
+// The body must match exactly; the prefix may be off by up to `prefixTypos` edits.
+function bioContainsCode(bio, code, settings) {
+  const dash = code.indexOf('-');
+  if (dash === -1) return prepareText(bio, settings).includes(prepareText(code, settings));
+
+  const prefix = code.slice(0, dash).toUpperCase();
+  const body = prepareText(code.slice(dash + 1), settings);
+  const text = prepareText(bio, settings);
+  const separator = settings.ignoreSeparators ? '' : '-';
+
+  for (let i = text.indexOf(body); i !== -1; i = text.indexOf(body, i + 1)) {
+    // The body must end where the code ends - "JAIME-123456" is not "JAIME-12345"
+    if (CODE_CHAR.test(text.charAt(i + body.length))) continue;
+
+    let before = text.slice(0, i);
+    if (!before.endsWith(separator)) continue;
+    before = before.slice(0, before.length - separator.length);
+
+    // Try every prefix length the allowed typos could produce
+    for (let len = prefix.length - settings.prefixTypos; len <= prefix.length + settings.prefixTypos; len++) {
+      if (len < 1 || len > before.length) continue;
+      const start = before.length - len;
+      if (settings.position === 'start' && start !== 0) continue;
+      if (editDistance(before.slice(start), prefix) <= settings.prefixTypos) return true;
+    }
+  }
+  return false;
+}
+
+// Could one bio satisfy both codes? Used to keep a guild's active codes apart when issuing a new one.
+// Compares what the matcher compares: the bodies, and either code posted on its own being accepted as the other
+// (prefix typos, ignored separators). Position is ignored - video proofs match anywhere.
+function codesCollide(a, b, settings) {
+  const anywhere = { ...settings, position: 'anywhere' };
+  const bodyOf = (code) => prepareText(code.slice(code.indexOf('-') + 1), anywhere);
+  return bodyOf(a) === bodyOf(b) || bioContainsCode(a, b, anywhere) || bioContainsCode(b, a, anywhere);
+}
+
+// First of `codes` found in the bio, or null
+function findCodeInBio(bio, codes, settings) {
+  if (!bio) return null;
+  return codes.find(code => code && bioContainsCode(bio, code, settings)) || null;
+}
+
+module.exports = {
+  ALPHABETS,
+  CODE_POSITIONS,
+  CODE_LENGTH_LIMITS,
+  CODE_TTL_LIMITS,
+  MAX_PREFIX_TYPOS,
+  DEFAULT_CODE_SETTINGS,
+  resolveCodeSettings,
+  generateCodeBody,
+  formatCode,
+  getCodeEntries,
+  splitCodesByExpiry,
+  findCodeInBio,
+  codesCollide,
+};
@@ -0,0 +1,40 @@
+// Text normalization for code matching
+// Phone keyboards and copy-paste turn "JAIME-12345" into things that look identical but aren't:
+// full-width digits, zero-width spaces, non-breaking hyphens, Cyrillic "А" for Latin "A"...
+// Everything that's compared against a code goes through normalizeForMatching() first.
+
+// Zero-width and formatting characters that render as nothing
+// (zero-width space/joiners, word joiner, BOM, soft hyphen, bidi marks and isolates, Mongolian vowel separator)
+const INVISIBLE_CHARS = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+// Hyphen and dash lookalikes left over after NFKC (which already folds full-width and small hyphen-minus)
+// hyphen, non-breaking hyphen, figure dash, en/em dash, horizontal bar, minus sign, hyphen bullet, Mongolian todo hyphen
+const DASH_VARIANTS = /[\u2010-\u2015\u2212\u2043\u1806\u2E3A\u2E3B\uFE58]/g;
+
+// Cyrillic and Greek letters that look like Latin letters (both cases - matching is case-insensitive anyway)
+const CONFUSABLES = {
+  // Cyrillic
+  '\u0410': 'A', '\u0412': 'B', '\u0415': 'E', '\u041A': 'K', '\u041C': 'M', '\u041D': 'H', '\u041E': 'O', '\u0420': 'P', '\u0421': 'C', '\u0422': 'T',
+  '\u0425': 'X', '\u0423': 'Y', '\u0406': 'I', '\u0408': 'J', '\u0405': 'S', '\u0500': 'D', '\u051A': 'Q', '\u051C': 'W', '\u04AE': 'Y', '\u04C0': 'I',
+  '\u0430': 'a', '\u0432': 'b', '\u0435': 'e', '\u043A': 'k', '\u043C': 'm', '\u043D': 'h', '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0442': 't',
+  '\u0445': 'x', '\u0443': 'y', '\u0456': 'i', '\u0458': 'j', '\u0455': 's', '\u0501': 'd', '\u051B': 'q', '\u051D': 'w', '\u04AF': 'y', '\u04CF': 'i',
+  // Greek
+  '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I', '\u039A': 'K', '\u039C': 'M', '\u039D': 'N', '\u039F': 'O',
+  '\u03A1': 'P', '\u03A4': 'T', '\u03A5': 'Y', '\u03A7': 'X',
+  '\u03BF': 'o', '\u03B9': 'i', '\u03BA': 'k', '\u03BD': 'v', '\u03C1': 'p', '\u03C4': 't', '\u03C5': 'u', '\u03C7': 'x',
+};
+const CONFUSABLE_CHARS = new RegExp(`[${Object.keys(CONFUSABLES).join('')}]`, 'g');
+
+// Fold text into the plain ASCII form codes are compared in
+// Line breaks and other whitespace are kept (as single spaces) so "anywhere" vs "start" still means something
+function normalizeForMatching(text) {
+  if (!text) return '';
+  return text
+    .normalize('NFKC')                  // Full-width/math letters and digits, ligatures, NBSP -> plain forms
+    .replace(INVISIBLE_CHARS, '')
+    .replace(DASH_VARIANTS, '-')
+    .replace(CONFUSABLE_CHARS, ch => CONFUSABLES[ch])
+    .replace(/\s+/g, ' ');
+}
+
+module.exports = { normalizeForMatching };
@@ -1,9 +1,5 @@
 require('dotenv').config();
-const fs = require('fs');
-const fsPromises = require('fs').promises;
-const path = require('path');
-const Redis = require('ioredis');
-const { HttpsProxyAgent } = require('https-proxy-agent');
+const crypto = require('crypto');
 const {
   Client,
   GatewayIntentBits,
@@ -21,7 +17,37 @@ const {
   REST,
   Routes,
   AttachmentBuilder,
+  ChannelType,
 } = require('discord.js');
+const { createStorage, pendingKey, parsePendingKey } = require('./storage');
+const { createFetchPool } = require('./tiktok/fetch-pool');
+const { createTikTokProviders } = require('./tiktok/providers');
+const { parseTikTokProfile, getTikTokAccountCreatedAt } = require('./tiktok/profile-parser');
+const { parseTikTokVideoUrl, parseTikTokVideo, parseTikTokComments, commentsReachBefore } = require('./tiktok/video-parser');
+const { LOGIN_LINK_TTL_MS, isTikTokLoginConfigured, getTikTokLoginConfig, buildLoginLink } = require('./tiktok/login-kit');
+const { findImportableVerifications: findImportableVerificationsIn } = require('./trust/import');
+const { MAX_FOLLOWING_PAGES, FOLLOWING_PAGE_SIZE, isTikTokResearchConfigured, createFollowingChecker } = require('./tiktok/research-api');
+const {
+  getLinkedRolesConfig,
+  isLinkedRolesConfigured,
+  syncRoleConnection,
+  refreshExpiringTokens,
+  resyncStaleRoleConnections,
+} = require('./linked-roles/role-connection');
+const {
+  ALPHABETS,
+  CODE_LENGTH_LIMITS,
+  CODE_TTL_LIMITS,
+  MAX_PREFIX_TYPOS,
+  resolveCodeSettings,
+  generateCodeBody,
+  formatCode,
+  getCodeEntries,
+  splitCodesByExpiry,
+  findCodeInBio,
+  codesCollide,
+} = require('./codes/format');
+const { normalizeForMatching } = require('./codes/normalize');
 
 const client = new Client({
   intents: [
@@ -31,13 +57,9 @@ const client = new Client({
   partials: [Partials.Channel],
 });
 
-// VERIFIED_ROLE_ID is now stored per-guild in guild-config.json
+// VERIFIED_ROLE_ID is now stored per-guild in the guild config
 const SKU_ID = process.env.SKU_ID; // Your subscription SKU ID (set in Railway, not in code)
 const BOT_OWNER_ID = process.env.BOT_OWNER_ID; // Bot owner's Discord user ID (set in Railway, not in code)
-const VERIFIED_USERS_FILE = path.join(__dirname, 'verified-users.json');
-const PENDING_VERIFICATIONS_FILE = path.join(__dirname, 'pending-verifications.json');
-const GUILD_CONFIG_FILE = path.join(__dirname, 'guild-config.json');
-const VERIFICATION_LOG_FILE = path.join(__dirname, 'verification-log.json');
 
 // In-memory cache for guild configurations: { guildId: { verifiedRoleId: string } }
 const guildConfigs = new Map();
@@ -56,27 +78,13 @@ for (const entry of PREMIUM_GUILDS_RAW) {
   }
 }
 
-// Redis connection (optional - falls back to file storage if not configured)
-let redis = null;
-const REDIS_PREFIX = 'tiktok_verify:';
-
-if (process.env.REDIS_URL) {
-  redis = new Redis(process.env.REDIS_URL, {
-    maxRetriesPerRequest: 3,
-    retryDelayOnFailover: 100,
-    lazyConnect: true,
-  });
-  
-  redis.on('connect', () => {
-    console.log('[Redis] Connected successfully');
-  });
-  
-  redis.on('error', (err) => {
-    console.error('[Redis] Connection error:', err.message);
-  });
-}
+// Storage backend (STORAGE_BACKEND=redis|file|sqlite|memory)
+// Defaults to Redis when REDIS_URL is set, otherwise JSON files in DATA_DIR (default data/)
+const storage = createStorage();
+console.log(`[Storage] Using ${storage.name} backend`);
 
-// In-memory store of pending verifications: { discordId: { username, code, previousCodes, guildId } }
+// In-memory store of pending verifications: { 'guildId:discordId': { discordId, username, code, previousCodes, guildId } }
+// Keyed per guild + user so a member verifying in two servers at once keeps one record per server
 const pendingVerifications = new Map();
 
 // Verification log entry structure:
@@ -86,28 +94,10 @@ const pendingVerifications = new Map();
 //   initiatedAt, verifiedAt (optional)
 // }
 
-// Save a verification log entry to Redis or file
+// Save a verification log entry
 async function saveVerificationLog(guildId, discordId, entry) {
   try {
-    if (redis) {
-      // Use Redis
-      const key = `${REDIS_PREFIX}log:${guildId}`;
-      const existing = await redis.get(key);
-      const logs = existing ? JSON.parse(existing) : {};
-      logs[discordId] = entry;
-      await redis.set(key, JSON.stringify(logs));
-    } else {
-      // Use file fallback
-      let allLogs = {};
-      try {
-        const data = await fsPromises.readFile(VERIFICATION_LOG_FILE, 'utf8');
-        allLogs = JSON.parse(data);
-      } catch (e) { /* File doesn't exist yet */ }
-      
-      if (!allLogs[guildId]) allLogs[guildId] = {};
-      allLogs[guildId][discordId] = entry;
-      await fsPromises.writeFile(VERIFICATION_LOG_FILE, JSON.stringify(allLogs, null, 2));
-    }
+    await storage.saveVerificationLog(guildId, discordId, entry);
     console.log(`[VERIFY LOG] Saved ${entry.status} for ${entry.discordName} (@${entry.tiktokUsername}) in guild ${guildId}`);
     return true;
   } catch (err) {
@@ -119,20 +109,7 @@ async function saveVerificationLog(guildId, discordId, entry) {
 // Get all verification logs for a guild
 async function getVerificationLogs(guildId) {
   try {
-    if (redis) {
-      const key = `${REDIS_PREFIX}log:${guildId}`;
-      const data = await redis.get(key);
-      return data ? JSON.parse(data) : {};
-    } else {
-      // Use file fallback
-      try {
-        const data = await fsPromises.readFile(VERIFICATION_LOG_FILE, 'utf8');
-        const allLogs = JSON.parse(data);
-        return allLogs[guildId] || {};
-      } catch (e) {
-        return {}; // File doesn't exist yet
-      }
-    }
+    return await storage.getVerificationLogs(guildId);
   } catch (err) {
     console.error('[VERIFY LOG] Get error:', err.message);
     return {};
@@ -141,41 +118,18 @@ async function getVerificationLogs(guildId) {
 
 // Update verification status (pending -> verified/stale)
 // If entry doesn't exist, creates it with available data
+// The merge is atomic per user, so the button flow and background job can't lose each other's update
 async function updateVerificationStatus(guildId, discordId, status, verifiedAt = null, extraData = {}) {
   try {
-    const logs = await getVerificationLogs(guildId);
-    if (logs[discordId]) {
-      // Update existing entry
-      logs[discordId].status = status;
-      if (verifiedAt) logs[discordId].verifiedAt = verifiedAt;
-      // Merge any extra data (like discordName, tiktokUsername for backfill)
-      Object.assign(logs[discordId], extraData);
-    } else if (Object.keys(extraData).length > 0) {
-      // Create new entry if we have data to populate it
-      logs[discordId] = {
-        discordId,
-        status,
-        verifiedAt,
-        ...extraData
-      };
-    } else {
+    // Merge any extra data (like discordName, tiktokUsername for backfill)
+    const fields = { discordId, status, ...(verifiedAt ? { verifiedAt } : {}), ...extraData };
+    const createIfMissing = Object.keys(extraData).length > 0;
+    const entry = await storage.mergeVerificationLog(guildId, discordId, fields, { createIfMissing });
+    if (!entry) {
       console.log(`[VERIFY LOG] No entry found for ${discordId} and no extra data provided`);
       return false;
     }
     
-    // Save the updated logs
-    if (redis) {
-      await redis.set(`${REDIS_PREFIX}log:${guildId}`, JSON.stringify(logs));
-    } else {
-      let allLogs = {};
-      try {
-        const data = await fsPromises.readFile(VERIFICATION_LOG_FILE, 'utf8');
-        allLogs = JSON.parse(data);
-      } catch (e) { /* File doesn't exist yet */ }
-      allLogs[guildId] = logs;
-      await fsPromises.writeFile(VERIFICATION_LOG_FILE, JSON.stringify(allLogs, null, 2));
-    }
-    
     console.log(`[VERIFY LOG] Updated/Created ${discordId} to ${status}`);
     return true;
   } catch (err) {
@@ -184,65 +138,82 @@ async function updateVerificationStatus(guildId, discordId, status, verifiedAt =
   }
 }
 
-// Load guild configurations from file (async)
-async function loadGuildConfigs() {
-  // Try Redis first if available
-  if (redis) {
-    try {
-      const keys = await redis.keys(`${REDIS_PREFIX}config:*`);
-      if (keys.length > 0) {
-        for (const key of keys) {
-          const guildId = key.replace(`${REDIS_PREFIX}config:`, '');
-          const data = await redis.get(key);
-          if (data) {
-            guildConfigs.set(guildId, JSON.parse(data));
-          }
-        }
-        console.log(`[Config] Loaded configurations for ${guildConfigs.size} guilds from Redis`);
-        return;
-      }
-    } catch (err) {
-      console.error('[Redis] Error loading guild configs:', err.message);
-    }
+// Verification event history - append-only, one stream per guild
+// The per-user log above only keeps the latest status; events keep every attempt and admin action
+// Event: { type, discordId, discordName, tiktokUsername, code, actor, timestamp, details }
+const VERIFICATION_EVENT_TYPES = {
+  code_issued: { emoji: '🔐', label: 'Code issued' },
+  check_attempted: { emoji: '🔍', label: 'Check attempted' },
+  bio_mismatch: { emoji: '❌', label: 'Bio mismatch' },
+  verified: { emoji: '✅', label: 'Verified' },
+  manual_verify: { emoji: '🔧', label: 'Manual verify' },
+  unverify: { emoji: '🚫', label: 'Unverified' },
+  role_removed: { emoji: '🏷️', label: 'Role removed' },
+  cleanup_removed: { emoji: '🧹', label: 'Cleanup removed' },
+  expired: { emoji: '⌛', label: 'Expired' },
+  account_private: { emoji: '🔒', label: 'Account private' },
+  handle_changed: { emoji: '🔄', label: 'Handle changed' },
+  duplicate_blocked: { emoji: '⛔', label: 'Duplicate blocked' },
+  duplicate_flagged: { emoji: '🚩', label: 'Duplicate flagged' },
+  duplicate_resolved: { emoji: '🤝', label: 'Duplicate resolved' },
+  imported: { emoji: '📥', label: 'Imported' },
+  revalidation_failed: { emoji: '🪦', label: 'Re-validation failed' },
+  requirements_failed: { emoji: '📉', label: 'Requirements not met' },
+};
+
+// Append a verification event. actor is the Discord tag that caused it, or 'system' for the bot itself
+async function recordVerificationEvent(guildId, type, { discordId = null, discordName = null, tiktokUsername = null, code = null, actor = 'system', details = null } = {}) {
+  const event = {
+    type,
+    discordId,
+    discordName,
+    tiktokUsername,
+    code,
+    actor,
+    timestamp: new Date().toISOString(),
+    details,
+  };
+  try {
+    await storage.appendVerificationEvent(guildId, event);
+    console.log(`[VERIFY EVENT] ${type} for ${discordName || discordId} in guild ${guildId} (by ${actor})`);
+    return true;
+  } catch (err) {
+    console.error('[VERIFY EVENT] Append error:', err.message);
+    return false;
   }
-  
-  // Fallback to file
+}
+
+// Get a page of verification events for a guild (newest first)
+async function getVerificationEvents(guildId, options = {}) {
   try {
-    if (fs.existsSync(GUILD_CONFIG_FILE)) {
-      const data = await fsPromises.readFile(GUILD_CONFIG_FILE, 'utf8');
-      const configs = JSON.parse(data);
-      for (const [guildId, config] of Object.entries(configs)) {
-        guildConfigs.set(guildId, config);
-      }
-      console.log(`[Config] Loaded configurations for ${guildConfigs.size} guilds from file`);
-    }
+    return await storage.getVerificationEvents(guildId, options);
   } catch (err) {
-    console.error('[Config] Error loading guild configs:', err);
+    console.error('[VERIFY EVENT] Get error:', err.message);
+    return { total: 0, events: [] };
   }
 }
 
-// Save guild configurations to file (async)
-async function saveGuildConfigs() {
-  // Save to Redis if available
-  if (redis) {
-    try {
-      for (const [guildId, config] of guildConfigs.entries()) {
-        await redis.set(`${REDIS_PREFIX}config:${guildId}`, JSON.stringify(config));
-        console.log(`[Config] Saved config for guild ${guildId} to Redis:`, JSON.stringify(config));
-      }
-    } catch (err) {
-      console.error('[Redis] Error saving guild configs:', err.message);
+// Load guild configurations from storage (async)
+async function loadGuildConfigs() {
+  try {
+    const configs = await storage.getGuildConfigs();
+    for (const [guildId, config] of Object.entries(configs)) {
+      guildConfigs.set(guildId, config);
     }
-  } else {
-    console.log('[Config] Redis not available, saving to file only');
+    console.log(`[Config] Loaded configurations for ${guildConfigs.size} guilds from ${storage.name} storage`);
+  } catch (err) {
+    console.error('[Config] Error loading guild configs:', err.message);
   }
-  
-  // Also save to file as backup
+}
+
+// Save one guild's configuration to storage (async)
+async function saveGuildConfig(guildId) {
+  const config = guildConfigs.get(guildId) || {};
   try {
-    const configs = Object.fromEntries(guildConfigs);
-    await fsPromises.writeFile(GUILD_CONFIG_FILE, JSON.stringify(configs, null, 2));
+    await storage.saveGuildConfig(guildId, config);
+    console.log(`[Config] Saved config for guild ${guildId}:`, JSON.stringify(config));
   } catch (err) {
-    console.error('[Config] Error saving guild configs:', err);
+    console.error('[Config] Error saving guild config:', err.message);
   }
 }
 
@@ -258,11 +229,346 @@ async function setVerifiedRoleId(guildId, roleId) {
   const config = guildConfigs.get(guildId) || {};
   config.verifiedRoleId = roleId;
   guildConfigs.set(guildId, config);
-  await saveGuildConfigs();
+  await saveGuildConfig(guildId);
   console.log(`[Config] Verified role saved. guildConfigs now has ${guildConfigs.size} entries`);
 }
 
+// Get mod-log channel ID for a guild (where the bot reports things mods should know about)
+function getModLogChannelId(guildId) {
+  const config = guildConfigs.get(guildId);
+  return config?.modLogChannelId || null;
+}
+
+// Set mod-log channel ID for a guild
+async function setModLogChannelId(guildId, channelId) {
+  const config = guildConfigs.get(guildId) || {};
+  config.modLogChannelId = channelId;
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Post a message to a guild's mod-log channel; quietly does nothing if none is set
+async function postModLog(guildId, message) {
+  const channelId = getModLogChannelId(guildId);
+  if (!channelId) return false;
+  try {
+    const guild = client.guilds.cache.get(guildId);
+    const channel = guild ? await guild.channels.fetch(channelId).catch(() => null) : null;
+    if (!channel?.isTextBased()) {
+      console.log(`[Mod Log] Channel ${channelId} not found in guild ${guildId}`);
+      return false;
+    }
+    await channel.send(message);
+    return true;
+  } catch (err) {
+    console.error(`[Mod Log] Error posting to ${channelId}:`, err.message);
+    return false;
+  }
+}
+
+// Get the guilds whose verifications this guild accepts (cross-server import)
+function getTrustedGuildIds(guildId) {
+  const config = guildConfigs.get(guildId);
+  return Array.isArray(config?.trustedGuildIds) ? config.trustedGuildIds : [];
+}
+
+// Set the guilds whose verifications this guild accepts
+async function setTrustedGuildIds(guildId, trustedGuildIds) {
+  const config = guildConfigs.get(guildId) || {};
+  config.trustedGuildIds = trustedGuildIds;
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Verifications this member proved themselves in guilds that this guild trusts (see trust/import.js)
+async function findImportableVerifications(guildId, discordId) {
+  return findImportableVerificationsIn(storage, guildId, discordId, getTrustedGuildIds(guildId));
+}
+
+// Display name for a guild the bot may or may not still be in
+function getGuildLabel(guildId) {
+  return client.guilds.cache.get(guildId)?.name || `server ${guildId}`;
+}
+
+// What happens when a TikTok account already verified by one member is claimed by another:
+//   allow - verify anyway, block - refuse, flag - verify but list in /conflicts and the mod-log for review
+const DUPLICATE_POLICIES = ['allow', 'block', 'flag'];
+const DEFAULT_DUPLICATE_POLICY = 'flag';
+
+// Get duplicate TikTok policy for a guild
+function getDuplicatePolicy(guildId) {
+  const config = guildConfigs.get(guildId);
+  return DUPLICATE_POLICIES.includes(config?.duplicatePolicy) ? config.duplicatePolicy : DEFAULT_DUPLICATE_POLICY;
+}
+
+// Set duplicate TikTok policy for a guild
+async function setDuplicatePolicy(guildId, policy) {
+  const config = guildConfigs.get(guildId) || {};
+  config.duplicatePolicy = policy;
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Other members in this guild already verified with the same TikTok (same handle, or same user ID after a rename)
+async function findTikTokConflicts(guildId, discordId, tiktokUsername, tiktokUserId = null) {
+  try {
+    const candidates = tiktokUserId
+      ? await getVerifiedUsers(guildId)
+      : await storage.findVerifiedByTikTok(guildId, tiktokUsername);
+    const handle = tiktokUsername.toLowerCase();
+    return candidates.filter(u => u.discordId !== discordId && (
+      u.tiktokUsername?.toLowerCase() === handle || (tiktokUserId && u.tiktokUserId === tiktokUserId)
+    ));
+  } catch (err) {
+    console.error('[Duplicates] Lookup error:', err.message);
+    return [];
+  }
+}
+
+// Apply the guild's duplicate policy before granting verification
+// Returns { allowed, flagged, conflicts, extra } - extra goes into the verified record when flagged
+async function checkDuplicatePolicy(guildId, discordId, tiktokUsername, profile = null) {
+  const policy = getDuplicatePolicy(guildId);
+  if (policy === 'allow') return { allowed: true, flagged: false, conflicts: [], extra: {} };
+
+  const conflicts = await findTikTokConflicts(guildId, discordId, tiktokUsername, profile?.userId || null);
+  if (conflicts.length === 0) return { allowed: true, flagged: false, conflicts, extra: {} };
+
+  const conflictIds = conflicts.map(u => u.discordId);
+  console.log(`[Duplicates] @${tiktokUsername} claimed by ${discordId} is already verified for ${conflictIds.join(', ')} in ${guildId} (policy: ${policy})`);
+  if (policy === 'block') return { allowed: false, flagged: false, conflicts, extra: {} };
+  return {
+    allowed: true,
+    flagged: true,
+    conflicts,
+    extra: { duplicateFlagged: true, duplicateOf: conflictIds, duplicateReviewedBy: null },
+  };
+}
+
+// Log the outcome of a duplicate check (event + mod-log). Call after checkDuplicatePolicy found conflicts
+async function reportDuplicate(guildId, duplicateCheck, { discordId, discordName, tiktokUsername, actor = 'system', source }) {
+  const others = duplicateCheck.conflicts.map(u => `<@${u.discordId}>`).join(', ');
+  const type = duplicateCheck.allowed ? 'duplicate_flagged' : 'duplicate_blocked';
+  await recordVerificationEvent(guildId, type, {
+    discordId,
+    discordName,
+    tiktokUsername,
+    actor,
+    details: `${source}: already linked to ${duplicateCheck.conflicts.map(u => u.discordTag || u.discordId).join(', ')}`,
+  });
+  await postModLog(guildId, duplicateCheck.allowed
+    ? `🚩 **Duplicate TikTok flagged for review**\n<@${discordId}> verified as **@${tiktokUsername}**, which is already linked to ${others}. Use \`/conflicts list\` to review.`
+    : `⛔ **Duplicate TikTok blocked**\n<@${discordId}> tried to verify as **@${tiktokUsername}**, which is already linked to ${others}.`);
+}
+
+// Message shown (or DMed) to a member whose TikTok is already linked to someone else
+function getDuplicateBlockedMessage(tiktokUsername, guildName) {
+  return `⛔ **This TikTok account is already linked to another member**\n\n**@${tiktokUsername}** is already verified by someone else in **${guildName}**, and this server only allows one Discord account per TikTok.\n\nIf this is your account (for example you switched Discord accounts), please ask a moderator to review it with \`/conflicts\`.`;
+}
+
+// How long the background job keeps checking a pending verification before giving up
+const DEFAULT_PENDING_MAX_AGE_DAYS = 7;
+
+// Get pending verification max age (days) for a guild
+function getPendingMaxAgeDays(guildId) {
+  const config = guildConfigs.get(guildId);
+  return config?.pendingMaxAgeDays || DEFAULT_PENDING_MAX_AGE_DAYS;
+}
+
+// Set pending verification max age (days) for a guild
+async function setPendingMaxAgeDays(guildId, days) {
+  const config = guildConfigs.get(guildId) || {};
+  config.pendingMaxAgeDays = days;
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Re-validation: optionally re-check that verified TikTok accounts still exist
+// Action taken when one doesn't: flag it for mods, take the Verified role away, or DM the member to re-verify
+const REVALIDATION_ACTIONS = {
+  flag: 'Flag for mods',
+  remove_role: 'Remove Verified role',
+  dm: 'DM member to re-verify',
+};
+const DEFAULT_REVALIDATION_INTERVAL_DAYS = 7;
+
+// Get re-validation settings for a guild (disabled unless an admin turns it on)
+function getRevalidationSettings(guildId) {
+  const config = guildConfigs.get(guildId);
+  return {
+    enabled: config?.revalidation?.enabled === true,
+    action: REVALIDATION_ACTIONS[config?.revalidation?.action] ? config.revalidation.action : 'flag',
+    intervalDays: config?.revalidation?.intervalDays || DEFAULT_REVALIDATION_INTERVAL_DAYS,
+    lastRunAt: config?.revalidation?.lastRunAt || null,
+  };
+}
+
+// Update re-validation settings for a guild (merged into the existing ones)
+async function setRevalidationSettings(guildId, settings) {
+  const config = guildConfigs.get(guildId) || {};
+  config.revalidation = { ...(config.revalidation || {}), ...settings };
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Account requirements - keep brand-new throwaway TikToks out
+// Each is a minimum; 0 / missing means no requirement
+const VERIFICATION_REQUIREMENTS = {
+  minFollowers: 'Followers',
+  minVideos: 'Videos',
+  minAccountAgeDays: 'Account age (days)',
+};
+
+// Optionally, members must follow a creator account (followsCreator: username or null)
+// Needs the TikTok Research API (TIKTOK_RESEARCH_CLIENT_KEY / TIKTOK_RESEARCH_CLIENT_SECRET)
+const followingChecker = isTikTokResearchConfigured() ? createFollowingChecker() : null;
+
+// Get a guild's account requirements
+function getVerificationRequirements(guildId) {
+  const config = guildConfigs.get(guildId);
+  const requirements = {};
+  for (const key of Object.keys(VERIFICATION_REQUIREMENTS)) {
+    requirements[key] = config?.requirements?.[key] || 0;
+  }
+  requirements.followsCreator = config?.requirements?.followsCreator || null;
+  return requirements;
+}
+
+// Update a guild's account requirements (merged into the existing ones)
+async function setVerificationRequirements(guildId, requirements) {
+  const config = guildConfigs.get(guildId) || {};
+  config.requirements = { ...getVerificationRequirements(guildId), ...requirements };
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Check a profile against the guild's requirements
+// Returns { passed, reasons } - a requirement we can't read from the profile counts as not met
+async function checkVerificationRequirements(guildId, profile, tiktokUsername) {
+  const requirements = getVerificationRequirements(guildId);
+  const reasons = [];
+
+  if (requirements.minFollowers > 0) {
+    if (profile?.followerCount == null) reasons.push(`couldn't read your follower count (need at least ${requirements.minFollowers})`);
+    else if (profile.followerCount < requirements.minFollowers) reasons.push(`${profile.followerCount} followers - need at least ${requirements.minFollowers}`);
+  }
+  if (requirements.minVideos > 0) {
+    if (profile?.videoCount == null) reasons.push(`couldn't read your video count (need at least ${requirements.minVideos})`);
+    else if (profile.videoCount < requirements.minVideos) reasons.push(`${profile.videoCount} videos - need at least ${requirements.minVideos}`);
+  }
+  if (requirements.minAccountAgeDays > 0) {
+    const createdAt = getTikTokAccountCreatedAt(profile);
+    if (!createdAt) {
+      reasons.push(`couldn't read your account's age (must be at least ${requirements.minAccountAgeDays} days old)`);
+    } else {
+      const ageDays = Math.floor((Date.now() - createdAt) / (24 * 60 * 60 * 1000));
+      if (ageDays < requirements.minAccountAgeDays) reasons.push(`account is ${ageDays} day(s) old - must be at least ${requirements.minAccountAgeDays}`);
+    }
+  }
+  // Checked last - it's the only requirement that costs a request (and Research API quota)
+  if (requirements.followsCreator && reasons.length === 0) {
+    const creator = requirements.followsCreator;
+    if (!followingChecker) {
+      console.error(`[Requirements] ${guildId} requires following @${creator}, but the TikTok Research API isn't configured`);
+      reasons.push(`couldn't check whether you follow **@${creator}** - please ask an admin`);
+    } else {
+      try {
+        const result = await followingChecker.follows(tiktokUsername, creator);
+        if (!result.follows && result.complete) reasons.push(`you don't follow **@${creator}**`);
+        else if (!result.follows) reasons.push(`couldn't find **@${creator}** in the first ${MAX_FOLLOWING_PAGES * FOLLOWING_PAGE_SIZE} accounts you follow`);
+      } catch (error) {
+        console.error(`[Requirements] Could not read who @${tiktokUsername} follows:`, error.message);
+        reasons.push(`couldn't check whether you follow **@${creator}** (make sure your following list is public)`);
+      }
+    }
+  }
+
+  return { passed: reasons.length === 0, reasons };
+}
+
+// Message for a member whose code matched but whose account doesn't meet the requirements
+function getRequirementsFailedMessage(tiktokUsername, guildName, reasons) {
+  return `📉 **Your TikTok doesn't meet this server's requirements yet**\n\nI found your code in the bio of **@${tiktokUsername}**, but **${guildName}** requires:\n${reasons.map(r => `• ${r}`).join('\n')}\n\nOnce your account meets the requirements, click **"Verify TikTok"** in the server to try again.`;
+}
+
+// Log a requirements rejection and drop the pending verification (the member starts over once they qualify)
+async function rejectForRequirements(guildId, discordId, requirementsCheck, { discordName = null, tiktokUsername = null, code = null, actor = 'system', source }) {
+  await removePendingVerification(guildId, discordId);
+  await updateVerificationStatus(guildId, discordId, 'requirements_failed');
+  await recordVerificationEvent(guildId, 'requirements_failed', {
+    discordId,
+    discordName,
+    tiktokUsername,
+    code,
+    actor,
+    details: `${source}: ${requirementsCheck.reasons.join('; ')}`,
+  });
+  console.log(`[Requirements] ${discordId} (@${tiktokUsername}) in ${guildId} rejected: ${requirementsCheck.reasons.join('; ')}`);
+}
+
+// Tier roles - extra roles by TikTok follower count, on top of the Verified role
+// Stored as [{ minFollowers, roleId }]; a member gets only the highest tier they qualify for
+function getTierRoles(guildId) {
+  const config = guildConfigs.get(guildId);
+  const tiers = Array.isArray(config?.tierRoles) ? config.tierRoles : [];
+  return [...tiers].sort((a, b) => b.minFollowers - a.minFollowers);
+}
+
+async function setTierRoles(guildId, tierRoles) {
+  const config = guildConfigs.get(guildId) || {};
+  config.tierRoles = tierRoles;
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Highest tier for a follower count, or null (also null when the count is unknown)
+function getTierForFollowers(guildId, followerCount) {
+  if (followerCount == null) return null;
+  return getTierRoles(guildId).find(t => followerCount >= t.minFollowers) || null;
+}
+
+// 1500 -> "1.5K", 2000000 -> "2M"
+function formatFollowerCount(count) {
+  if (count >= 1000000) return `${+(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${+(count / 1000).toFixed(1)}K`;
+  return String(count);
+}
+
+// Give a member the tier role matching their follower count and take away any other tier roles
+// Returns the tier they ended up in (or null)
+async function syncTierRoles(guild, member, followerCount) {
+  const tiers = getTierRoles(guild.id);
+  if (tiers.length === 0 || !member) return null;
+
+  // Unknown follower count (e.g. manual verify) - leave roles alone until the refresh job reads it
+  if (followerCount == null) return null;
+
+  const tier = getTierForFollowers(guild.id, followerCount);
+
+  for (const t of tiers) {
+    const shouldHave = tier?.roleId === t.roleId;
+    const has = member.roles.cache.has(t.roleId);
+    try {
+      if (shouldHave && !has) await member.roles.add(t.roleId);
+      if (!shouldHave && has) await member.roles.remove(t.roleId);
+    } catch (err) {
+      console.error(`[Tier Roles] Could not update role ${t.roleId} for ${member.id} in ${guild.id}:`, err.message);
+    }
+  }
+  return tier;
+}
+
+// Take every tier role away (member was unverified)
+async function removeTierRoles(guild, member) {
+  for (const t of getTierRoles(guild.id)) {
+    if (member.roles.cache.has(t.roleId)) {
+      await member.roles.remove(t.roleId).catch(err => console.error(`[Tier Roles] Could not remove role ${t.roleId} from ${member.id}:`, err.message));
+    }
+  }
+}
+
 // Track users currently in active verification polling (to prevent multiple loops)
+// Entries are pendingKey(guildId, discordId) so a check in one server doesn't block another
 const activeVerifications = new Set();
 
 // Cache for server prefixes: { guildId: prefix }
@@ -292,18 +598,16 @@ async function checkGuildEntitlement(guildId) {
     return cached.hasAccess;
   }
   
-  // Check Redis for manually granted premium
-  if (redis) {
-    try {
-      const manualGrant = await redis.get(`${REDIS_PREFIX}premium:${guildId}`);
-      if (manualGrant) {
-        console.log(`[Entitlement] Guild ${guildId} has Redis-based premium access`);
-        entitlementCache.set(guildId, { hasAccess: true, checkedAt: Date.now() });
-        return true;
-      }
-    } catch (err) {
-      console.error('[Entitlement] Redis check error:', err.message);
+  // Check storage for manually granted premium
+  try {
+    const manualGrant = await storage.getPremiumGrant(guildId);
+    if (manualGrant) {
+      console.log(`[Entitlement] Guild ${guildId} has manually granted premium access`);
+      entitlementCache.set(guildId, { hasAccess: true, checkedAt: Date.now() });
+      return true;
     }
+  } catch (err) {
+    console.error('[Entitlement] Storage check error:', err.message);
   }
   
   try {
@@ -349,251 +653,158 @@ function getSubscriptionMessage() {
   };
 }
 
-// Redis helper functions
-async function redisSavePending(userId, data) {
-  if (!redis) return false;
-  try {
-    await redis.set(`${REDIS_PREFIX}pending:${userId}`, JSON.stringify(data)); // No expiry - permanent
-    return true;
-  } catch (err) {
-    console.error('[Redis] Save error:', err.message);
-    return false;
-  }
-}
-
-async function redisGetPending(userId) {
-  if (!redis) return null;
-  try {
-    const data = await redis.get(`${REDIS_PREFIX}pending:${userId}`);
-    return data ? JSON.parse(data) : null;
-  } catch (err) {
-    console.error('[Redis] Get error:', err.message);
-    return null;
-  }
-}
-
-async function redisDeletePending(userId) {
-  if (!redis) return false;
-  try {
-    await redis.del(`${REDIS_PREFIX}pending:${userId}`);
-    return true;
-  } catch (err) {
-    console.error('[Redis] Delete error:', err.message);
-    return false;
-  }
-}
-
-async function redisGetAllPending() {
-  if (!redis) return {};
-  try {
-    const keys = await redis.keys(`${REDIS_PREFIX}pending:*`);
-    if (keys.length === 0) return {};
-    
-    const result = {};
-    for (const key of keys) {
-      const userId = key.replace(`${REDIS_PREFIX}pending:`, '');
-      const data = await redis.get(key);
-      if (data) result[userId] = JSON.parse(data);
-    }
-    return result;
-  } catch (err) {
-    console.error('[Redis] Get all error:', err.message);
-    return {};
-  }
-}
-
-// Load pending verifications (from Redis or file)
+// Load pending verifications from storage into the in-memory cache
 async function loadPendingVerifications() {
-  // Try Redis first
-  if (redis) {
-    try {
-      // Redis auto-connects with lazyConnect, just use it directly
-      const all = await redisGetAllPending();
-      for (const [key, value] of Object.entries(all)) {
-        pendingVerifications.set(key, value);
-      }
-      console.log(`[Startup] Loaded ${pendingVerifications.size} pending verifications from Redis`);
-      return;
-    } catch (err) {
-      console.error('[Redis] Failed to load pending, falling back to file:', err.message);
-    }
-  }
-  
-  // Fallback to file
   try {
-    if (fs.existsSync(PENDING_VERIFICATIONS_FILE)) {
-      const data = await fsPromises.readFile(PENDING_VERIFICATIONS_FILE, 'utf8');
-      const parsed = JSON.parse(data);
-      for (const [key, value] of Object.entries(parsed)) {
-        pendingVerifications.set(key, value);
-      }
-      console.log(`[Startup] Loaded ${pendingVerifications.size} pending verifications from file`);
+    await storage.migrate();
+    const all = await storage.getAllPending();
+    for (const [key, value] of Object.entries(all)) {
+      pendingVerifications.set(key, value);
     }
+    console.log(`[Startup] Loaded ${pendingVerifications.size} pending verifications from ${storage.name} storage`);
   } catch (err) {
-    console.error('Error loading pending verifications from file:', err);
-  }
-}
-
-// Save pending verifications (to Redis and file) - async
-async function savePendingVerifications() {
-  // Save to Redis if available
-  if (redis) {
-    // Redis saves are done individually in set/delete operations
-    return;
-  }
-  
-  // Fallback: save to file (async)
-  try {
-    const obj = Object.fromEntries(pendingVerifications);
-    await fsPromises.writeFile(PENDING_VERIFICATIONS_FILE, JSON.stringify(obj, null, 2));
-  } catch (err) {
-    console.error('Error saving pending verifications to file:', err);
+    console.error('[Startup] Error loading pending verifications:', err.message);
   }
 }
 
-// Get all pending verifications as a Map (combines Redis and in-memory)
+// Get all pending verifications as a Map keyed by pendingKey(guildId, discordId)
+// (combines storage and in-memory)
 async function getAllPendingVerifications() {
   const result = new Map();
   
-  // First, get from Redis if available
-  if (redis) {
-    const redisData = await redisGetAllPending();
-    for (const [userId, data] of Object.entries(redisData)) {
-      result.set(userId, data);
+  // First, get from storage
+  try {
+    const stored = await storage.getAllPending();
+    for (const [key, data] of Object.entries(stored)) {
+      result.set(key, data);
     }
+  } catch (err) {
+    console.error('[Storage] Get all pending error:', err.message);
   }
   
   // Also check in-memory cache
-  for (const [userId, data] of pendingVerifications.entries()) {
-    if (!result.has(userId)) {
-      result.set(userId, data);
+  for (const [key, data] of pendingVerifications.entries()) {
+    if (!result.has(key)) {
+      result.set(key, data);
     }
   }
   
   return result;
 }
 
-// Remove a pending verification
-async function removePendingVerification(discordId) {
-  pendingVerifications.delete(discordId);
-  if (redis) {
-    await redisDeletePending(discordId);
-  } else {
-    savePendingVerifications();
-  }
-}
-
-// Load verified users from file (async)
-async function loadVerifiedUsers() {
-  // Try Redis first if available
-  if (redis) {
+// Get a single pending verification (memory first, then storage)
+async function getPendingVerification(guildId, discordId) {
+  const key = pendingKey(guildId, discordId);
+  let record = pendingVerifications.get(key);
+  if (!record) {
     try {
-      const keys = await redis.keys(`${REDIS_PREFIX}verified:*`);
-      console.log(`[VERIFIED LOAD] Found ${keys.length} guild keys in Redis`);
-      const users = {};
-      for (const key of keys) {
-        const guildId = key.replace(`${REDIS_PREFIX}verified:`, '');
-        const data = await redis.get(key);
-        if (data) {
-          users[guildId] = JSON.parse(data);
-          console.log(`[VERIFIED LOAD] Loaded ${users[guildId].length} users for guild ${guildId}`);
-        }
-      }
-      return users;
+      record = await storage.getPending(guildId, discordId);
     } catch (err) {
-      console.error('[Redis] Error loading verified users:', err.message);
+      console.error('[Storage] Get pending error:', err.message);
     }
+    if (record) pendingVerifications.set(key, record);
   }
-  
-  // Fallback to file
+  return record || null;
+}
+
+// Save a pending verification to memory and storage
+async function setPendingVerification(guildId, discordId, data) {
+  const record = { ...data, discordId, guildId };
+  pendingVerifications.set(pendingKey(guildId, discordId), record);
   try {
-    if (fs.existsSync(VERIFIED_USERS_FILE)) {
-      const data = await fsPromises.readFile(VERIFIED_USERS_FILE, 'utf8');
-      console.log(`[VERIFIED LOAD] Loaded from file`);
-      return JSON.parse(data);
-    }
+    await storage.savePending(guildId, discordId, record);
+    return true;
   } catch (err) {
-    console.error('Error loading verified users:', err);
+    console.error('[Storage] Save pending error:', err.message);
+    return false;
   }
-  console.log(`[VERIFIED LOAD] No data found, returning empty`);
-  return {};
 }
 
-// Save verified users to file (async)
-async function saveVerifiedUsers(users) {
-  // Save to Redis if available
-  if (redis) {
-    try {
-      for (const [guildId, guildUsers] of Object.entries(users)) {
-        await redis.set(`${REDIS_PREFIX}verified:${guildId}`, JSON.stringify(guildUsers));
-        console.log(`[VERIFIED SAVE] Saved ${guildUsers.length} users to Redis for guild ${guildId}`);
-      }
-    } catch (err) {
-      console.error('[Redis] Error saving verified users:', err.message);
-    }
-  }
-  
-  // Also save to file as backup (will fail on Railway but that's OK)
+// Update the background check schedule (nextCheckAt, checkAttempts, ...) of a pending verification
+// Re-reads the record so a code regenerated mid-cycle isn't overwritten
+async function updatePendingSchedule(guildId, discordId, schedule) {
+  const record = await getPendingVerification(guildId, discordId);
+  if (!record) return;
+  await setPendingVerification(guildId, discordId, { ...record, ...schedule });
+}
+
+// Remove a pending verification
+async function removePendingVerification(guildId, discordId) {
+  pendingVerifications.delete(pendingKey(guildId, discordId));
   try {
-    await fsPromises.writeFile(VERIFIED_USERS_FILE, JSON.stringify(users, null, 2));
-    console.log(`[VERIFIED SAVE] Saved to file backup`);
+    await storage.deletePending(guildId, discordId);
   } catch (err) {
-    // File save failing is OK on Railway - Redis is primary
-    console.log(`[VERIFIED SAVE] File backup skipped (read-only filesystem)`);
+    console.error('[Storage] Delete pending error:', err.message);
   }
 }
 
+// Linked Roles - members who linked their Discord account through server.js get their TikTok
+// connection (handle, verified date, followers) re-pushed whenever they're verified or unverified
+const linkedRolesConfig = getLinkedRolesConfig();
+
+// Fire-and-forget: a Discord API hiccup shouldn't hold up verification
+function syncLinkedRole(discordId) {
+  if (!isLinkedRolesConfigured(linkedRolesConfig)) return;
+  syncRoleConnection(storage, linkedRolesConfig, discordId)
+    .then(summary => {
+      if (summary) console.log(`[Linked Roles] Updated ${discordId} - ${summary.verified ? `@${summary.tiktokUsername}` : 'not verified'}`);
+    })
+    .catch(err => console.error(`[Linked Roles] Update failed for ${discordId}:`, err.message));
+}
+
 // Add a verified user (async)
-async function addVerifiedUser(guildId, discordId, discordTag, tiktokUsername) {
+// extra.verifiedVia records how they proved the link - 'bio', 'video', 'oauth' or 'manual' (imports keep the source's)
+// profile is the parsed TikTok profile from the fetch that verified them (if any) - its user ID and
+// secUid never change, so the record still identifies the right account after a handle rename
+// extra is merged into the record (e.g. duplicate-review flags)
+async function addVerifiedUser(guildId, discordId, discordTag, tiktokUsername, profile = null, extra = {}) {
   console.log(`[VERIFIED SAVE] Starting save for ${discordId} (@${tiktokUsername}) in guild ${guildId}`);
   
-  const users = await loadVerifiedUsers();
-  console.log(`[VERIFIED SAVE] Loaded ${Object.keys(users).length} guilds from storage`);
-  
-  if (!users[guildId]) {
-    users[guildId] = [];
-  }
-  
-  // Check if already verified (update if so)
-  const existing = users[guildId].findIndex(u => u.discordId === discordId);
+  const accountCreatedAt = getTikTokAccountCreatedAt(profile);
   const userData = {
     discordId,
     discordTag,
     tiktokUsername,
+    tiktokUserId: profile?.userId || null,
+    tiktokSecUid: profile?.secUid || null,
+    followerCount: profile?.followerCount ?? null,
+    followerCountUpdatedAt: profile?.followerCount != null ? new Date().toISOString() : null,
+    tiktokAccountCreatedAt: accountCreatedAt ? new Date(accountCreatedAt).toISOString() : null,
     verifiedAt: new Date().toISOString(),
+    ...extra,
   };
   
-  if (existing >= 0) {
-    users[guildId][existing] = userData;
-    console.log(`[VERIFIED SAVE] Updated existing user`);
-  } else {
-    users[guildId].push(userData);
-    console.log(`[VERIFIED SAVE] Added new user, guild now has ${users[guildId].length} verified`);
+  try {
+    await storage.saveVerifiedUser(guildId, userData);
+    console.log(`[VERIFIED SAVE] Save complete for ${discordTag}`);
+    syncLinkedRole(discordId);
+  } catch (err) {
+    console.error('[VERIFIED SAVE] Save error:', err.message);
   }
-  
-  await saveVerifiedUsers(users);
-  console.log(`[VERIFIED SAVE] Save complete for ${discordTag}`);
 }
 
 // Remove a verified user (async)
 async function removeVerifiedUser(guildId, discordId) {
-  const users = await loadVerifiedUsers();
-  if (!users[guildId]) return false;
-  
-  const index = users[guildId].findIndex(u => u.discordId === discordId);
-  if (index >= 0) {
-    const removed = users[guildId].splice(index, 1)[0];
-    await saveVerifiedUsers(users);
+  try {
+    const removed = await storage.removeVerifiedUser(guildId, discordId);
+    if (!removed) return false;
     console.log(`[UNVERIFY] Removed ${removed.discordTag} (${discordId}) | TikTok: @${removed.tiktokUsername} | Guild: ${guildId}`);
+    syncLinkedRole(discordId);
     return true;
+  } catch (err) {
+    console.error('[UNVERIFY] Remove error:', err.message);
+    return false;
   }
-  return false;
 }
 
 // Get verified users for a guild (async)
 async function getVerifiedUsers(guildId) {
-  const users = await loadVerifiedUsers();
-  return users[guildId] || [];
+  try {
+    return await storage.getVerifiedUsers(guildId);
+  } catch (err) {
+    console.error('[VERIFIED LOAD] Load error:', err.message);
+    return [];
+  }
 }
 
 // Get a short prefix from a name (first word, uppercase, max 10 chars)
@@ -603,8 +814,89 @@ function getNamePrefix(name) {
   return clean.substring(0, 10) || 'VERIFY';
 }
 
+// Get a guild's code format and matching settings (see codes/format.js)
+function getCodeSettings(guildId) {
+  const config = guildConfigs.get(guildId);
+  return resolveCodeSettings(config?.codeSettings);
+}
+
+// Update a guild's code settings (merged into the existing ones)
+async function setCodeSettings(guildId, settings) {
+  const config = guildConfigs.get(guildId) || {};
+  config.codeSettings = { ...(config.codeSettings || {}), ...settings };
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// Settings for matching one pending record - video proofs are captions/comments, so "start of bio" doesn't apply
+function getCodeMatchSettings(record) {
+  const settings = getCodeSettings(record.guildId);
+  return record.proofMethod === 'video' ? { ...settings, position: 'anywhere' } : settings;
+}
+
+// Video proof: the code as a comment on the guild's creator video, or as the caption of the member's own video
+// Off unless an admin turns it on; creatorVideoUrl is optional (without it only the caption option is offered)
+function getVideoProofSettings(guildId) {
+  const config = guildConfigs.get(guildId);
+  const creatorVideoUrl = config?.videoProof?.creatorVideoUrl || null;
+  return {
+    enabled: config?.videoProof?.enabled === true,
+    creatorVideoUrl,
+    creatorVideoId: parseTikTokVideoUrl(creatorVideoUrl)?.videoId || null,
+  };
+}
+
+async function setVideoProofSettings(guildId, settings) {
+  const config = guildConfigs.get(guildId) || {};
+  config.videoProof = { ...(config.videoProof || {}), ...settings };
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
+// How members may prove ownership: a code (bio, or video when enabled), Sign in with TikTok, or either
+// OAuth needs TIKTOK_CLIENT_KEY and PUBLIC_URL - without them every guild falls back to codes
+const VERIFICATION_METHODS = {
+  bio: 'Code in bio (or video, if enabled)',
+  oauth: 'Sign in with TikTok',
+  either: 'Member chooses',
+};
+
+function getVerificationMethod(guildId) {
+  const method = guildConfigs.get(guildId)?.verificationMethod;
+  if (!VERIFICATION_METHODS[method] || method === 'bio') return 'bio';
+  return isTikTokLoginConfigured() ? method : 'bio';
+}
+
+// The ways a member may prove ownership in this guild, in the order they're offered: 'bio', 'video', 'oauth'
+// Imports from partner servers must have been proved one of these ways too
+const PROOF_METHOD_LABELS = {
+  bio: 'a bio code',
+  video: 'a video code',
+  oauth: 'Sign in with TikTok',
+};
+
+function getAllowedProofMethods(guildId) {
+  const verificationMethod = getVerificationMethod(guildId);
+  return [
+    ...(verificationMethod !== 'oauth' ? ['bio'] : []),
+    ...(verificationMethod !== 'oauth' && getVideoProofSettings(guildId).enabled ? ['video'] : []),
+    ...(verificationMethod !== 'bio' ? ['oauth'] : []),
+  ];
+}
+
+async function setVerificationMethod(guildId, method) {
+  const config = guildConfigs.get(guildId) || {};
+  config.verificationMethod = method;
+  guildConfigs.set(guildId, config);
+  await saveGuildConfig(guildId);
+}
+
 // Get or fetch the server's verification prefix
+// A prefix set with /code-settings wins; otherwise it's derived from the owner's name
 async function getServerPrefix(guild) {
+  const { prefix: customPrefix } = getCodeSettings(guild.id);
+  if (customPrefix) return customPrefix;
+  
   if (serverPrefixes.has(guild.id)) {
     return serverPrefixes.get(guild.id);
   }
@@ -623,11 +915,29 @@ async function getServerPrefix(guild) {
   }
 }
 
-// Utility: generate a short verification code with server-specific prefix
+// Every code held by a pending verification or a just-issued code (not yet saved) in the guild
+async function getGuildCodes(guildId) {
+  const codes = [];
+  for (const temp of (global.tempVerificationCodes || new Map()).values()) {
+    if (temp.guildId === guildId) codes.push(...getCodeEntries(temp).map(e => e.code));
+  }
+  for (const record of Object.values(await storage.getGuildPending(guildId))) {
+    codes.push(...getCodeEntries(record).map(e => e.code));
+  }
+  return codes;
+}
+
+// Utility: generate a short verification code with server-specific prefix and format
+// Retries until no bio could match both it and another code in the same server (see codesCollide)
 async function generateCode(guild) {
   const prefix = await getServerPrefix(guild);
-  const num = Math.floor(10000 + Math.random() * 90000);
-  return `${prefix}-${num}`;
+  const settings = getCodeSettings(guild.id);
+  const existing = await getGuildCodes(guild.id);
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = formatCode(prefix, generateCodeBody(settings));
+    if (!existing.some(other => codesCollide(code, other, settings))) return code;
+  }
+  throw new Error(`Could not generate an unused verification code for guild ${guild.id} - consider a longer code length`);
 }
 
 // Generate username variations for repeated characters
@@ -661,8 +971,13 @@ function generateUsernameVariations(username) {
 }
 
 // Quick check if a TikTok account exists (without fetching full bio)
+// Existence checks are plain direct requests, so they share the direct upstream's rate limit
 async function checkTikTokAccountExists(username) {
   const cleanUser = username.replace(/^@/, '').trim();
+  return tiktokFetchPool.run('direct', `exists:${cleanUser.toLowerCase()}`, () => requestTikTokAccountExists(cleanUser));
+}
+
+async function requestTikTokAccountExists(cleanUser) {
   const headers = {
     'User-Agent': 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
   };
@@ -713,8 +1028,8 @@ async function findSimilarUsernames(username) {
 
 // TikTok bio fetcher - uses Android mobile Chrome user agent
 // Based on https://github.com/rxxv/TiktokAccountInfo approach
-// Extracts data from embedded JSON in page (more reliable than HTML parsing)
-// Returns: { bio: string|null, accountNotFound: boolean, emptyBio: boolean }
+// Page parsing lives in tiktok/profile-parser.js (embedded JSON first, regex fallback)
+// Returns: { bio: string|null, accountNotFound: boolean, emptyBio: boolean, privateAccount: boolean, profile }
 
 // Rotating user agents to avoid detection
 const USER_AGENTS = [
@@ -733,22 +1048,59 @@ function getRandomUserAgent() {
   return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
 }
 
-// Get proxy agent if configured (for PROXY_URL)
-function getProxyAgent() {
-  const proxyUrl = process.env.PROXY_URL;
-  if (proxyUrl) {
-    console.log('[Proxy] Using proxy for TikTok requests');
-    return new HttpsProxyAgent(proxyUrl);
-  }
-  return undefined;
-}
+// TikTok providers in failover order (direct -> proxy -> ScraperAPI unless TIKTOK_PROVIDER_ORDER says otherwise)
+// Only configured providers are used; each one is its own rate-limited upstream in the fetch pool
+const tiktokProviders = createTikTokProviders();
 
-// ScraperAPI configuration
-const SCRAPER_API_KEY = process.env.SCRAPER_API_KEY;
+// All TikTok requests share one pool: TIKTOK_FETCH_CONCURRENCY in flight at once,
+// plus a requests-per-minute limit for each upstream so bursts don't get us blocked or burn credits
+const tiktokFetchPool = createFetchPool({
+  concurrency: parseInt(process.env.TIKTOK_FETCH_CONCURRENCY || '3', 10),
+  rateLimits: {
+    direct: parseInt(process.env.TIKTOK_RATE_LIMIT_DIRECT || '20', 10),
+    proxy: parseInt(process.env.TIKTOK_RATE_LIMIT_PROXY || '30', 10),
+    scraperapi: parseInt(process.env.TIKTOK_RATE_LIMIT_SCRAPERAPI || '60', 10),
+  },
+});
+
+// A fetch "worked" if TikTok told us something about the account - anything else looks like a block
+function isUsableBioResult(result) {
+  return Boolean(result && (result.bio || result.emptyBio || result.accountNotFound || result.privateAccount));
+}
 
+// Fetch a TikTok bio through the shared pool, failing over provider by provider
+// Concurrent callers asking for the same username share one request per provider
 async function fetchTikTokBio(username, attemptNum = 0) {
   const cleanUser = username.replace(/^@/, '').trim();
   
+  for (const provider of tiktokProviders.ordered()) {
+    try {
+      const result = await fetchTikTokBioFrom(provider, cleanUser, attemptNum);
+      if (isUsableBioResult(result)) {
+        tiktokProviders.recordSuccess(provider.name);
+        return result;
+      }
+      tiktokProviders.recordFailure(provider.name, 'no profile data in page');
+    } catch (err) {
+      console.error(`Attempt ${attemptNum + 1}: [${provider.name}] Error fetching TikTok profile:`, err.message);
+      tiktokProviders.recordFailure(provider.name, err.message);
+    }
+  }
+  
+  return { bio: null, accountNotFound: false, emptyBio: false, privateAccount: false };
+}
+
+// One fetch through one specific provider (no failover) - used by the health check too
+function fetchTikTokBioFrom(provider, cleanUser, attemptNum = 0) {
+  return tiktokFetchPool.run(
+    provider.name,
+    `bio:${provider.name}:${cleanUser.toLowerCase()}`,
+    () => requestTikTokBio(provider, cleanUser, attemptNum)
+  );
+}
+
+// Browser-like request headers, rotated per request
+function buildTikTokHeaders() {
   // Get random user agent for this request
   const userAgent = getRandomUserAgent();
   const isIOS = userAgent.includes('iPhone');
@@ -772,147 +1124,154 @@ async function fetchTikTokBio(username, attemptNum = 0) {
     'Pragma': 'no-cache',
     'Expires': '0',
   };
+  return headers;
+}
+
+// Fetch one TikTok page through a provider
+// Throws on network errors, timeouts and non-2xx responses so the caller can fail over
+async function requestTikTokPage(provider, tiktokUrl) {
+  const res = await provider.request(tiktokUrl, buildTikTokHeaders());
+  if (!res.ok) {
+    throw new Error(`Failed to fetch TikTok page: ${res.status}`);
+  }
+  return res.text();
+}
 
+async function requestTikTokBio(provider, cleanUser, attemptNum = 0) {
   // Add cache-busting query parameter to try to get fresh content
   const cacheBuster = Date.now();
   const tiktokUrl = `https://www.tiktok.com/@${cleanUser}?_cb=${cacheBuster}`;
-  
-  // Use ScraperAPI if configured, otherwise direct fetch
-  let url;
-  if (SCRAPER_API_KEY) {
-    // ScraperAPI handles anti-bot, headers, proxies, etc.
-    url = `https://api.scraperapi.com/?api_key=${SCRAPER_API_KEY}&url=${encodeURIComponent(tiktokUrl)}&render=false`;
-    if (attemptNum === 0) console.log(`[ScraperAPI] Fetching @${cleanUser}`);
-  } else {
-    url = tiktokUrl;
-  }
-
-  try {
-    // Add timeout using AbortController (15 second timeout for ScraperAPI, 10 for direct)
-    const controller = new AbortController();
-    const timeoutMs = SCRAPER_API_KEY ? 15000 : 10000;
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-    
-    // Build fetch options
-    const fetchOptions = { 
-      signal: controller.signal,
-    };
-    
-    // Only add custom headers and proxy for direct requests (not ScraperAPI)
-    if (!SCRAPER_API_KEY) {
-      fetchOptions.headers = headers;
-      const agent = getProxyAgent();
-      if (agent) {
-        fetchOptions.agent = agent;
-      }
-    }
-    
-    const res = await fetch(url, fetchOptions);
-    clearTimeout(timeout);
-
-    if (!res.ok) {
-      console.error(`Attempt ${attemptNum + 1}: Failed to fetch TikTok profile: ${res.status}`);
-      return null;
-    }
 
-    const html = await res.text();
-    let bio = null;
-    let accountNotFound = false;
-    let emptyBio = false;
+  if (attemptNum === 0) console.log(`[${provider.name}] Fetching @${cleanUser}`);
+  const html = await requestTikTokPage(provider, tiktokUrl);
+  return parseTikTokBio(html, cleanUser, attemptNum);
+}
 
-    // Check for account not found (statusCode 10221)
+// Look a profile up by TikTok's numeric user ID - the share link redirects to the account's current handle
+// Returns the parsed profile, or null if no provider could read it
+async function fetchTikTokProfileByUserId(userId) {
+  for (const provider of tiktokProviders.ordered()) {
     try {
-      const statusMatch = html.match(/"webapp\.user-detail":\s*\{"statusCode":(\d+)/);
-      if (statusMatch && statusMatch[1] === '10221') {
-        console.log(`Attempt ${attemptNum + 1}: Account @${cleanUser} not found (statusCode 10221)`);
-        return { bio: null, accountNotFound: true, emptyBio: false };
+      const profile = await tiktokFetchPool.run(provider.name, `uid:${provider.name}:${userId}`, async () => {
+        const html = await requestTikTokPage(provider, `https://www.tiktok.com/share/user/${userId}`);
+        return parseTikTokProfile(html);
+      });
+      if (profile.found || profile.accountNotFound) {
+        tiktokProviders.recordSuccess(provider.name);
+        return profile;
       }
-    } catch (e) {
-      // Ignore parse errors
+      tiktokProviders.recordFailure(provider.name, 'no profile data in page');
+    } catch (err) {
+      console.error(`[${provider.name}] Error looking up TikTok user ${userId}:`, err.message);
+      tiktokProviders.recordFailure(provider.name, err.message);
     }
+  }
+  return null;
+}
 
-    // Method 1: Try to extract from embedded JSON (most reliable)
-    // TikTok embeds user data in a script tag as JSON
+// Fetch a TikTok URL through the providers (with failover) and parse it
+// Returns the parsed result, or null if no provider returned something isUsable() accepts
+async function fetchTikTokParsed(cacheKey, url, parse, isUsable, what) {
+  for (const provider of tiktokProviders.ordered()) {
     try {
-      // Look for the userInfo in the embedded JSON
-      const jsonMatch = html.match(/<script[^>]*id="__UNIVERSAL_DATA_FOR_REHYDRATION__"[^>]*>([^<]+)<\/script>/);
-      if (jsonMatch) {
-        const jsonData = JSON.parse(jsonMatch[1]);
-        const userInfo = jsonData?.['__DEFAULT_SCOPE__']?.['webapp.user-detail']?.userInfo;
-        if (userInfo?.user?.signature) {
-          bio = userInfo.user.signature;
-          console.log(`Attempt ${attemptNum + 1}: Got bio from REHYDRATION JSON for @${cleanUser}`);
-        }
+      const parsed = await tiktokFetchPool.run(provider.name, `${cacheKey}:${provider.name}`, async () => {
+        return parse(await requestTikTokPage(provider, url));
+      });
+      if (isUsable(parsed)) {
+        tiktokProviders.recordSuccess(provider.name);
+        return parsed;
       }
-    } catch (jsonErr) {
-      // JSON parsing failed, fall back to regex
+      tiktokProviders.recordFailure(provider.name, `no ${what} data in response`);
+    } catch (err) {
+      console.error(`[${provider.name}] Error fetching TikTok ${what}:`, err.message);
+      tiktokProviders.recordFailure(provider.name, err.message);
     }
+  }
+  return null;
+}
 
-    // Method 2: Try SIGI_STATE format (older format)
-    if (!bio) {
-      try {
-        const sigiMatch = html.match(/<script[^>]*id="SIGI_STATE"[^>]*>([^<]+)<\/script>/);
-        if (sigiMatch) {
-          const jsonData = JSON.parse(sigiMatch[1]);
-          const userModule = jsonData?.UserModule?.users;
-          if (userModule) {
-            const userKey = Object.keys(userModule)[0];
-            if (userKey && userModule[userKey]?.signature) {
-              bio = userModule[userKey].signature;
-              console.log(`Attempt ${attemptNum + 1}: Got bio from SIGI_STATE for @${cleanUser}`);
-            }
-          }
-        }
-      } catch (sigiErr) {
-        // SIGI parsing failed
-      }
-    }
+// Read a video page (caption + author); handle can be any string, TikTok redirects to the real one
+function fetchTikTokVideo(username, videoId) {
+  const url = `https://www.tiktok.com/@${username.replace(/^@/, '')}/video/${videoId}`;
+  return fetchTikTokParsed(`video:${videoId}`, url, parseTikTokVideo, video => video.found, 'video');
+}
 
-    // Method 3: Fallback to regex patterns
-    if (!bio) {
-      // Pattern 1: "signature":"..." (most common)
-      const match1 = html.match(/"signature":"(.*?)"/);
-      if (match1 && match1[1]) {
-        bio = match1[1];
-        console.log(`Attempt ${attemptNum + 1}: Got bio from regex for @${cleanUser}`);
-      }
-    }
-    
-    // Pattern 2: Look for userInfo object specifically
-    if (!bio) {
-      const match2 = html.match(/"userInfo":\s*\{[^}]*"signature":"([^"]+)"/);
-      if (match2 && match2[1]) bio = match2[1];
-    }
+// Read a video's comments newest first, back to `since` (ms) - a code comment can't be older than its code
+// If TikTok ignores the sort and returns another order, keep paging up to MAX_COMMENT_PAGES
+const COMMENT_PAGE_SIZE = 50;
+const MAX_COMMENT_PAGES = 20;
 
-    if (!bio) {
-      // Check if account exists but has empty bio
-      const signatureMatch = html.match(/"signature":""/);
-      if (signatureMatch) {
-        console.log(`Attempt ${attemptNum + 1}: Account @${cleanUser} has empty bio`);
-        return { bio: '', accountNotFound: false, emptyBio: true };
-      }
-      console.log(`Attempt ${attemptNum + 1}: Could not find bio for @${cleanUser}`);
-      return { bio: null, accountNotFound: false, emptyBio: false };
-    }
+async function fetchTikTokComments(videoId, since = null) {
+  const comments = [];
+  let cursor = 0;
+  for (let page = 0; page < MAX_COMMENT_PAGES; page++) {
+    const url = `https://www.tiktok.com/api/comment/list/?aid=1988&aweme_id=${videoId}&count=${COMMENT_PAGE_SIZE}&cursor=${cursor}&sort_type=1`;
+    const result = await fetchTikTokParsed(`comments:${videoId}:${cursor}`, url, parseTikTokComments, Boolean, 'comment');
+    if (!result) break;
+    comments.push(...result.comments);
+    if (!result.hasMore || commentsReachBefore(result, since)) break;
+    cursor = result.cursor;
+  }
+  return comments;
+}
 
-    // Unescape unicode and special characters
-    bio = bio.replace(/\\"/g, '"').replace(/\\\\/g, '\\');
-    bio = bio.replace(/\\u([\dA-Fa-f]{4})/g, (_, g1) =>
-      String.fromCharCode(parseInt(g1, 16)),
-    );
-    bio = bio.replace(/\\n/g, '\n');
+// Fetch the text a pending record's code should be in - the bio, or for video proofs the caption/comments
+// Returns the same shape as fetchTikTokBio, with `bio` holding that text (null when none was found)
+async function fetchVerificationProof(record, attemptNum = 0) {
+  if (record.proofMethod !== 'video') return fetchTikTokBio(record.username, attemptNum);
 
-    console.log(`Attempt ${attemptNum + 1}: Fetched bio for @${cleanUser}: "${bio.substring(0, 80)}..."`);
-    return { bio, accountNotFound: false, emptyBio: false };
-  } catch (err) {
-    console.error(`Attempt ${attemptNum + 1}: Error fetching TikTok profile:`, err.message);
-    return { bio: null, accountNotFound: false, emptyBio: false };
+  // The profile still matters: requirements, tier roles and duplicate checks all use it
+  const result = await fetchTikTokBio(record.username, attemptNum);
+  if (result.accountNotFound) return result;
+
+  const handle = record.username.replace(/^@/, '').toLowerCase();
+  const userId = result.profile?.userId || null;
+  const isTheirs = (uniqueId, authorId) => (uniqueId || '').toLowerCase() === handle || Boolean(userId && authorId === userId);
+
+  if (record.videoId) {
+    // Caption of their own video - someone else's video doesn't prove anything
+    const video = await fetchTikTokVideo(record.username, record.videoId);
+    const own = Boolean(video && isTheirs(video.authorUniqueId, video.authorId));
+    if (video && !own) console.log(`[Video Proof] Video ${record.videoId} belongs to @${video.authorUniqueId}, not @${handle}`);
+    return { ...result, bio: own && video.caption ? video.caption : null, emptyBio: own && !video.caption };
+  }
+
+  // Comment on the guild's creator video - comments by private accounts are still public
+  const { creatorVideoId } = getVideoProofSettings(record.guildId);
+  if (!creatorVideoId) return { ...result, bio: null, emptyBio: false, privateAccount: false };
+  const mine = (await fetchTikTokComments(creatorVideoId, record.createdAt)).filter(c => isTheirs(c.uniqueId, c.userId));
+  return { ...result, bio: mine.length > 0 ? mine.map(c => c.text).join('\n') : null, emptyBio: false, privateAccount: false };
+}
+
+// Turn a profile page into the bio result callers expect
+// privateAccount comes from the embedded user JSON; the full parsed profile rides along as `profile`
+function parseTikTokBio(html, cleanUser, attemptNum = 0) {
+  const profile = parseTikTokProfile(html);
+  const privateAccount = profile.privateAccount === true;
+
+  if (profile.accountNotFound) {
+    console.log(`Attempt ${attemptNum + 1}: Account @${cleanUser} not found (statusCode ${profile.statusCode})`);
+    return { bio: null, accountNotFound: true, emptyBio: false, privateAccount: false, profile };
+  }
+
+  if (profile.signature) {
+    console.log(`Attempt ${attemptNum + 1}: Fetched bio for @${cleanUser} from ${profile.source}: "${profile.signature.substring(0, 80)}..."`);
+    return { bio: profile.signature, accountNotFound: false, emptyBio: false, privateAccount, profile };
   }
+
+  if (profile.signature === '') {
+    console.log(`Attempt ${attemptNum + 1}: Account @${cleanUser} has empty bio${privateAccount ? ' (private account)' : ''}`);
+    return { bio: '', accountNotFound: false, emptyBio: true, privateAccount, profile };
+  }
+
+  console.log(`Attempt ${attemptNum + 1}: Could not find bio for @${cleanUser}${privateAccount ? ' (private account)' : ''}`);
+  return { bio: null, accountNotFound: false, emptyBio: false, privateAccount, profile };
 }
 
 // Retry function with progressive delays for mobile app sync issues
 // TikTok's mobile app can take 30-60 seconds to sync bio changes to web
-// This does 10 quick attempts with 5 second delays. Background checker handles long-term checks every 2 hours.
+// This does 10 quick attempts with 5 second delays. The background checker takes over after that, backing off
+// 5m, 15m, 1h, 6h, then daily until the code expires or the guild's max age is reached.
 async function fetchTikTokBioWithRetry(username, maxRetries = 10) {
   let lastResult = { bio: null, accountNotFound: false, emptyBio: false };
   
@@ -940,20 +1299,37 @@ async function fetchTikTokBioWithRetry(username, maxRetries = 10) {
   return lastResult;
 }
 
-// Health check - test that we can still read TikTok bios
+// Health check - test that each provider can still read TikTok bios
+// A passing provider is marked healthy again, so traffic moves back to it (e.g. ScraperAPI -> direct)
 async function runHealthCheck() {
   const testAccount = 'tiktok'; // Official TikTok account - always exists
-  console.log(`[Health Check] Testing TikTok bio fetch for @${testAccount}...`);
+  console.log(`[Health Check] Testing TikTok bio fetch for @${testAccount} via ${tiktokProviders.providers.length} provider(s)...`);
   
-  const result = await fetchTikTokBio(testAccount, 0);
+  const providers = {};
+  let bio = null;
+  for (const provider of tiktokProviders.providers) {
+    try {
+      const result = await fetchTikTokBioFrom(provider, testAccount, 0);
+      if (result.bio) {
+        tiktokProviders.recordSuccess(provider.name);
+        providers[provider.name] = true;
+        bio = bio || result.bio;
+        console.log(`[Health Check] ✅ ${provider.name} - Can read TikTok bios. Bio: "${result.bio.substring(0, 50)}..."`);
+        continue;
+      }
+      tiktokProviders.recordFailure(provider.name, 'health check: no bio');
+    } catch (err) {
+      tiktokProviders.recordFailure(provider.name, `health check: ${err.message}`);
+    }
+    providers[provider.name] = false;
+    console.error(`[Health Check] ❌ ${provider.name} - Cannot read TikTok bios! TikTok may be blocking this provider.`);
+  }
   
-  if (result.bio) {
-    console.log(`[Health Check] ✅ SUCCESS - Can read TikTok bios. Bio: "${result.bio.substring(0, 50)}..."`);
-    return { success: true, bio: result.bio };
-  } else {
-    console.error(`[Health Check] ❌ FAILED - Cannot read TikTok bios! TikTok may be blocking requests.`);
-    return { success: false, bio: null };
+  const success = Object.values(providers).some(Boolean);
+  if (!success) {
+    console.error(`[Health Check] ❌ FAILED - No provider can read TikTok bios!`);
   }
+  return { success, bio, providers };
 }
 
 // Schedule periodic health checks (every 4 hours)
@@ -973,221 +1349,494 @@ function startHealthCheckScheduler() {
   console.log('[Health Check] Scheduler started - will check every 4 hours');
 }
 
-// Background verification checker - REDESIGNED for speed and reliability
-// Runs every 5 minutes, checks each user ONCE per cycle (fast checks)
-// Entire cycle completes in seconds, not hours - survives restarts gracefully
-async function runBackgroundVerificationCheck() {
-  const startTime = Date.now();
-  console.log('[Background Verify] Starting quick check cycle...');
-  
-  // Always sync fresh from Redis (handles restarts gracefully)
-  if (redis) {
-    try {
-      const keys = await redis.keys(`${REDIS_PREFIX}pending:*`);
-      for (const key of keys) {
-        const data = await redis.get(key);
-        if (data) {
-          const parsed = JSON.parse(data);
-          const discordId = key.replace(`${REDIS_PREFIX}pending:`, '');
-          // Always update from Redis (source of truth)
-          pendingVerifications.set(discordId, parsed);
-        }
-      }
-    } catch (err) {
-      console.error('[Background Verify] Error syncing from Redis:', err.message);
+const BACKGROUND_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Delay before the next background check, indexed by how many checks have already failed
+// 5m, 15m, 1h, 6h, then daily until the guild's max age is reached
+const BACKGROUND_BACKOFF_SCHEDULE = [
+  5 * 60 * 1000,
+  15 * 60 * 1000,
+  60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+];
+
+function getBackoffDelay(checkAttempts) {
+  const index = Math.min(Math.max(checkAttempts - 1, 0), BACKGROUND_BACKOFF_SCHEDULE.length - 1);
+  return BACKGROUND_BACKOFF_SCHEDULE[index];
+}
+
+// Record a failed background check and push the next one back along the backoff schedule
+async function scheduleBackgroundRetry(record, discordId, checkedAt) {
+  const checkAttempts = (record.checkAttempts || 0) + 1;
+  await updatePendingSchedule(record.guildId, discordId, {
+    createdAt: record.createdAt || checkedAt, // Old-flow records had no start time - start the clock now
+    checkAttempts,
+    lastCheckedAt: checkedAt,
+    nextCheckAt: checkedAt + getBackoffDelay(checkAttempts),
+  });
+}
+
+// Private TikTok accounts can't be read, so stop background checks until the user retries
+// The record wakes up again only at its max age, where it expires as usual
+async function pausePrivateVerification(record, discordId, { actor = 'system', details = null } = {}) {
+  const maxAgeMs = getPendingMaxAgeDays(record.guildId) * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  await updatePendingSchedule(record.guildId, discordId, {
+    createdAt: record.createdAt || now,
+    pausedReason: 'private',
+    pausedAt: now,
+    nextCheckAt: (record.createdAt || now) + maxAgeMs,
+  });
+  await recordVerificationEvent(record.guildId, 'account_private', {
+    discordId,
+    tiktokUsername: record.username || null,
+    code: record.code || null,
+    actor,
+    details,
+  });
+}
+
+// Tell a user their TikTok is private. Only sent when a check pauses, so each pause DMs once
+async function dmPrivateAccountNotice(record, discordId, username) {
+  try {
+    const guild = client.guilds.cache.get(record.guildId);
+    const member = guild ? await guild.members.fetch(discordId).catch(() => null) : null;
+    if (member) {
+      await member.send(`🔒 **Your TikTok account is private**\n\nI can't read the bio of **@${username}** because the account is private, so I've paused checking it in **${guild.name}**.\n\n**To finish verifying:**\n1. In TikTok go to Settings and privacy → Privacy and turn **Private account** OFF\n2. Make sure the code \`${record.code}\` is in your bio\n3. Click **"Verify Now"** (or **"Verify TikTok"** in the server) again\n\nYou can make your account private again once you're verified.`);
     }
+  } catch (dmErr) {
+    console.log(`[Background Verify] Could not DM ${discordId} about private account`);
   }
+}
 
-  const pending = Array.from(pendingVerifications.entries());
-  if (pending.length === 0) {
-    console.log('[Background Verify] No pending verifications.');
-    return;
+// Give up on a pending verification that outlived the guild's max age and DM the user once
+// codeExpired: every code on the record is past the guild's code TTL, rather than the record being too old
+async function expirePendingVerification(record, discordId, { codeExpired = false } = {}) {
+  const maxAgeDays = getPendingMaxAgeDays(record.guildId);
+  const { ttlHours } = getCodeSettings(record.guildId);
+  const why = codeExpired ? `code older than ${ttlHours} hour(s)` : `older than ${maxAgeDays} day(s)`;
+  console.log(`[Background Verify] ${discordId} (@${record.username}) - giving up after ${record.checkAttempts || 0} check(s), ${why}`);
+
+  await removePendingVerification(record.guildId, discordId);
+  await updateVerificationStatus(record.guildId, discordId, 'expired');
+  await recordVerificationEvent(record.guildId, 'expired', {
+    discordId,
+    tiktokUsername: record.username || null,
+    code: record.code || null,
+    details: codeExpired
+      ? `Code expired after ${ttlHours} hour(s) (${record.checkAttempts || 0} background check(s))`
+      : `Gave up after ${record.checkAttempts || 0} background check(s) (max age ${maxAgeDays} day(s))`,
+  });
+
+  // The record is gone now, so this DM only ever goes out once
+  try {
+    const guild = client.guilds.cache.get(record.guildId);
+    const member = guild ? await guild.members.fetch(discordId).catch(() => null) : null;
+    if (member && codeExpired) {
+      await member.send(`⌛ **Your verification code expired**
+
+The code \`${record.code}\` for **@${record.username}** was only valid for ${ttlHours} hour(s) and I never found it, so I've stopped checking in **${guild.name}**.
+
+Click **"Verify TikTok"** in the server to generate a new code.`);
+    } else if (member) {
+      await member.send(`⌛ **Verification stopped**
+
+I checked **@${record.username}** for the code \`${record.code}\` for ${maxAgeDays} day(s) but never found it, so I've stopped checking in **${guild.name}**.
+
+If you still want the role, click **"Verify TikTok"** in the server again to get a fresh code.`);
+    }
+  } catch (dmErr) {
+    console.log(`[Background Verify] Could not DM ${discordId} about expiry`);
+  }
+}
+
+// Finish a Sign in with TikTok verification once server.js has written the login result onto the pending record
+// Ownership is proven by the login; the profile page is still read for the user ID, account age and stats
+// Returns { outcome, message } - outcome as in checkPendingInBackground, message for the member - or null if the
+// guild or member is gone
+async function completeOAuthVerification(record, discordId, { source }) {
+  const guild = client.guilds.cache.get(record.guildId);
+  const member = guild ? await guild.members.fetch(discordId).catch(() => null) : null;
+  if (!member) {
+    console.log(`[TikTok Login] Could not find member ${discordId} in guild ${record.guildId}`);
+    return null;
   }
   
-  console.log(`[Background Verify] Checking ${pending.length} pending verification(s)...`);
+  const roleId = getVerifiedRoleId(record.guildId);
+  const role = roleId ? guild.roles.cache.get(roleId) : null;
+  if (!role) {
+    return { outcome: null, message: 'I verified your TikTok, but the Verified role is not configured. Please ask an admin to use `/set-verified-role`.' };
+  }
   
-  let verified = 0;
-  let failed = 0;
-  let skipped = 0;
-
-  for (const [discordId, record] of pending) {
-    if (!record.username || record.username === 'undefined') {
-      console.log(`[Background Verify] Skipping ${discordId} - no username`);
-      skipped++;
-      continue;
-    }
+  const { username, openId, followerCount, videoCount } = record.oauth;
+  const { profile: scraped } = await fetchTikTokBio(username, 0);
+  const profile = {
+    ...(scraped || {}),
+    uniqueId: username,
+    followerCount: scraped?.followerCount ?? followerCount ?? null,
+    videoCount: scraped?.videoCount ?? videoCount ?? null,
+  };
+  const eventUser = { discordId, discordName: member.user.tag, tiktokUsername: username, code: 'TIKTOK_LOGIN' };
+  
+  const requirementsCheck = await checkVerificationRequirements(record.guildId, profile, username);
+  if (!requirementsCheck.passed) {
+    await rejectForRequirements(record.guildId, discordId, requirementsCheck, { ...eventUser, source });
+    return { outcome: 'rejected', message: getRequirementsFailedMessage(username, guild.name, requirementsCheck.reasons) };
+  }
+  
+  const duplicateCheck = await checkDuplicatePolicy(record.guildId, discordId, username, profile);
+  if (duplicateCheck.conflicts.length > 0) {
+    await reportDuplicate(record.guildId, duplicateCheck, { ...eventUser, source });
+  }
+  if (!duplicateCheck.allowed) {
+    await removePendingVerification(record.guildId, discordId);
+    await updateVerificationStatus(record.guildId, discordId, 'duplicate_blocked');
+    return { outcome: 'blocked', message: getDuplicateBlockedMessage(username, guild.name) };
+  }
+  
+  await member.roles.add(role);
+  await addVerifiedUser(record.guildId, discordId, member.user.tag, username, profile, {
+    ...duplicateCheck.extra,
+    verifiedVia: 'oauth',
+    tiktokOpenId: openId || null,
+  });
+  await syncTierRoles(guild, member, profile.followerCount);
+  await updateVerificationStatus(record.guildId, discordId, 'verified', new Date().toISOString(), {
+    discordName: member.user.tag,
+    tiktokUsername: username,
+    code: 'TIKTOK_LOGIN',
+    initiatedAt: record.createdAt ? new Date(record.createdAt).toISOString() : new Date().toISOString(),
+  });
+  await recordVerificationEvent(record.guildId, 'verified', { ...eventUser, details: `${source} (Sign in with TikTok)` });
+  await removePendingVerification(record.guildId, discordId);
+  console.log(`[TikTok Login] ✅ ${discordId} verified as @${username} in ${record.guildId} (${source})`);
+  
+  const reviewNote = duplicateCheck.flagged
+    ? '\n\n🚩 This TikTok is also linked to another member here, so a moderator may review your verification.'
+    : '';
+  return {
+    outcome: 'verified',
+    message: `🎉 **Verification successful!**\n\nYou signed in with TikTok as **@${username}**.\nYou've been given the **Verified Viewer** role in **${guild.name}**. 💀${reviewNote}`,
+  };
+}
+
+// Sign-in links are short-lived - drop the pending record once one runs out unused
+async function expireOAuthLogin(record, discordId) {
+  console.log(`[TikTok Login] ${discordId} never finished signing in - removing pending record`);
+  await removePendingVerification(record.guildId, discordId);
+  await updateVerificationStatus(record.guildId, discordId, 'expired');
+  await recordVerificationEvent(record.guildId, 'expired', {
+    discordId,
+    details: `Sign in with TikTok link unused after ${LOGIN_LINK_TTL_MS / 60000} minutes`,
+  });
+}
+
+// Check one due pending verification in the background
+// Returns 'verified' | 'failed' | 'skipped' | 'expired' | 'paused' | 'blocked' | 'rejected', or null if the code matched but the role couldn't be given
+async function checkPendingInBackground(key, record, startTime) {
+  const { discordId } = parsePendingKey(key);
+  const maxAgeMs = getPendingMaxAgeDays(record.guildId) * 24 * 60 * 60 * 1000;
+  if (record.createdAt && startTime - record.createdAt >= maxAgeMs) {
+    await expirePendingVerification(record, discordId);
+    return 'expired';
+  }
 
+  // Sign in with TikTok - nothing to fetch, just finish it (or drop it if the link ran out unused)
+  if (record.proofMethod === 'oauth') {
+    if (!record.oauth) {
+      if (startTime - (record.createdAt || 0) < LOGIN_LINK_TTL_MS) return 'skipped';
+      await expireOAuthLogin(record, discordId);
+      return 'expired';
+    }
     try {
-      // Quick single check - no retries, we'll check again next cycle
-      const result = await fetchTikTokBio(record.username, 0);
-      
-      // Try username variations if account not found or no bio
-      let finalResult = result;
-      let effectiveUsername = record.username;
-      
-      if (result.accountNotFound || !result.bio) {
-        // Quick variation check - try top 3 variations
-        const variations = generateUsernameVariations(record.username);
-        for (const variation of variations.slice(0, 3)) {
-          const varResult = await fetchTikTokBio(variation, 0);
-          if (varResult.bio) {
-            finalResult = varResult;
-            effectiveUsername = variation;
-            console.log(`[Background Verify] ${discordId} - Found working variation: @${variation}`);
-            break;
-          }
-          await new Promise(r => setTimeout(r, 500)); // Quick delay
-        }
-      }
-      
-      if (!finalResult.bio) {
-        // No bio found - will try again next cycle
-        const reason = finalResult.accountNotFound ? 'account not found' : (finalResult.emptyBio ? 'bio empty' : 'fetch failed');
-        console.log(`[Background Verify] ${discordId} (@${record.username}) - ${reason}, will retry next cycle`);
-        failed++;
-        continue;
-      }
-      
-      // Check if code is in bio
-      const bioUpper = finalResult.bio.toUpperCase();
-      const allCodes = [record.code, ...(record.previousCodes || [])];
-      let matchedCode = null;
-      
-      for (const code of allCodes) {
-        const codeUpper = code.toUpperCase();
-        const typoVariant = codeUpper.replace('JAIME', 'JAMIE'); // Handle common typo
-        
-        if (bioUpper.includes(codeUpper) || bioUpper.includes(typoVariant)) {
-          matchedCode = code;
+      const result = await completeOAuthVerification(record, discordId, { source: 'Background check' });
+      if (!result) return null;
+      const member = await client.guilds.cache.get(record.guildId)?.members.fetch(discordId).catch(() => null);
+      await member?.send(result.message).catch(() => console.log(`[Background Verify] Could not DM ${discordId}`));
+      return result.outcome;
+    } catch (err) {
+      console.error(`[Background Verify] Error finishing TikTok sign-in for ${discordId}:`, err.message);
+      await scheduleBackgroundRetry(record, discordId, startTime);
+      return 'failed';
+    }
+  }
+
+  // Only codes still within the guild's TTL count - once none are left, stop checking
+  const { active: activeCodes } = splitCodesByExpiry(record, getCodeSettings(record.guildId), startTime);
+  if (activeCodes.length === 0) {
+    await expirePendingVerification(record, discordId, { codeExpired: true });
+    return 'expired';
+  }
+
+  if (!record.username || record.username === 'undefined') {
+    console.log(`[Background Verify] Skipping ${discordId} - no username`);
+    await scheduleBackgroundRetry(record, discordId, startTime);
+    return 'skipped';
+  }
+
+  try {
+    // Quick single check - no retries, we'll check again after backoff
+    const result = await fetchVerificationProof(record, 0);
+    
+    // Try username variations if account not found or no bio (bio proofs only)
+    let finalResult = result;
+    let effectiveUsername = record.username;
+    
+    if ((result.accountNotFound || !result.bio) && !result.privateAccount && record.proofMethod !== 'video') {
+      // Quick variation check - try top 3 variations
+      const variations = generateUsernameVariations(record.username);
+      for (const variation of variations.slice(0, 3)) {
+        const varResult = await fetchTikTokBio(variation, 0);
+        if (varResult.bio) {
+          finalResult = varResult;
+          effectiveUsername = variation;
+          console.log(`[Background Verify] ${discordId} - Found working variation: @${variation}`);
           break;
         }
       }
-      
-      if (!matchedCode) {
-        // Code not found yet - will try again next cycle
-        const bioPreview = finalResult.bio.substring(0, 50).replace(/\n/g, ' ');
-        console.log(`[Background Verify] ${discordId} (@${effectiveUsername}) - Code not in bio: "${bioPreview}..."`);
-        failed++;
-        continue;
+    }
+    
+    // Private account and no code visible - backing off won't help, so pause until the user retries
+    const pauseForPrivateAccount = async () => {
+      console.log(`[Background Verify] ${discordId} (@${effectiveUsername}) - account is private, pausing until user retries`);
+      await pausePrivateVerification(record, discordId, { details: 'Background check - paused until the user retries' });
+      await dmPrivateAccountNotice(record, discordId, effectiveUsername);
+      return 'paused';
+    };
+    
+    if (!finalResult.bio) {
+      if (finalResult.privateAccount) return pauseForPrivateAccount();
+      // No bio found - will try again after backoff
+      const reason = finalResult.accountNotFound ? 'account not found' : (finalResult.emptyBio ? 'bio empty' : 'fetch failed');
+      console.log(`[Background Verify] ${discordId} (@${record.username}) - ${reason}, will retry later`);
+      await scheduleBackgroundRetry(record, discordId, startTime);
+      return 'failed';
+    }
+    
+    // Check if code is in bio (fuzziness and position come from the guild's code settings)
+    const matchedCode = findCodeInBio(finalResult.bio, activeCodes, getCodeMatchSettings(record));
+    
+    if (!matchedCode) {
+      if (finalResult.privateAccount) return pauseForPrivateAccount();
+      // Code not found yet - will try again after backoff
+      const bioPreview = finalResult.bio.substring(0, 50).replace(/\n/g, ' ');
+      console.log(`[Background Verify] ${discordId} (@${effectiveUsername}) - Code not in bio: "${bioPreview}..."`);
+      await scheduleBackgroundRetry(record, discordId, startTime);
+      return 'failed';
+    }
+    
+    // SUCCESS! Code found - verify the user
+    console.log(`[Background Verify] ✅ MATCH! ${discordId} (@${effectiveUsername}) - Code: ${matchedCode}`);
+    
+    try {
+      const guild = client.guilds.cache.get(record.guildId);
+      if (!guild) {
+        console.log(`[Background Verify] Could not find guild ${record.guildId}`);
+        return null;
       }
-      
-      // SUCCESS! Code found - verify the user
-      console.log(`[Background Verify] ✅ MATCH! ${discordId} (@${effectiveUsername}) - Code: ${matchedCode}`);
-      
-      try {
-        const guild = client.guilds.cache.get(record.guildId);
-        if (!guild) {
-          console.log(`[Background Verify] Could not find guild ${record.guildId}`);
-          continue;
-        }
 
-        const member = await guild.members.fetch(discordId).catch(() => null);
-        if (!member) {
-          console.log(`[Background Verify] Could not find member ${discordId}`);
-          continue;
-        }
+      const member = await guild.members.fetch(discordId).catch(() => null);
+      if (!member) {
+        console.log(`[Background Verify] Could not find member ${discordId}`);
+        return null;
+      }
 
-        const roleId = getVerifiedRoleId(record.guildId);
-        if (!roleId) {
-          console.log(`[Background Verify] No verified role for guild ${record.guildId} - guildConfigs has ${guildConfigs.size} entries`);
-          // Try to reload config from Redis
-          if (redis) {
-            try {
-              const configData = await redis.get(`${REDIS_PREFIX}config:${record.guildId}`);
-              if (configData) {
-                const config = JSON.parse(configData);
-                guildConfigs.set(record.guildId, config);
-                console.log(`[Background Verify] Reloaded config from Redis, roleId: ${config.verifiedRoleId}`);
-                if (config.verifiedRoleId) {
-                  // Retry with reloaded config
-                  const reloadedRoleId = config.verifiedRoleId;
-                  const role = guild.roles.cache.get(reloadedRoleId);
-                  if (role) {
-                    await member.roles.add(role);
-                    await addVerifiedUser(record.guildId, discordId, member.user.tag, effectiveUsername);
-                    await updateVerificationStatus(record.guildId, discordId, 'verified', new Date().toISOString(), {
-                      discordName: member.user.tag,
-                      tiktokUsername: effectiveUsername,
-                      code: matchedCode,
-                      initiatedAt: record.createdAt ? new Date(record.createdAt).toISOString() : new Date().toISOString(),
-                    });
-                    pendingVerifications.delete(discordId);
-                    if (redis) await redisDeletePending(discordId);
-                    try {
-                      await member.send(`🎉 **Verification successful!**\n\nI found the code **${matchedCode}** in the bio of **@${effectiveUsername}**.\nYou've been given the **Verified Viewer** role in **${guild.name}**.\n\nYou can remove the code from your TikTok bio now. 💀`);
-                    } catch (e) {}
-                    verified++;
-                    console.log(`[Background Verify] ✅ Verified after config reload!`);
-                    continue;
-                  }
-                }
-              } else {
-                console.log(`[Background Verify] No config in Redis for guild ${record.guildId}`);
-              }
-            } catch (e) {
-              console.log(`[Background Verify] Error reloading config: ${e.message}`);
-            }
+      let roleId = getVerifiedRoleId(record.guildId);
+      if (!roleId) {
+        console.log(`[Background Verify] No verified role for guild ${record.guildId} - guildConfigs has ${guildConfigs.size} entries`);
+        // Try to reload config from storage
+        try {
+          const config = await storage.getGuildConfig(record.guildId);
+          if (config) {
+            guildConfigs.set(record.guildId, config);
+            roleId = config.verifiedRoleId;
+            console.log(`[Background Verify] Reloaded config from storage, roleId: ${roleId}`);
+          } else {
+            console.log(`[Background Verify] No config in storage for guild ${record.guildId}`);
           }
-          continue;
-        }
-        
-        const role = guild.roles.cache.get(roleId);
-        if (!role) {
-          console.log(`[Background Verify] Could not find role ${roleId}`);
-          continue;
+        } catch (e) {
+          console.log(`[Background Verify] Error reloading config: ${e.message}`);
         }
+        if (!roleId) return null;
+      }
+      
+      const role = guild.roles.cache.get(roleId);
+      if (!role) {
+        console.log(`[Background Verify] Could not find role ${roleId}`);
+        return null;
+      }
 
-        await member.roles.add(role);
-
-        // Save to verified users list
-        await addVerifiedUser(record.guildId, discordId, member.user.tag, effectiveUsername);
-        
-        // Update verification log
-        await updateVerificationStatus(record.guildId, discordId, 'verified', new Date().toISOString(), {
+      const requirementsCheck = await checkVerificationRequirements(record.guildId, finalResult.profile, effectiveUsername);
+      if (!requirementsCheck.passed) {
+        await rejectForRequirements(record.guildId, discordId, requirementsCheck, {
           discordName: member.user.tag,
           tiktokUsername: effectiveUsername,
           code: matchedCode,
-          initiatedAt: record.createdAt ? new Date(record.createdAt).toISOString() : new Date().toISOString(),
+          source: 'Background check',
         });
-
-        // Remove from pending
-        pendingVerifications.delete(discordId);
-        if (redis) {
-          await redisDeletePending(discordId);
-        } else {
-          savePendingVerifications();
-        }
-
-        // DM the user
         try {
-          await member.send(`🎉 **Verification successful!**\n\nI found the code **${matchedCode}** in the bio of **@${effectiveUsername}**.\nYou've been given the **Verified Viewer** role in **${guild.name}**.\n\nYou can remove the code from your TikTok bio now. 💀`);
+          await member.send(getRequirementsFailedMessage(effectiveUsername, guild.name, requirementsCheck.reasons));
         } catch (dmErr) {
           console.log(`[Background Verify] Could not DM ${member.user.tag}`);
         }
-        
-        verified++;
-
-      } catch (verifyErr) {
-        console.error(`[Background Verify] Error verifying ${discordId}:`, verifyErr.message);
+        return 'rejected';
       }
 
-      // Small delay between users to avoid rate limiting
-      await new Promise(r => setTimeout(r, 1000));
-      
-    } catch (err) {
-      console.error(`[Background Verify] Error checking ${discordId}:`, err.message);
-      failed++;
-    }
+      const duplicateCheck = await checkDuplicatePolicy(record.guildId, discordId, effectiveUsername, finalResult.profile);
+      if (duplicateCheck.conflicts.length > 0) {
+        await reportDuplicate(record.guildId, duplicateCheck, {
+          discordId,
+          discordName: member.user.tag,
+          tiktokUsername: effectiveUsername,
+          source: 'Background check',
+        });
+      }
+      if (!duplicateCheck.allowed) {
+        await removePendingVerification(record.guildId, discordId);
+        await updateVerificationStatus(record.guildId, discordId, 'duplicate_blocked');
+        try {
+          await member.send(getDuplicateBlockedMessage(effectiveUsername, guild.name));
+        } catch (dmErr) {
+          console.log(`[Background Verify] Could not DM ${member.user.tag}`);
+        }
+        return 'blocked';
+      }
+
+      await member.roles.add(role);
+
+      // Save to verified users list
+      await addVerifiedUser(record.guildId, discordId, member.user.tag, effectiveUsername, finalResult.profile, {
+        ...duplicateCheck.extra,
+        verifiedVia: record.proofMethod || 'bio',
+      });
+      await syncTierRoles(guild, member, finalResult.profile?.followerCount ?? null);
+      
+      // Update verification log
+      await updateVerificationStatus(record.guildId, discordId, 'verified', new Date().toISOString(), {
+        discordName: member.user.tag,
+        tiktokUsername: effectiveUsername,
+        code: matchedCode,
+        initiatedAt: record.createdAt ? new Date(record.createdAt).toISOString() : new Date().toISOString(),
+      });
+      await recordVerificationEvent(record.guildId, 'verified', {
+        discordId,
+        discordName: member.user.tag,
+        tiktokUsername: effectiveUsername,
+        code: matchedCode,
+        details: 'Background check',
+      });
+
+      // Remove from pending
+      await removePendingVerification(record.guildId, discordId);
+
+      // DM the user
+      try {
+        await member.send(`🎉 **Verification successful!**\n\nI found the code **${matchedCode}** in the bio of **@${effectiveUsername}**.\nYou've been given the **Verified Viewer** role in **${guild.name}**.\n\nYou can remove the code from your TikTok bio now. 💀`);
+      } catch (dmErr) {
+        console.log(`[Background Verify] Could not DM ${member.user.tag}`);
+      }
+      
+      return 'verified';
+
+    } catch (verifyErr) {
+      console.error(`[Background Verify] Error verifying ${discordId}:`, verifyErr.message);
+      return null;
+    }
+    
+  } catch (err) {
+    console.error(`[Background Verify] Error checking ${discordId}:`, err.message);
+    await scheduleBackgroundRetry(record, discordId, startTime);
+    return 'failed';
   }
+}
+
+// Background verification checker - REDESIGNED for speed and reliability
+// Runs every 5 minutes, checks each DUE user once per cycle (fast checks)
+// Pending records are indexed by nextCheckAt, so a cycle only loads the records it will actually check
+// Users who keep failing back off (5m -> 15m -> 1h -> 6h -> daily) and expire after the guild's max age
+// A cycle can outlast the 5-minute interval when TikTok is slow - the next tick is skipped instead of overlapping it
+let backgroundCheckRunning = false;
+
+async function runBackgroundVerificationCheck() {
+  if (backgroundCheckRunning) {
+    console.log('[Background Verify] Previous cycle still running - skipping this one');
+    return;
+  }
+  backgroundCheckRunning = true;
+  try {
+    await runBackgroundVerificationCycle();
+  } finally {
+    backgroundCheckRunning = false;
+  }
+}
+
+// Check one due record while holding its activeVerifications slot, so a "Verify Now" click can't check it at the same time
+// The record is re-read first - it may have been verified or removed since the cycle loaded it
+async function checkDuePending(key, record, startTime) {
+  if (activeVerifications.has(key)) return 'skipped';
+  activeVerifications.add(key);
+  try {
+    const { guildId, discordId } = parsePendingKey(key);
+    let latest = record;
+    try {
+      latest = await storage.getPending(guildId, discordId);
+    } catch (err) {
+      console.error(`[Background Verify] Could not re-read ${key}, using the loaded record:`, err.message);
+    }
+    if (!latest) {
+      pendingVerifications.delete(key);
+      return 'skipped';
+    }
+    return await checkPendingInBackground(key, latest, startTime);
+  } finally {
+    activeVerifications.delete(key);
+  }
+}
+
+async function runBackgroundVerificationCycle() {
+  const startTime = Date.now();
+  console.log('[Background Verify] Starting quick check cycle...');
+  
+  // Fetch only due records from storage (source of truth - handles restarts gracefully)
+  let pending;
+  try {
+    const due = await storage.getDuePending(startTime);
+    for (const [key, record] of Object.entries(due)) {
+      pendingVerifications.set(key, record);
+    }
+    pending = Object.entries(due);
+  } catch (err) {
+    console.error('[Background Verify] Error loading due verifications from storage:', err.message);
+    // Fall back to the in-memory cache so a storage blip doesn't stall verification
+    pending = Array.from(pendingVerifications.entries())
+      .filter(([, record]) => (record.nextCheckAt || 0) <= startTime);
+  }
+
+  if (pending.length === 0) {
+    console.log('[Background Verify] No pending verifications due.');
+    return;
+  }
+  
+  console.log(`[Background Verify] Checking ${pending.length} due verification(s)...`);
+  
+  // Check every due user at once - the shared fetch pool caps concurrency and per-upstream request rates
+  const outcomes = await Promise.all(pending.map(([key, record]) => checkDuePending(key, record, startTime)));
+  const count = (outcome) => outcomes.filter(o => o === outcome).length;
+  const verified = count('verified');
+  const failed = count('failed');
+  const skipped = count('skipped');
+  const expired = count('expired');
+  const paused = count('paused');
+  const blocked = count('blocked');
+  const rejected = count('rejected');
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-  console.log(`[Background Verify] Cycle complete in ${elapsed}s - Verified: ${verified}, Pending: ${failed}, Skipped: ${skipped}`);
+  console.log(`[Background Verify] Cycle complete in ${elapsed}s - Verified: ${verified}, Pending: ${failed}, Skipped: ${skipped}, Expired: ${expired}, Paused (private): ${paused}, Blocked (duplicate): ${blocked}, Rejected (requirements): ${rejected}`);
 }
 
 // Start background verification scheduler - runs every 5 minutes
 function startBackgroundVerificationScheduler() {
-  const FIVE_MINUTES = 5 * 60 * 1000;
-  
   // Run initial check after 30 seconds (quick startup)
   setTimeout(async () => {
     console.log('[Background Verify] Running initial check...');
@@ -1197,11 +1846,367 @@ function startBackgroundVerificationScheduler() {
   // Then run every 5 minutes
   setInterval(async () => {
     await runBackgroundVerificationCheck();
-  }, FIVE_MINUTES);
+  }, BACKGROUND_CHECK_INTERVAL);
   
   console.log('[Background Verify] Scheduler started - checking every 5 minutes');
 }
 
+// Handle change detection - TikTok handles can be renamed (and then claimed by someone else),
+// but the numeric user ID can't. Once a day, re-read every verified handle and compare IDs.
+// user is a snapshot from the start of the run - writes merge only the changed fields, and skip
+// members who were unverified while their profile was being fetched
+async function checkVerifiedHandle(guildId, user) {
+  const result = await fetchTikTokBio(user.tiktokUsername, 0);
+  const profile = result.profile;
+
+  // Older records (and manual verifies) have no ID yet - capture it while the handle still matches
+  if (!user.tiktokUserId) {
+    if (profile?.userId) {
+      const merged = await storage.mergeVerifiedUser(guildId, user.discordId, { tiktokUserId: profile.userId, tiktokSecUid: profile.secUid || null });
+      return merged ? 'backfilled' : null;
+    }
+    return null;
+  }
+
+  if (profile?.userId === user.tiktokUserId) {
+    if (profile.secUid && profile.secUid !== user.tiktokSecUid) {
+      await storage.mergeVerifiedUser(guildId, user.discordId, { tiktokSecUid: profile.secUid });
+    }
+    return null;
+  }
+  
+  // Couldn't read the page at all - try again tomorrow rather than guessing
+  if (!result.accountNotFound && !profile?.found) return null;
+
+  // The handle is gone or now belongs to a different account - find where our account went
+  const current = await fetchTikTokProfileByUserId(user.tiktokUserId);
+  if (current?.found && current.userId === user.tiktokUserId && current.uniqueId) {
+    const oldHandle = user.tiktokUsername;
+    const newHandle = current.uniqueId;
+    const merged = await storage.mergeVerifiedUser(guildId, user.discordId, {
+      tiktokUsername: newHandle,
+      tiktokSecUid: current.secUid || user.tiktokSecUid || null,
+      previousTikTokUsernames: [oldHandle, ...(user.previousTikTokUsernames || [])].slice(0, 10),
+      handleChangedAt: new Date().toISOString(),
+      handleMismatchFor: null,
+    });
+    if (!merged) return null;
+    await recordVerificationEvent(guildId, 'handle_changed', {
+      discordId: user.discordId,
+      discordName: user.discordTag || null,
+      tiktokUsername: newHandle,
+      details: `@${oldHandle} → @${newHandle}`,
+    });
+    await postModLog(guildId, `🔄 **TikTok handle changed**\n<@${user.discordId}> renamed **@${oldHandle}** → **@${newHandle}** (TikTok ID \`${user.tiktokUserId}\`). Their verified record has been updated.`);
+    console.log(`[Handle Check] ${user.discordId} in ${guildId}: @${oldHandle} → @${newHandle}`);
+    return 'renamed';
+  }
+
+  // Account not found by ID either - flag it for mods once per handle
+  if (user.handleMismatchFor === user.tiktokUsername) return null;
+  const flagged = await storage.mergeVerifiedUser(guildId, user.discordId, { handleMismatchFor: user.tiktokUsername });
+  if (!flagged) return null;
+  const what = result.accountNotFound ? 'no longer exists' : 'now belongs to a different TikTok account';
+  await postModLog(guildId, `⚠️ **Verified TikTok handle ${what}**\n<@${user.discordId}> was verified as **@${user.tiktokUsername}** (TikTok ID \`${user.tiktokUserId}\`), but that handle ${what} and I couldn't find their account's new handle. You may want to \`/unverify\` them or ask them to re-verify.`);
+  console.log(`[Handle Check] ${user.discordId} in ${guildId}: @${user.tiktokUsername} ${what}`);
+  return 'mismatch';
+}
+
+async function runHandleChangeCheck() {
+  const startTime = Date.now();
+  console.log('[Handle Check] Checking verified TikTok handles for renames...');
+
+  let allVerified;
+  try {
+    allVerified = await storage.getAllVerifiedUsers();
+  } catch (err) {
+    console.error('[Handle Check] Error loading verified users:', err.message);
+    return;
+  }
+
+  const checks = [];
+  for (const [guildId, users] of Object.entries(allVerified)) {
+    if (!client.guilds.cache.has(guildId)) continue; // Bot was removed from this server
+    for (const user of users) {
+      if (!user.tiktokUsername) continue;
+      checks.push(checkVerifiedHandle(guildId, user).catch(err => {
+        console.error(`[Handle Check] Error checking ${user.discordId} in ${guildId}:`, err.message);
+        return null;
+      }));
+    }
+  }
+
+  // The shared fetch pool keeps this from flooding TikTok
+  const outcomes = await Promise.all(checks);
+  const count = (outcome) => outcomes.filter(o => o === outcome).length;
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`[Handle Check] Done in ${elapsed}s - Checked: ${checks.length}, Renamed: ${count('renamed')}, Flagged: ${count('mismatch')}, IDs backfilled: ${count('backfilled')}`);
+}
+
+// Re-validation - does each verified TikTok account still exist?
+// Returns 'ok' | 'missing' | 'unreadable'. A handle that's gone but whose user ID still resolves
+// is a rename, which the handle change job deals with, so it counts as ok here.
+async function revalidateVerifiedUser(user) {
+  const result = await fetchTikTokBio(user.tiktokUsername, 0);
+  if (result.profile?.found) return 'ok';
+  if (!result.accountNotFound) return 'unreadable';
+
+  if (user.tiktokUserId) {
+    const byId = await fetchTikTokProfileByUserId(user.tiktokUserId);
+    if (!byId) return 'unreadable';
+    if (byId.found) return 'ok';
+  }
+  return 'missing';
+}
+
+// Apply the guild's re-validation action to a verified member whose account is gone
+// Returns false if they were unverified while the check ran - there's nothing left to act on
+async function applyRevalidationAction(guild, user, action) {
+  const guildId = guild.id;
+  const eventUser = {
+    discordId: user.discordId,
+    discordName: user.discordTag || null,
+    tiktokUsername: user.tiktokUsername,
+    details: `@${user.tiktokUsername} no longer exists - ${REVALIDATION_ACTIONS[action]}`,
+  };
+
+  if (action === 'remove_role') {
+    // Remove the record first so the role-removed listener doesn't log a second event
+    if (!await removeVerifiedUser(guildId, user.discordId)) return false;
+    await updateVerificationStatus(guildId, user.discordId, 'revalidation_failed');
+    const roleId = getVerifiedRoleId(guildId);
+    const member = await guild.members.fetch(user.discordId).catch(() => null);
+    if (member && roleId && member.roles.cache.has(roleId)) {
+      await member.roles.remove(roleId).catch(err => console.error(`[Revalidate] Could not remove role from ${user.discordId}:`, err.message));
+    }
+  } else {
+    const flagged = await storage.mergeVerifiedUser(guildId, user.discordId, {
+      revalidationFailedFor: user.tiktokUsername,
+      revalidationFailedAt: new Date().toISOString(),
+    });
+    if (!flagged) return false;
+  }
+
+  if (action === 'remove_role' || action === 'dm') {
+    try {
+      const member = await guild.members.fetch(user.discordId).catch(() => null);
+      if (member) {
+        const roleNote = action === 'remove_role' ? ' so your **Verified** role has been removed' : '';
+        await member.send(`🪦 **Your TikTok account couldn't be found**\n\nYou verified in **${guild.name}** as **@${user.tiktokUsername}**, but that account no longer exists${roleNote}.\n\nIf you have a new TikTok account, click **"Verify TikTok"** in the server to verify it.`);
+      }
+    } catch (dmErr) {
+      console.log(`[Revalidate] Could not DM ${user.discordId}`);
+    }
+  }
+
+  await recordVerificationEvent(guildId, 'revalidation_failed', eventUser);
+  return true;
+}
+
+// Re-validate every verified member of one guild and post a summary to its mod-log channel
+async function runGuildRevalidation(guildId, { actor = 'system' } = {}) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return null;
+
+  const { action } = getRevalidationSettings(guildId);
+  const users = (await getVerifiedUsers(guildId)).filter(u => u.tiktokUsername);
+  const summary = { checked: users.length, ok: 0, unreadable: 0, missing: [], alreadyFlagged: 0, restored: 0 };
+
+  // The shared fetch pool keeps this from flooding TikTok
+  await Promise.all(users.map(async (user) => {
+    try {
+      const outcome = await revalidateVerifiedUser(user);
+      if (outcome === 'unreadable') {
+        summary.unreadable++;
+        return;
+      }
+      if (outcome === 'ok') {
+        summary.ok++;
+        // Account is back (e.g. unbanned) - clear the old flag
+        if (user.revalidationFailedFor) {
+          const cleared = await storage.mergeVerifiedUser(guildId, user.discordId, { revalidationFailedFor: null, revalidationFailedAt: null });
+          if (cleared) summary.restored++;
+        }
+        return;
+      }
+      // Only act once per handle - a flagged member stays flagged until mods deal with it
+      if (user.revalidationFailedFor === user.tiktokUsername) {
+        summary.alreadyFlagged++;
+        return;
+      }
+      if (await applyRevalidationAction(guild, user, action)) summary.missing.push(user);
+    } catch (err) {
+      console.error(`[Revalidate] Error checking ${user.discordId} in ${guildId}:`, err.message);
+      summary.unreadable++;
+    }
+  }));
+
+  await setRevalidationSettings(guildId, { lastRunAt: new Date().toISOString() });
+
+  const lines = [
+    `🪦 **TikTok re-validation report**${actor !== 'system' ? ` (run by ${actor})` : ''}`,
+    `Checked **${summary.checked}** verified member(s): ✅ ${summary.ok} still exist, ❌ ${summary.missing.length} newly missing, ❓ ${summary.unreadable} couldn't be read.`,
+  ];
+  if (summary.alreadyFlagged > 0) lines.push(`🚩 ${summary.alreadyFlagged} already flagged from an earlier run.`);
+  if (summary.restored > 0) lines.push(`♻️ ${summary.restored} previously missing account(s) are back - flags cleared.`);
+  if (summary.missing.length > 0) {
+    lines.push(`\n**Action: ${REVALIDATION_ACTIONS[action]}**`);
+    const listed = summary.missing.slice(0, 20).map(u => `• <@${u.discordId}> - @${u.tiktokUsername}`);
+    if (summary.missing.length > 20) listed.push(`...and ${summary.missing.length - 20} more (see \`/verification-log event:revalidation_failed\`)`);
+    lines.push(...listed);
+  }
+  const posted = await postModLog(guildId, lines.join('\n'));
+
+  console.log(`[Revalidate] ${guild.name}: checked ${summary.checked}, missing ${summary.missing.length}, unreadable ${summary.unreadable}${posted ? '' : ' (no mod-log channel)'}`);
+  return { ...summary, posted };
+}
+
+// Run re-validation for every guild that turned it on and is due
+async function runRevalidationCheck() {
+  for (const guildId of guildConfigs.keys()) {
+    const settings = getRevalidationSettings(guildId);
+    if (!settings.enabled || !client.guilds.cache.has(guildId)) continue;
+    const dueAt = settings.lastRunAt ? new Date(settings.lastRunAt).getTime() + settings.intervalDays * 24 * 60 * 60 * 1000 : 0;
+    if (Date.now() < dueAt) continue;
+    try {
+      await runGuildRevalidation(guildId);
+    } catch (err) {
+      console.error(`[Revalidate] Error re-validating guild ${guildId}:`, err.message);
+    }
+  }
+}
+
+// Start re-validation scheduler - looks for due guilds every 6 hours
+// lastRunAt is stored in the guild config, so restarts don't trigger extra runs
+function startRevalidationScheduler() {
+  setTimeout(async () => {
+    await runRevalidationCheck();
+  }, 20 * 60 * 1000);
+  
+  setInterval(async () => {
+    await runRevalidationCheck();
+  }, 6 * 60 * 60 * 1000);
+  
+  console.log('[Revalidate] Scheduler started - checking for due guilds every 6 hours');
+}
+
+// Tier role refresh - re-read follower counts and move members between tiers
+async function refreshGuildTierRoles(guildId) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild || getTierRoles(guildId).length === 0) return null;
+
+  const users = (await getVerifiedUsers(guildId)).filter(u => u.tiktokUsername);
+  const summary = { checked: users.length, changed: 0, unreadable: 0 };
+
+  // The shared fetch pool keeps this from flooding TikTok
+  await Promise.all(users.map(async (user) => {
+    try {
+      const result = await fetchTikTokBio(user.tiktokUsername, 0);
+      const followerCount = result.profile?.followerCount;
+      if (followerCount == null) {
+        summary.unreadable++;
+        return;
+      }
+      if (followerCount !== user.followerCount) {
+        const updated = await storage.mergeVerifiedUser(guildId, user.discordId, { followerCount, followerCountUpdatedAt: new Date().toISOString() });
+        if (!updated) return; // Unverified while we were fetching - leave their roles alone
+        syncLinkedRole(user.discordId);
+      }
+
+      const member = await guild.members.fetch(user.discordId).catch(() => null);
+      if (!member) return;
+      const before = getTierForFollowers(guildId, user.followerCount)?.roleId || null;
+      const after = (await syncTierRoles(guild, member, followerCount))?.roleId || null;
+      if (before !== after) summary.changed++;
+    } catch (err) {
+      console.error(`[Tier Roles] Error refreshing ${user.discordId} in ${guildId}:`, err.message);
+      summary.unreadable++;
+    }
+  }));
+
+  console.log(`[Tier Roles] ${guild.name}: refreshed ${summary.checked}, tier changes ${summary.changed}, unreadable ${summary.unreadable}`);
+  return summary;
+}
+
+async function runTierRoleRefresh() {
+  for (const guildId of guildConfigs.keys()) {
+    if (getTierRoles(guildId).length === 0 || !client.guilds.cache.has(guildId)) continue;
+    try {
+      await refreshGuildTierRoles(guildId);
+    } catch (err) {
+      console.error(`[Tier Roles] Error refreshing guild ${guildId}:`, err.message);
+    }
+  }
+}
+
+// Start tier role scheduler - runs once a day
+function startTierRoleScheduler() {
+  setTimeout(async () => {
+    await runTierRoleRefresh();
+  }, 30 * 60 * 1000);
+  
+  setInterval(async () => {
+    await runTierRoleRefresh();
+  }, 24 * 60 * 60 * 1000);
+  
+  console.log('[Tier Roles] Scheduler started - refreshing follower tiers once a day');
+}
+
+// Linked Roles token rotation - Discord access tokens last 7 days, so refresh any that expire within a
+// day. Keeps tokens usable for members who aren't re-verified for weeks; revoked grants are deleted.
+// The same job re-pushes each member's metadata once a day.
+const LINKED_ROLE_REFRESH_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LINKED_ROLE_RESYNC_AFTER_MS = 24 * 60 * 60 * 1000;
+
+async function runLinkedRoleTokenRefresh() {
+  if (!isLinkedRolesConfigured(linkedRolesConfig)) return;
+  try {
+    const { checked, refreshed, revoked, failed } = await refreshExpiringTokens(storage, linkedRolesConfig, { withinMs: LINKED_ROLE_REFRESH_WINDOW_MS });
+    if (checked > 0) console.log(`[Linked Roles] Token refresh - Refreshed: ${refreshed}, Revoked: ${revoked}, Failed: ${failed}`);
+  } catch (err) {
+    console.error('[Linked Roles] Token refresh error:', err.message);
+  }
+
+  // Re-push metadata once a day so tiktok_account_age_days keeps counting up
+  try {
+    const { checked, updated, failed } = await resyncStaleRoleConnections(storage, linkedRolesConfig, { olderThanMs: LINKED_ROLE_RESYNC_AFTER_MS });
+    if (checked > 0) console.log(`[Linked Roles] Metadata re-sync - Updated: ${updated}, Failed: ${failed}`);
+  } catch (err) {
+    console.error('[Linked Roles] Metadata re-sync error:', err.message);
+  }
+}
+
+// Start linked-role token refresh scheduler - runs every 6 hours
+function startLinkedRoleTokenScheduler() {
+  if (!isLinkedRolesConfigured(linkedRolesConfig)) return;
+  
+  setTimeout(async () => {
+    await runLinkedRoleTokenRefresh();
+  }, 5 * 60 * 1000);
+  
+  setInterval(async () => {
+    await runLinkedRoleTokenRefresh();
+  }, 6 * 60 * 60 * 1000);
+  
+  console.log('[Linked Roles] Token refresh scheduler started - every 6 hours');
+}
+
+// Start handle change scheduler - runs once a day
+function startHandleChangeScheduler() {
+  const ONE_DAY = 24 * 60 * 60 * 1000;
+  
+  // First run 10 minutes after startup, out of the way of the initial background verify
+  setTimeout(async () => {
+    await runHandleChangeCheck();
+  }, 10 * 60 * 1000);
+  
+  setInterval(async () => {
+    await runHandleChangeCheck();
+  }, ONE_DAY);
+  
+  console.log('[Handle Check] Scheduler started - checking verified handles once a day');
+}
+
 // Slash command definitions
 const slashCommands = [
   new SlashCommandBuilder()
@@ -1211,6 +2216,96 @@ const slashCommands = [
     .setName('set-verified-role')
     .setDescription('Set the role given to verified users')
     .addRoleOption(option => option.setName('role').setDescription('Role to give verified users').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('set-mod-log')
+    .setDescription('Set the channel where the bot reports TikTok handle changes and other mod alerts')
+    .addChannelOption(option => option.setName('channel').setDescription('Mod-log channel').setRequired(true).addChannelTypes(ChannelType.GuildText)),
+  new SlashCommandBuilder()
+    .setName('conflicts')
+    .setDescription('Review TikTok accounts linked to more than one member')
+    .addSubcommand(sub => sub.setName('list').setDescription('List TikTok accounts verified by more than one member'))
+    .addSubcommand(sub => sub.setName('resolve').setDescription('Resolve a duplicate for one member')
+      .addUserOption(option => option.setName('user').setDescription('Member to resolve').setRequired(true))
+      .addStringOption(option => option.setName('action').setDescription('What to do with this member').setRequired(true)
+        .addChoices(
+          { name: 'Keep verified (mark reviewed)', value: 'keep' },
+          { name: 'Unverify', value: 'unverify' },
+        )))
+    .addSubcommand(sub => sub.setName('policy').setDescription('Set what happens when a TikTok is claimed twice')
+      .addStringOption(option => option.setName('mode').setDescription(`Policy (default ${DEFAULT_DUPLICATE_POLICY})`).setRequired(true)
+        .addChoices(
+          { name: 'Allow - verify anyway', value: 'allow' },
+          { name: 'Block - refuse the second claim', value: 'block' },
+          { name: 'Flag - verify, but flag for review', value: 'flag' },
+        ))),
+  new SlashCommandBuilder()
+    .setName('trusted-guilds')
+    .setDescription('Manage servers whose TikTok verifications members can import here')
+    .addSubcommand(sub => sub.setName('list').setDescription('List trusted servers'))
+    .addSubcommand(sub => sub.setName('add').setDescription('Trust verifications from another server')
+      .addStringOption(option => option.setName('guild_id').setDescription('Server ID to trust').setRequired(true)))
+    .addSubcommand(sub => sub.setName('remove').setDescription('Stop trusting a server')
+      .addStringOption(option => option.setName('guild_id').setDescription('Server ID to remove').setRequired(true))),
+  new SlashCommandBuilder()
+    .setName('set-pending-expiry')
+    .setDescription('Set how many days the bot keeps checking a pending verification')
+    .addIntegerOption(option => option.setName('days').setDescription(`Days before giving up (default ${DEFAULT_PENDING_MAX_AGE_DAYS})`).setRequired(true).setMinValue(1).setMaxValue(90)),
+  new SlashCommandBuilder()
+    .setName('code-settings')
+    .setDescription('Set the verification code format and how strictly bios are matched (no options shows current)')
+    .addStringOption(option => option.setName('prefix').setDescription('Code prefix, letters/numbers only (auto = server owner\'s name)').setMaxLength(10))
+    .addIntegerOption(option => option.setName('length').setDescription('Characters after the prefix').setMinValue(CODE_LENGTH_LIMITS.min).setMaxValue(CODE_LENGTH_LIMITS.max))
+    .addStringOption(option => option.setName('alphabet').setDescription('Characters used after the prefix')
+      .addChoices(
+        { name: 'Digits (0-9)', value: 'digits' },
+        { name: 'Crockford base32 (no I/L/O/U)', value: 'crockford' },
+      ))
+    .addIntegerOption(option => option.setName('prefix_typos').setDescription('Typos tolerated in the prefix, e.g. 1 accepts JAMIE for JAIME').setMinValue(0).setMaxValue(MAX_PREFIX_TYPOS))
+    .addBooleanOption(option => option.setName('ignore_separators').setDescription('Accept the code with spaces or dashes missing/added'))
+    .addStringOption(option => option.setName('position').setDescription('Where in the bio the code must be')
+      .addChoices(
+        { name: 'Anywhere in the bio', value: 'anywhere' },
+        { name: 'At the start of the bio', value: 'start' },
+      ))
+    .addIntegerOption(option => option.setName('ttl_hours').setDescription('Hours a code stays valid after it is issued (default 48)').setMinValue(CODE_TTL_LIMITS.min).setMaxValue(CODE_TTL_LIMITS.max)),
+  new SlashCommandBuilder()
+    .setName('verification-method')
+    .setDescription('Choose how members prove they own their TikTok')
+    .addStringOption(option => option.setName('method').setDescription('Verification method').setRequired(true)
+      .addChoices(...Object.entries(VERIFICATION_METHODS).map(([value, name]) => ({ name, value })))),
+  new SlashCommandBuilder()
+    .setName('video-proof')
+    .setDescription('Let members verify with a code in a video caption or a comment instead of their bio')
+    .addBooleanOption(option => option.setName('enabled').setDescription('Offer video proof when members click "Verify TikTok"').setRequired(true))
+    .addStringOption(option => option.setName('creator_video').setDescription('Video members can comment the code on (full TikTok video link, or "none")')),
+  new SlashCommandBuilder()
+    .setName('requirements')
+    .setDescription('Minimum TikTok account stats needed to verify in this server')
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the current requirements'))
+    .addSubcommand(sub => sub.setName('set').setDescription('Set requirements (0 removes one, omitted ones stay as they are)')
+      .addIntegerOption(option => option.setName('min_followers').setDescription('Minimum follower count').setMinValue(0))
+      .addIntegerOption(option => option.setName('min_videos').setDescription('Minimum number of posted videos').setMinValue(0))
+      .addIntegerOption(option => option.setName('min_account_age_days').setDescription('Minimum TikTok account age in days').setMinValue(0).setMaxValue(3650))
+      .addStringOption(option => option.setName('follows_creator').setDescription('TikTok account members must follow (username, or "none")'))),
+  new SlashCommandBuilder()
+    .setName('tier-roles')
+    .setDescription('Give verified members extra roles by TikTok follower count')
+    .addSubcommand(sub => sub.setName('list').setDescription('List follower tiers'))
+    .addSubcommand(sub => sub.setName('add').setDescription('Add or update a follower tier')
+      .addIntegerOption(option => option.setName('min_followers').setDescription('Followers needed for this tier (e.g. 1000)').setRequired(true).setMinValue(1))
+      .addRoleOption(option => option.setName('role').setDescription('Role for this tier').setRequired(true)))
+    .addSubcommand(sub => sub.setName('remove').setDescription('Remove a follower tier')
+      .addRoleOption(option => option.setName('role').setDescription('Tier role to remove').setRequired(true)))
+    .addSubcommand(sub => sub.setName('refresh').setDescription('Re-read follower counts and update tier roles now')),
+  new SlashCommandBuilder()
+    .setName('revalidation')
+    .setDescription('Periodically check that verified TikTok accounts still exist')
+    .addSubcommand(sub => sub.setName('settings').setDescription('Turn re-validation on/off and choose what happens to missing accounts')
+      .addBooleanOption(option => option.setName('enabled').setDescription('Run re-validation automatically').setRequired(true))
+      .addStringOption(option => option.setName('action').setDescription('What to do when an account no longer exists (default: flag)')
+        .addChoices(...Object.entries(REVALIDATION_ACTIONS).map(([value, name]) => ({ name, value }))))
+      .addIntegerOption(option => option.setName('interval_days').setDescription(`Days between runs (default ${DEFAULT_REVALIDATION_INTERVAL_DAYS})`).setMinValue(1).setMaxValue(90)))
+    .addSubcommand(sub => sub.setName('run').setDescription('Re-validate every verified member now')),
   new SlashCommandBuilder()
     .setName('verified-list')
     .setDescription('Show all verified users in this server'),
@@ -1253,21 +2348,24 @@ const slashCommands = [
     .addStringOption(option => option.setName('code').setDescription('Verification code (e.g., 98986 or JAIME-98986)').setRequired(true)),
   new SlashCommandBuilder()
     .setName('redis-check')
-    .setDescription('Check Redis storage status (owner only)'),
+    .setDescription('Check storage backend status (owner only)'),
+  new SlashCommandBuilder()
+    .setName('fetch-status')
+    .setDescription('Show TikTok fetch provider health and pool stats (owner only)'),
   new SlashCommandBuilder()
     .setName('verification-log')
-    .setDescription('View all verification activity')
-    .addStringOption(option => option.setName('status').setDescription('Filter by status').setRequired(false)
+    .setDescription('View verification event history')
+    .addStringOption(option => option.setName('event').setDescription('Filter by event type').setRequired(false)
       .addChoices(
         { name: 'All', value: 'all' },
-        { name: 'Pending', value: 'pending' },
-        { name: 'Verified', value: 'verified' },
-        { name: 'Manual', value: 'manual' },
-        { name: 'Stale (>24h)', value: 'stale' }
-      )),
+        ...Object.entries(VERIFICATION_EVENT_TYPES).map(([value, { label }]) => ({ name: label, value }))
+      ))
+    .addUserOption(option => option.setName('user').setDescription('Only show events for this user').setRequired(false))
+    .addIntegerOption(option => option.setName('page').setDescription('Page number (newest first)').setRequired(false).setMinValue(1)),
   new SlashCommandBuilder()
     .setName('export-log')
-    .setDescription('Export verification log as CSV'),
+    .setDescription('Export verification event history as CSV')
+    .addUserOption(option => option.setName('user').setDescription('Only export events for this user').setRequired(false)),
   new SlashCommandBuilder()
     .setName('backfill-log')
     .setDescription('Populate verification log from existing pending/verified records'),
@@ -1327,6 +2425,18 @@ client.once(Events.ClientReady, async (c) => {
   
   // Start background verification scheduler
   startBackgroundVerificationScheduler();
+  
+  // Start handle change scheduler
+  startHandleChangeScheduler();
+  
+  // Start re-validation scheduler
+  startRevalidationScheduler();
+  
+  // Start tier role scheduler
+  startTierRoleScheduler();
+  
+  // Start linked-role token refresh scheduler
+  startLinkedRoleTokenScheduler();
 });
 
 // Helper: Get human-readable entitlement type
@@ -1365,47 +2475,467 @@ client.on(Events.InteractionCreate, async (interaction) => {
           return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
         }
         
-        const hasAccess = await checkGuildEntitlement(interaction.guild.id);
-        if (!hasAccess) {
-          return interaction.reply({ ...getSubscriptionMessage(), ephemeral: true });
+        const hasAccess = await checkGuildEntitlement(interaction.guild.id);
+        if (!hasAccess) {
+          return interaction.reply({ ...getSubscriptionMessage(), ephemeral: true });
+        }
+        
+        // Check if verified role is configured
+        const roleId = getVerifiedRoleId(interaction.guild.id);
+        if (!roleId) {
+          return interaction.reply({ 
+            content: "❌ Please set a verified role first using `/set-verified-role`.", 
+            ephemeral: true 
+          });
+        }
+        
+        const verifyButton = new ButtonBuilder()
+          .setCustomId('verify_tiktok_start')
+          .setLabel('Verify TikTok')
+          .setStyle(ButtonStyle.Primary);
+        const row = new ActionRowBuilder().addComponents(verifyButton);
+        
+        await interaction.channel.send({
+          content: '👋 **TikTok Verification**\n\nVerify your TikTok account to link your identity across platforms.\n\n**Before you start:**\n• Your TikTok profile must be **PUBLIC** (not private)\n• You\'ll receive a verification code\n• Add the code to the **BEGINNING** of your TikTok bio\n• Wait 30-60 seconds after saving before verifying\n\nOnce verified, you\'ll receive the **Verified** role.\n\n💀 Click below to begin:',
+          components: [row],
+        });
+        
+        return interaction.reply({ content: '✅ Verification panel created!', ephemeral: true });
+      }
+      
+      // /set-verified-role - Set the verified role
+      if (commandName === 'set-verified-role') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const role = interaction.options.getRole('role');
+        await setVerifiedRoleId(interaction.guild.id, role.id);
+        
+        return interaction.reply({ 
+          content: `✅ Verified role set to ${role}. Users who complete verification will receive this role.`, 
+          ephemeral: true 
+        });
+      }
+      
+      // /set-mod-log - Set the mod-log channel
+      if (commandName === 'set-mod-log') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const channel = interaction.options.getChannel('channel');
+        await setModLogChannelId(interaction.guild.id, channel.id);
+        
+        return interaction.reply({ 
+          content: `✅ Mod-log channel set to ${channel}. TikTok handle changes will be reported there.`, 
+          ephemeral: true 
+        });
+      }
+      
+      // /conflicts - List and resolve TikTok accounts claimed by more than one member
+      if (commandName === 'conflicts') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const subcommand = interaction.options.getSubcommand();
+        
+        if (subcommand === 'policy') {
+          const mode = interaction.options.getString('mode');
+          await setDuplicatePolicy(interaction.guild.id, mode);
+          const explanation = {
+            allow: 'Members can verify with a TikTok that someone else already uses.',
+            block: 'A TikTok already verified by one member can\'t be used by another.',
+            flag: 'Duplicates are verified but flagged here and in the mod-log for review.',
+          }[mode];
+          return interaction.reply({ content: `✅ Duplicate TikTok policy set to **${mode}**. ${explanation}`, ephemeral: true });
+        }
+        
+        const verifiedUsers = await getVerifiedUsers(interaction.guild.id);
+        
+        if (subcommand === 'list') {
+          // Group by TikTok user ID when known, otherwise by handle
+          const groups = new Map();
+          for (const u of verifiedUsers) {
+            if (!u.tiktokUsername) continue;
+            const key = u.tiktokUserId ? `id:${u.tiktokUserId}` : `handle:${u.tiktokUsername.toLowerCase()}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(u);
+          }
+          // A handle-only record can still collide with an ID group that shares its handle
+          for (const [key, users] of groups.entries()) {
+            if (!key.startsWith('handle:')) continue;
+            const idGroup = Array.from(groups.entries()).find(([k, g]) => k.startsWith('id:') && g.some(u => u.tiktokUsername.toLowerCase() === key.slice(7)));
+            if (idGroup) {
+              idGroup[1].push(...users);
+              groups.delete(key);
+            }
+          }
+          const duplicates = Array.from(groups.values()).filter(users => users.length > 1);
+          
+          if (duplicates.length === 0) {
+            return interaction.reply({ content: `✅ No duplicate TikTok accounts. Policy: **${getDuplicatePolicy(interaction.guild.id)}**`, ephemeral: true });
+          }
+          
+          const lines = duplicates.slice(0, 15).map(users => {
+            const members = users.map(u => {
+              const status = u.duplicateReviewedBy ? ' ✅ reviewed' : (u.duplicateFlagged ? ' 🚩 flagged' : '');
+              return `   • <@${u.discordId}> (${new Date(u.verifiedAt).toLocaleDateString()})${status}`;
+            }).join('\n');
+            return `**@${users[0].tiktokUsername}**\n${members}`;
+          });
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🚩 Duplicate TikTok Accounts')
+            .setColor(0xe67e22)
+            .setDescription(`${lines.join('\n\n')}\n\nPolicy: **${getDuplicatePolicy(interaction.guild.id)}** • Use \`/conflicts resolve\` to keep or unverify a member.`)
+            .setFooter({ text: duplicates.length > 15 ? `Showing 15 of ${duplicates.length} duplicates` : `${duplicates.length} duplicate(s)` })
+            .setTimestamp();
+          
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+        
+        if (subcommand === 'resolve') {
+          const targetUser = interaction.options.getUser('user');
+          const action = interaction.options.getString('action');
+          const userData = verifiedUsers.find(u => u.discordId === targetUser.id);
+          
+          if (!userData) {
+            return interaction.reply({ content: `❌ **${targetUser.tag}** is not verified.`, ephemeral: true });
+          }
+          
+          if (action === 'keep') {
+            const kept = await storage.mergeVerifiedUser(interaction.guild.id, targetUser.id, {
+              duplicateFlagged: false,
+              duplicateReviewedBy: interaction.user.tag,
+              duplicateReviewedAt: new Date().toISOString(),
+            });
+            if (!kept) {
+              return interaction.reply({ content: `❌ **${targetUser.tag}** is no longer verified.`, ephemeral: true });
+            }
+            await recordVerificationEvent(interaction.guild.id, 'duplicate_resolved', {
+              discordId: targetUser.id,
+              discordName: targetUser.tag,
+              tiktokUsername: userData.tiktokUsername,
+              actor: interaction.user.tag,
+              details: 'Kept verified',
+            });
+            return interaction.reply({ content: `✅ Kept **${targetUser.tag}** verified as @${userData.tiktokUsername} and marked the duplicate as reviewed.`, ephemeral: true });
+          }
+          
+          await removeVerifiedUser(interaction.guild.id, targetUser.id);
+          await recordVerificationEvent(interaction.guild.id, 'duplicate_resolved', {
+            discordId: targetUser.id,
+            discordName: targetUser.tag,
+            tiktokUsername: userData.tiktokUsername,
+            actor: interaction.user.tag,
+            details: 'Unverified (duplicate TikTok)',
+          });
+          
+          try {
+            const member = await interaction.guild.members.fetch(targetUser.id);
+            const roleId = getVerifiedRoleId(interaction.guild.id);
+            const role = roleId ? interaction.guild.roles.cache.get(roleId) : null;
+            if (role && member.roles.cache.has(role.id)) await member.roles.remove(role);
+          } catch {}
+          
+          return interaction.reply({ content: `✅ Removed verification for **${targetUser.tag}** (duplicate @${userData.tiktokUsername}).`, ephemeral: true });
+        }
+      }
+      
+      // /trusted-guilds - Manage cross-server verification import
+      if (commandName === 'trusted-guilds') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const subcommand = interaction.options.getSubcommand();
+        const trusted = getTrustedGuildIds(interaction.guild.id);
+        
+        if (subcommand === 'list') {
+          if (trusted.length === 0) {
+            return interaction.reply({ content: '📋 No trusted servers. Members always verify with a bio code here.\n\nUse `/trusted-guilds add` to accept verifications from a partner server.', ephemeral: true });
+          }
+          const list = trusted.map(id => `• **${getGuildLabel(id)}** (\`${id}\`)`).join('\n');
+          return interaction.reply({ content: `🤝 **Trusted servers**\nMembers verified in these servers can import their TikTok here with one click:\n\n${list}`, ephemeral: true });
+        }
+        
+        const targetGuildId = interaction.options.getString('guild_id').trim();
+        if (!/^\d{17,20}$/.test(targetGuildId)) {
+          return interaction.reply({ content: '❌ That doesn\'t look like a server ID. Right-click the server icon → **Copy Server ID** (Developer Mode must be on).', ephemeral: true });
+        }
+        
+        if (subcommand === 'add') {
+          if (targetGuildId === interaction.guild.id) {
+            return interaction.reply({ content: '❌ A server can\'t trust itself.', ephemeral: true });
+          }
+          if (trusted.includes(targetGuildId)) {
+            return interaction.reply({ content: `ℹ️ **${getGuildLabel(targetGuildId)}** is already trusted.`, ephemeral: true });
+          }
+          await setTrustedGuildIds(interaction.guild.id, [...trusted, targetGuildId]);
+          return interaction.reply({ content: `✅ Now trusting verifications from **${getGuildLabel(targetGuildId)}**. Members verified there will be offered a one-click import when they click **"Verify TikTok"**.`, ephemeral: true });
+        }
+        
+        if (subcommand === 'remove') {
+          if (!trusted.includes(targetGuildId)) {
+            return interaction.reply({ content: `ℹ️ **${getGuildLabel(targetGuildId)}** isn't on the trusted list.`, ephemeral: true });
+          }
+          await setTrustedGuildIds(interaction.guild.id, trusted.filter(id => id !== targetGuildId));
+          return interaction.reply({ content: `✅ Stopped trusting **${getGuildLabel(targetGuildId)}**. Members already imported stay verified.`, ephemeral: true });
+        }
+      }
+      
+      // /set-pending-expiry - Set how long background checks keep running
+      if (commandName === 'set-pending-expiry') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const days = interaction.options.getInteger('days');
+        await setPendingMaxAgeDays(interaction.guild.id, days);
+        
+        return interaction.reply({ 
+          content: `✅ Pending verifications will now expire after **${days} day(s)**. Users are DMed once when the bot stops checking.`, 
+          ephemeral: true 
+        });
+      }
+      
+      // /code-settings - Code format and bio matching strictness
+      if (commandName === 'code-settings') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const updates = {};
+        const prefixInput = interaction.options.getString('prefix');
+        if (prefixInput !== null) {
+          const prefix = prefixInput.trim().toUpperCase();
+          if (prefix === 'AUTO') {
+            updates.prefix = null;
+          } else if (/^[A-Z0-9]{1,10}$/.test(prefix)) {
+            updates.prefix = prefix;
+          } else {
+            return interaction.reply({ content: '❌ The prefix can only use letters A-Z and numbers (max 10), or `auto`.', ephemeral: true });
+          }
+        }
+        const length = interaction.options.getInteger('length');
+        if (length !== null) updates.length = length;
+        const alphabet = interaction.options.getString('alphabet');
+        if (alphabet !== null) updates.alphabet = alphabet;
+        const prefixTypos = interaction.options.getInteger('prefix_typos');
+        if (prefixTypos !== null) updates.prefixTypos = prefixTypos;
+        const ignoreSeparators = interaction.options.getBoolean('ignore_separators');
+        if (ignoreSeparators !== null) updates.ignoreSeparators = ignoreSeparators;
+        const position = interaction.options.getString('position');
+        if (position !== null) updates.position = position;
+        const ttlHours = interaction.options.getInteger('ttl_hours');
+        if (ttlHours !== null) updates.ttlHours = ttlHours;
+        
+        const changed = Object.keys(updates).length > 0;
+        if (changed) await setCodeSettings(interaction.guild.id, updates);
+        
+        const settings = getCodeSettings(interaction.guild.id);
+        const example = await generateCode(interaction.guild);
+        const lines = [
+          `• **Prefix:** ${settings.prefix ? `\`${settings.prefix}\`` : 'auto (server owner\'s name)'}`,
+          `• **Length:** ${settings.length} ${settings.alphabet === 'digits' ? 'digits' : 'characters'}`,
+          `• **Alphabet:** ${settings.alphabet === 'digits' ? 'digits' : 'Crockford base32'} (\`${ALPHABETS[settings.alphabet]}\`)`,
+          `• **Prefix typos allowed:** ${settings.prefixTypos}`,
+          `• **Ignore spaces/dashes:** ${settings.ignoreSeparators ? 'yes' : 'no'}`,
+          `• **Position:** ${settings.position === 'start' ? 'must be at the start of the bio' : 'anywhere in the bio'}`,
+          `• **Code lifetime:** ${settings.ttlHours} hour(s)`,
+        ];
+        return interaction.reply({
+          content: `${changed ? '✅ **Code settings updated**' : '🔐 **Code settings**'}\n${lines.join('\n')}\n\nExample code: \`${example}\`${changed ? '\n\nCodes already handed out keep their format; the matching rules apply to every check from now on.' : ''}`,
+          ephemeral: true,
+        });
+      }
+      
+      // /verification-method - Codes, Sign in with TikTok, or either
+      if (commandName === 'verification-method') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const method = interaction.options.getString('method');
+        if (method !== 'bio' && !isTikTokLoginConfigured()) {
+          return interaction.reply({
+            content: '❌ Sign in with TikTok isn\'t set up for this bot. The bot owner needs to set `TIKTOK_CLIENT_KEY`, `TIKTOK_CLIENT_SECRET` and `PUBLIC_URL` and run the web server (`server.js`).',
+            ephemeral: true,
+          });
+        }
+        await setVerificationMethod(interaction.guild.id, method);
+        
+        const descriptions = {
+          bio: 'Members verify with a code in their TikTok bio' + (getVideoProofSettings(interaction.guild.id).enabled ? ' or a video (`/video-proof`)' : '') + '.',
+          oauth: 'Members verify by signing in with TikTok - no codes.',
+          either: 'Members choose between a code and signing in with TikTok.',
+        };
+        return interaction.reply({ content: `✅ Verification method set to **${VERIFICATION_METHODS[method]}**.\n${descriptions[method]}`, ephemeral: true });
+      }
+      
+      // /video-proof - Caption/comment proof instead of a bio code
+      if (commandName === 'video-proof') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        const enabled = interaction.options.getBoolean('enabled');
+        const updates = { enabled };
+        const creatorVideo = interaction.options.getString('creator_video');
+        if (creatorVideo !== null) {
+          if (creatorVideo.trim().toLowerCase() === 'none') {
+            updates.creatorVideoUrl = null;
+          } else if (parseTikTokVideoUrl(creatorVideo.trim())) {
+            updates.creatorVideoUrl = creatorVideo.trim();
+          } else {
+            return interaction.reply({ content: '❌ That doesn\'t look like a TikTok video link. Use the full link, like `https://www.tiktok.com/@creator/video/1234567890`.', ephemeral: true });
+          }
+        }
+        await setVideoProofSettings(interaction.guild.id, updates);
+        
+        if (!enabled) {
+          return interaction.reply({ content: '✅ Video proof is **off**. Members verify with a code in their bio.', ephemeral: true });
+        }
+        const settings = getVideoProofSettings(interaction.guild.id);
+        const commentNote = settings.creatorVideoId
+          ? `• **Comment** the code on ${settings.creatorVideoUrl}`
+          : '• Commenting is off - set `creator_video` to let members comment the code on a video';
+        return interaction.reply({
+          content: `✅ Video proof is **on**. "Verify TikTok" now offers a choice between a bio code and:\n${commentNote}\n• **Caption** of a video posted by the member's own account`,
+          ephemeral: true,
+        });
+      }
+      
+      // /requirements - Show or set minimum TikTok account stats
+      if (commandName === 'requirements') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
+        }
+        
+        if (interaction.options.getSubcommand() === 'set') {
+          const updates = {};
+          const options = { minFollowers: 'min_followers', minVideos: 'min_videos', minAccountAgeDays: 'min_account_age_days' };
+          for (const [key, optionName] of Object.entries(options)) {
+            const value = interaction.options.getInteger(optionName);
+            if (value !== null) updates[key] = value;
+          }
+          const followsCreator = interaction.options.getString('follows_creator');
+          if (followsCreator !== null) {
+            const creator = followsCreator.trim().replace(/^@/, '');
+            if (creator.toLowerCase() === 'none') {
+              updates.followsCreator = null;
+            } else if (!/^[a-zA-Z0-9_.]{2,24}$/.test(creator)) {
+              return interaction.reply({ content: '❌ That doesn\'t look like a TikTok username. Use just the handle, like `@creator`.', ephemeral: true });
+            } else if (!isTikTokResearchConfigured()) {
+              return interaction.reply({
+                content: '❌ Checking who members follow isn\'t set up for this bot. The bot owner needs a TikTok Research API app and to set `TIKTOK_RESEARCH_CLIENT_KEY` and `TIKTOK_RESEARCH_CLIENT_SECRET`.',
+                ephemeral: true,
+              });
+            } else {
+              updates.followsCreator = creator;
+            }
+          }
+          if (Object.keys(updates).length === 0) {
+            return interaction.reply({ content: '❌ Pass at least one of `min_followers`, `min_videos`, `min_account_age_days` or `follows_creator`.', ephemeral: true });
+          }
+          await setVerificationRequirements(interaction.guild.id, updates);
         }
         
-        // Check if verified role is configured
-        const roleId = getVerifiedRoleId(interaction.guild.id);
-        if (!roleId) {
-          return interaction.reply({ 
-            content: "❌ Please set a verified role first using `/set-verified-role`.", 
-            ephemeral: true 
-          });
+        const requirements = getVerificationRequirements(interaction.guild.id);
+        const lines = Object.entries(VERIFICATION_REQUIREMENTS)
+          .map(([key, label]) => `• **${label}:** ${requirements[key] > 0 ? `at least ${requirements[key]}` : 'no requirement'}`);
+        lines.push(`• **Follows:** ${requirements.followsCreator ? `@${requirements.followsCreator}` : 'no requirement'}`);
+        const anySet = Object.values(requirements).some(v => v > 0) || Boolean(requirements.followsCreator);
+        return interaction.reply({
+          content: `📏 **TikTok account requirements**\n${lines.join('\n')}\n\n${anySet ? 'Members whose code matches but whose account falls short are told why and logged as `requirements_failed`. Manual verifies skip these checks.' : 'Any TikTok account can verify.'}`,
+          ephemeral: true,
+        });
+      }
+      
+      // /tier-roles - Follower tier roles
+      if (commandName === 'tier-roles') {
+        if (!isAdmin) {
+          return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
         }
         
-        const verifyButton = new ButtonBuilder()
-          .setCustomId('verify_tiktok_start')
-          .setLabel('Verify TikTok')
-          .setStyle(ButtonStyle.Primary);
-        const row = new ActionRowBuilder().addComponents(verifyButton);
+        const subcommand = interaction.options.getSubcommand();
+        const tiers = getTierRoles(interaction.guild.id);
         
-        await interaction.channel.send({
-          content: '👋 **TikTok Verification**\n\nVerify your TikTok account to link your identity across platforms.\n\n**Before you start:**\n• Your TikTok profile must be **PUBLIC** (not private)\n• You\'ll receive a verification code\n• Add the code to the **BEGINNING** of your TikTok bio\n• Wait 30-60 seconds after saving before verifying\n\nOnce verified, you\'ll receive the **Verified** role.\n\n💀 Click below to begin:',
-          components: [row],
-        });
+        if (subcommand === 'list') {
+          if (tiers.length === 0) {
+            return interaction.reply({ content: '📋 No tier roles set. Use `/tier-roles add` to add one (e.g. 1000 followers → @1K Creators).', ephemeral: true });
+          }
+          const list = tiers.map(t => `• **${formatFollowerCount(t.minFollowers)}+** followers → <@&${t.roleId}>`).join('\n');
+          return interaction.reply({ content: `🏅 **Tier roles**\nVerified members get the highest tier they qualify for, refreshed daily:\n\n${list}`, ephemeral: true });
+        }
         
-        return interaction.reply({ content: '✅ Verification panel created!', ephemeral: true });
+        if (subcommand === 'add') {
+          const minFollowers = interaction.options.getInteger('min_followers');
+          const role = interaction.options.getRole('role');
+          if (role.id === getVerifiedRoleId(interaction.guild.id)) {
+            return interaction.reply({ content: '❌ That\'s the Verified role. Pick a separate role for each tier.', ephemeral: true });
+          }
+          const updated = tiers.filter(t => t.roleId !== role.id && t.minFollowers !== minFollowers);
+          updated.push({ minFollowers, roleId: role.id });
+          await setTierRoles(interaction.guild.id, updated);
+          return interaction.reply({ content: `✅ Members with **${formatFollowerCount(minFollowers)}+** followers will get ${role}.\nExisting members are updated on the next daily refresh, or run \`/tier-roles refresh\` now.`, ephemeral: true });
+        }
+        
+        if (subcommand === 'remove') {
+          const role = interaction.options.getRole('role');
+          if (!tiers.some(t => t.roleId === role.id)) {
+            return interaction.reply({ content: `ℹ️ ${role} isn't a tier role.`, ephemeral: true });
+          }
+          await setTierRoles(interaction.guild.id, tiers.filter(t => t.roleId !== role.id));
+          return interaction.reply({ content: `✅ Removed the ${role} tier. Members keep the role until you remove it.`, ephemeral: true });
+        }
+        
+        if (subcommand === 'refresh') {
+          if (tiers.length === 0) {
+            return interaction.reply({ content: '❌ No tier roles set. Use `/tier-roles add` first.', ephemeral: true });
+          }
+          await interaction.deferReply({ ephemeral: true });
+          const summary = await refreshGuildTierRoles(interaction.guild.id);
+          return interaction.editReply(`🏅 Refreshed **${summary.checked}** verified member(s): **${summary.changed}** changed tier, **${summary.unreadable}** couldn't be read (they keep their current tier).`);
+        }
       }
       
-      // /set-verified-role - Set the verified role
-      if (commandName === 'set-verified-role') {
+      // /revalidation - Configure or run the verified-account re-validation job
+      if (commandName === 'revalidation') {
         if (!isAdmin) {
           return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
         }
         
-        const role = interaction.options.getRole('role');
-        await setVerifiedRoleId(interaction.guild.id, role.id);
+        const subcommand = interaction.options.getSubcommand();
         
-        return interaction.reply({ 
-          content: `✅ Verified role set to ${role}. Users who complete verification will receive this role.`, 
-          ephemeral: true 
-        });
+        if (subcommand === 'settings') {
+          const enabled = interaction.options.getBoolean('enabled');
+          const current = getRevalidationSettings(interaction.guild.id);
+          const action = interaction.options.getString('action') || current.action;
+          const intervalDays = interaction.options.getInteger('interval_days') || current.intervalDays;
+          await setRevalidationSettings(interaction.guild.id, { enabled, action, intervalDays });
+          
+          if (!enabled) {
+            return interaction.reply({ content: '✅ Re-validation is **off**. Verified members stay verified until removed by a mod.', ephemeral: true });
+          }
+          const logNote = getModLogChannelId(interaction.guild.id) ? '' : '\n\n⚠️ No mod-log channel is set, so reports will only appear in the bot logs. Use `/set-mod-log` to get them in Discord.';
+          return interaction.reply({ 
+            content: `✅ Re-validation is **on**. Every **${intervalDays} day(s)** I'll check that each verified TikTok account still exists.\nWhen one doesn't: **${REVALIDATION_ACTIONS[action]}**. A summary is posted to the mod-log channel.${logNote}`, 
+            ephemeral: true 
+          });
+        }
+        
+        if (subcommand === 'run') {
+          await interaction.deferReply({ ephemeral: true });
+          const summary = await runGuildRevalidation(interaction.guild.id, { actor: interaction.user.tag });
+          if (!summary) {
+            return interaction.editReply('❌ Re-validation failed to run. Check the bot logs.');
+          }
+          const where = summary.posted ? 'Full report posted to the mod-log channel.' : 'Set a mod-log channel with `/set-mod-log` to get the full report.';
+          return interaction.editReply(`🪦 Re-validation done: checked **${summary.checked}**, ✅ ${summary.ok} exist, ❌ ${summary.missing.length} newly missing, ❓ ${summary.unreadable} unreadable.\n${where}`);
+        }
       }
       
       // /verified-list - Show verified users
@@ -1426,9 +2956,11 @@ client.on(Events.InteractionCreate, async (interaction) => {
           .setTimestamp();
         
         const usersToShow = verifiedUsers.slice(0, 25);
-        const userList = usersToShow.map((u, i) => 
-          `**${i + 1}.** <@${u.discordId}> → [@${u.tiktokUsername}](https://tiktok.com/@${u.tiktokUsername})`
-        ).join('\n');
+        const userList = usersToShow.map((u, i) => {
+          const tier = getTierForFollowers(interaction.guild.id, u.followerCount);
+          const tierLabel = tier ? ` 🏅 <@&${tier.roleId}>` : '';
+          return `**${i + 1}.** <@${u.discordId}> → [@${u.tiktokUsername}](https://tiktok.com/@${u.tiktokUsername})${tierLabel}`;
+        }).join('\n');
         embed.addFields({ name: 'Linked Accounts', value: userList || 'None' });
         
         if (verifiedUsers.length > 25) {
@@ -1450,8 +2982,8 @@ client.on(Events.InteractionCreate, async (interaction) => {
             return interaction.reply({ content: '📋 No verified users to export.', ephemeral: true });
           }
           
-          const csv = 'Discord ID,Discord Tag,TikTok Username,Verified At\n' + 
-            verifiedUsers.map(u => `${u.discordId},${u.discordTag},@${u.tiktokUsername},${u.verifiedAt}`).join('\n');
+          const csv = 'Discord ID,Discord Tag,TikTok Username,TikTok User ID,Verified At\n' + 
+            verifiedUsers.map(u => `${u.discordId},${u.discordTag},@${u.tiktokUsername},${u.tiktokUserId || ''},${u.verifiedAt}`).join('\n');
           const buffer = Buffer.from(csv, 'utf8');
           
           return interaction.reply({
@@ -1477,13 +3009,28 @@ client.on(Events.InteractionCreate, async (interaction) => {
         try {
           const member = await interaction.guild.members.fetch(targetUser.id);
           
+          const duplicateCheck = await checkDuplicatePolicy(interaction.guild.id, targetUser.id, tiktokUsername);
+          if (duplicateCheck.conflicts.length > 0) {
+            await reportDuplicate(interaction.guild.id, duplicateCheck, {
+              discordId: targetUser.id,
+              discordName: targetUser.tag,
+              tiktokUsername,
+              actor: interaction.user.tag,
+              source: 'Manual verify',
+            });
+          }
+          if (!duplicateCheck.allowed) {
+            const others = duplicateCheck.conflicts.map(u => `<@${u.discordId}>`).join(', ');
+            return interaction.reply({ content: `⛔ **@${tiktokUsername}** is already verified for ${others}, and this server blocks duplicate TikToks. Resolve it with \`/conflicts\` first.`, ephemeral: true });
+          }
+          
           const roleId = getVerifiedRoleId(interaction.guild.id);
           if (roleId) {
             const role = interaction.guild.roles.cache.get(roleId);
             if (role) await member.roles.add(role);
           }
           
-          await addVerifiedUser(interaction.guild.id, targetUser.id, targetUser.tag, tiktokUsername);
+          await addVerifiedUser(interaction.guild.id, targetUser.id, targetUser.tag, tiktokUsername, null, { ...duplicateCheck.extra, verifiedVia: 'manual' });
           
           // Log manual verification
           await saveVerificationLog(interaction.guild.id, targetUser.id, {
@@ -1496,12 +3043,17 @@ client.on(Events.InteractionCreate, async (interaction) => {
             verifiedAt: new Date().toISOString(),
             verifiedBy: interaction.user.tag,
           });
+          await recordVerificationEvent(interaction.guild.id, 'manual_verify', {
+            discordId: targetUser.id,
+            discordName: targetUser.tag,
+            tiktokUsername,
+            actor: interaction.user.tag,
+          });
           
           // Remove from pending if exists
-          if (pendingVerifications.has(targetUser.id)) {
-            pendingVerifications.delete(targetUser.id);
-            await redisDeletePending(targetUser.id);
-            console.log(`[MANUAL VERIFY] Cleared pending for ${targetUser.id}`);
+          if (await getPendingVerification(interaction.guild.id, targetUser.id)) {
+            await removePendingVerification(interaction.guild.id, targetUser.id);
+            console.log(`[MANUAL VERIFY] Cleared pending for ${targetUser.id} in guild ${interaction.guild.id}`);
           }
           
           return interaction.reply({ content: `✅ Manually verified **${targetUser.tag}** as **@${tiktokUsername}**`, ephemeral: true });
@@ -1520,9 +3072,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         const allPending = await getAllPendingVerifications();
         const guildPending = [];
-        for (const [discordId, data] of allPending.entries()) {
-          if (data.guildId === interaction.guild.id) {
-            guildPending.push({ discordId, ...data });
+        for (const [key, data] of allPending.entries()) {
+          const { guildId, discordId } = parsePendingKey(key);
+          if (guildId === interaction.guild.id) {
+            guildPending.push({ ...data, discordId });
           }
         }
         
@@ -1541,7 +3094,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         const pendingList = guildPending.slice(0, 25).map((p, i) => {
           const username = p.username || 'Unknown';
-          const code = p.code || 'N/A';
+          const code = p.code || (p.proofMethod === 'oauth' ? 'TikTok sign-in' : 'N/A');
           let timeInfo = '';
           let staleFlag = '';
           if (p.createdAt) {
@@ -1553,6 +3106,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
               staleFlag = ' ⚠️ STALE';
             }
           }
+          if (p.pausedReason === 'private') {
+            staleFlag += ' 🔒 PRIVATE (paused)';
+          }
           return `**${i + 1}.** <@${p.discordId}> → @${username}${staleFlag}\n   Code: \`${code}\`${timeInfo}`;
         }).join('\n\n');
         
@@ -1575,8 +3131,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
         let cleaned = 0, checked = 0;
         const issues = [];
         
-        for (const [discordId, data] of allPending.entries()) {
-          if (data.guildId !== interaction.guild.id) continue;
+        for (const [key, data] of allPending.entries()) {
+          const { guildId, discordId } = parsePendingKey(key);
+          if (guildId !== interaction.guild.id) continue;
           checked++;
           let shouldRemove = false, reason = '';
           
@@ -1585,12 +3142,19 @@ client.on(Events.InteractionCreate, async (interaction) => {
           if (data.createdAt && Date.now() - data.createdAt > 24 * 60 * 60 * 1000) { shouldRemove = true; reason = 'Expired (>24 hours)'; }
           
           if (!shouldRemove && data.username) {
-            const bio = await fetchTikTokBio(data.username, 0);
-            if (bio === null) { shouldRemove = true; reason = 'TikTok account not found or private'; }
+            const result = await fetchTikTokBio(data.username, 0);
+            if (result.accountNotFound) { shouldRemove = true; reason = 'TikTok account not found'; }
           }
           
           if (shouldRemove) {
-            await removePendingVerification(discordId);
+            await removePendingVerification(guildId, discordId);
+            await recordVerificationEvent(guildId, 'cleanup_removed', {
+              discordId,
+              tiktokUsername: data.username || null,
+              code: data.code || null,
+              actor: interaction.user.tag,
+              details: reason,
+            });
             cleaned++;
             issues.push(`<@${discordId}> (@${data.username || 'unknown'}): ${reason}`);
           }
@@ -1652,6 +3216,12 @@ client.on(Events.InteractionCreate, async (interaction) => {
         }
         
         await removeVerifiedUser(interaction.guild.id, targetUser.id);
+        await recordVerificationEvent(interaction.guild.id, 'unverify', {
+          discordId: targetUser.id,
+          discordName: targetUser.tag,
+          tiktokUsername: userData.tiktokUsername,
+          actor: interaction.user.tag,
+        });
         
         try {
           const member = await interaction.guild.members.fetch(targetUser.id);
@@ -1689,15 +3259,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         const premiumGuilds = [];
         
-        if (redis) {
-          const keys = await redis.keys(`${REDIS_PREFIX}premium:*`);
-          for (const key of keys) {
-            const guildId = key.replace(`${REDIS_PREFIX}premium:`, '');
-            const data = await redis.get(key);
-            const parsed = JSON.parse(data);
-            const guild = client.guilds.cache.get(guildId);
-            premiumGuilds.push({ guildId, name: guild?.name || 'Unknown', type: '🎁 Manual', grantedAt: parsed.grantedAt });
-          }
+        const grants = await storage.getAllPremiumGrants();
+        for (const [guildId, grant] of Object.entries(grants)) {
+          const guild = client.guilds.cache.get(guildId);
+          premiumGuilds.push({ guildId, name: guild?.name || 'Unknown', type: '🎁 Manual', grantedAt: grant.grantedAt });
         }
         
         for (const [guildId, data] of entitlementCache.entries()) {
@@ -1731,11 +3296,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const guild = client.guilds.cache.get(guildId);
         const cached = entitlementCache.get(guildId);
         
-        let manualGrant = null;
-        if (redis) {
-          const data = await redis.get(`${REDIS_PREFIX}premium:${guildId}`);
-          if (data) manualGrant = JSON.parse(data);
-        }
+        const manualGrant = await storage.getPremiumGrant(guildId);
         
         const hasAccess = cached?.hasAccess || manualGrant;
         
@@ -1760,110 +3321,68 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         await interaction.deferReply({ ephemeral: true });
         
-        let searchCode = interaction.options.getString('code').toUpperCase().trim();
-        // Allow partial code (just numbers) or full code
+        // Exact match only - a full code, or just the part after the dash with this server's prefix
+        let searchCode = normalizeForMatching(interaction.options.getString('code')).toUpperCase().replace(/\s+/g, '');
         if (!searchCode.includes('-')) {
-          // Try to find it with common prefixes
-          searchCode = searchCode; // Keep as-is, we'll search for partial match
+          searchCode = formatCode(await getServerPrefix(interaction.guild), searchCode);
         }
         
-        const allPending = await getAllPendingVerifications();
-        const matches = [];
-        
-        for (const [discordId, data] of allPending.entries()) {
-          const code = (data.code || '').toUpperCase();
-          const allCodes = [code, ...(data.previousCodes || []).map(c => c.toUpperCase())];
-          
-          // Check if any code matches (partial or full)
-          for (const c of allCodes) {
-            if (c.includes(searchCode) || searchCode.includes(c.replace(/.*-/, ''))) {
-              matches.push({ discordId, ...data, matchedCode: c });
-              break;
-            }
-          }
+        const match = await storage.findPendingByCode(interaction.guild.id, searchCode);
+        if (!match) {
+          return interaction.editReply(`❌ No pending verification in this server has the code **${searchCode}**`);
         }
         
-        if (matches.length === 0) {
-          return interaction.editReply(`❌ No pending verification found with code containing **${searchCode}**`);
-        }
+        const entry = getCodeEntries(match).find(e => e.code.toUpperCase() === searchCode);
+        const { ttlHours } = getCodeSettings(interaction.guild.id);
+        const expiresAt = entry.issuedAt + ttlHours * 60 * 60 * 1000;
+        const status = Date.now() < expiresAt
+          ? `✅ Active - expires <t:${Math.floor(expiresAt / 1000)}:R>`
+          : `⌛ Expired <t:${Math.floor(expiresAt / 1000)}:R>`;
         
         const embed = new EmbedBuilder()
           .setTitle(`🔍 Code Lookup: ${searchCode}`)
           .setColor(0x3498db)
-          .setDescription(`Found **${matches.length}** match(es)`)
+          .setDescription(`**Member:** <@${match.discordId}>\n**TikTok:** @${match.username || 'Unknown'}\n**Code:** \`${entry.code}\`${entry.code === match.code ? ' (current)' : ' (previous)'}\n**Issued:** <t:${Math.floor(entry.issuedAt / 1000)}:f>\n**Status:** ${status}`)
           .setTimestamp();
         
-        const matchList = matches.slice(0, 10).map((m, i) => {
-          const username = m.username || 'Unknown';
-          return `**${i + 1}.** <@${m.discordId}>\n   TikTok: @${username}\n   Code: \`${m.matchedCode}\`\n   Guild: \`${m.guildId}\``;
-        }).join('\n\n');
-        
-        embed.addFields({ name: 'Matches', value: matchList });
-        
         return interaction.editReply({ embeds: [embed] });
       }
       
-      // /redis-check - Check Redis storage status
+      // /redis-check - Check storage backend status
       if (commandName === 'redis-check') {
         if (!isOwner) return interaction.reply({ content: "❌ Owner only command.", ephemeral: true });
         
         await interaction.deferReply({ ephemeral: true });
         
-        if (!redis) {
-          return interaction.editReply('❌ **Redis is not connected.** Using file storage (data will be lost on restart).');
-        }
-        
         try {
           // Check connection
-          const pong = await redis.ping();
+          const pong = await storage.ping();
           
-          // Count keys by type
-          const pendingKeys = await redis.keys(`${REDIS_PREFIX}pending:*`);
-          const verifiedKeys = await redis.keys(`${REDIS_PREFIX}verified:*`);
-          const configKeys = await redis.keys(`${REDIS_PREFIX}config:*`);
-          const premiumKeys = await redis.keys(`${REDIS_PREFIX}premium:*`);
-          const logKeys = await redis.keys(`${REDIS_PREFIX}log:*`);
+          // Count records by type
+          const stats = await storage.getStats();
           
           // Get sample data
-          let pendingSample = [];
-          for (const key of pendingKeys.slice(0, 3)) {
-            const data = await redis.get(key);
-            if (data) {
-              const parsed = JSON.parse(data);
-              const userId = key.replace(`${REDIS_PREFIX}pending:`, '');
-              pendingSample.push(`• <@${userId}>: @${parsed.username || 'Unknown'} (${parsed.code || 'no code'})`);
-            }
-          }
-          
-          let verifiedCount = 0;
-          for (const key of verifiedKeys) {
-            const data = await redis.get(key);
-            if (data) {
-              const parsed = JSON.parse(data);
-              verifiedCount += Array.isArray(parsed) ? parsed.length : 0;
-            }
-          }
+          const allPending = await storage.getAllPending();
+          const pendingSample = Object.entries(allPending).slice(0, 3).map(([key, data]) => {
+            const { guildId, discordId } = parsePendingKey(key);
+            return `• <@${discordId}> in \`${guildId}\`: @${data.username || 'Unknown'} (${data.code || 'no code'})`;
+          });
           
-          let logEntryCount = 0;
-          for (const key of logKeys) {
-            const data = await redis.get(key);
-            if (data) {
-              const parsed = JSON.parse(data);
-              logEntryCount += Object.keys(parsed).length;
-            }
-          }
+          const warning = storage.name === 'memory'
+            ? '\n\n⚠️ In-memory storage - data will be lost on restart.'
+            : '';
           
           const embed = new EmbedBuilder()
-            .setTitle('🔴 Redis Status')
+            .setTitle(`🔴 Storage Status (${storage.name})`)
             .setColor(0x43b581)
-            .setDescription(`✅ **Connected** (ping: ${pong})`)
+            .setDescription(`✅ **Connected** (ping: ${pong})${warning}`)
             .addFields(
               { name: '📊 Storage Stats', value: 
-                `**Pending Verifications:** ${pendingKeys.length} users\n` +
-                `**Verified Users:** ${verifiedCount} across ${verifiedKeys.length} guilds\n` +
-                `**Verification Log:** ${logEntryCount} entries across ${logKeys.length} guilds\n` +
-                `**Guild Configs:** ${configKeys.length}\n` +
-                `**Premium Grants:** ${premiumKeys.length}`, inline: false },
+                `**Pending Verifications:** ${stats.pending} (per guild + user)\n` +
+                `**Verified Users:** ${stats.verifiedUsers} across ${stats.verifiedGuilds} guilds\n` +
+                `**Verification Log:** ${stats.logEntries} entries across ${stats.logGuilds} guilds\n` +
+                `**Guild Configs:** ${stats.guildConfigs}\n` +
+                `**Premium Grants:** ${stats.premiumGrants}`, inline: false },
               { name: '🔍 Sample Pending', value: pendingSample.length > 0 ? pendingSample.join('\n') : '*None*', inline: false },
               { name: '💾 In-Memory Cache', value: 
                 `**pendingVerifications Map:** ${pendingVerifications.size} entries\n` +
@@ -1874,11 +3393,41 @@ client.on(Events.InteractionCreate, async (interaction) => {
           
           return interaction.editReply({ embeds: [embed] });
         } catch (err) {
-          return interaction.editReply(`❌ **Redis Error:** ${err.message}`);
+          return interaction.editReply(`❌ **Storage Error (${storage.name}):** ${err.message}`);
         }
       }
       
-      // /verification-log - View all verification activity
+      // /fetch-status - TikTok provider health and fetch pool stats
+      if (commandName === 'fetch-status') {
+        if (!isOwner) return interaction.reply({ content: "❌ Owner only command.", ephemeral: true });
+        
+        const providerLines = tiktokProviders.getStats().map((p, i) => {
+          const status = p.healthy ? '✅ Healthy' : '❌ Unhealthy';
+          const lastError = p.lastError ? `\n   Last error: \`${p.lastError.substring(0, 80)}\`` : '';
+          return `**${i + 1}. ${p.name}** - ${status}\n   ${p.successes} ok / ${p.failures} failed (${p.consecutiveFailures} in a row)${lastError}`;
+        });
+        const activeProvider = tiktokProviders.ordered()[0]?.name || 'none';
+        const pool = tiktokFetchPool.getStats();
+        const tokens = Object.entries(pool.tokens).map(([name, count]) => `${name}: ${count}`).join(', ');
+        
+        const embed = new EmbedBuilder()
+          .setTitle('🌐 TikTok Fetch Status')
+          .setColor(tiktokProviders.getStats().some(p => p.healthy) ? 0x43b581 : 0xe74c3c)
+          .setDescription(`Currently fetching via **${activeProvider}**`)
+          .addFields(
+            { name: '🔁 Providers (failover order)', value: providerLines.join('\n') || '*None configured*', inline: false },
+            { name: '⚙️ Fetch Pool', value:
+              `**In flight:** ${pool.active}/${pool.concurrency}\n` +
+              `**Queued:** ${pool.queued}\n` +
+              `**Completed:** ${pool.completed} (${pool.deduped} deduplicated)\n` +
+              `**Rate limit tokens:** ${tokens || 'n/a'}`, inline: false }
+          )
+          .setTimestamp();
+        
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+      
+      // /verification-log - View verification event history
       if (commandName === 'verification-log') {
         if (!isAdmin) {
           return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
@@ -1886,56 +3435,58 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         await interaction.deferReply({ ephemeral: true });
         
-        const statusFilter = interaction.options.getString('status') || 'all';
-        const logs = await getVerificationLogs(interaction.guild.id);
-        
-        let entries = Object.values(logs);
+        const eventFilter = interaction.options.getString('event') || 'all';
+        const targetUser = interaction.options.getUser('user');
+        const page = interaction.options.getInteger('page') || 1;
+        const pageSize = 10;
         
-        // Mark stale entries
-        const now = Date.now();
-        entries = entries.map(e => {
-          if (e.status === 'pending' && e.initiatedAt) {
-            const elapsed = now - new Date(e.initiatedAt).getTime();
-            if (elapsed > 24 * 60 * 60 * 1000) {
-              return { ...e, status: 'stale' };
-            }
-          }
-          return e;
+        const { total, events } = await getVerificationEvents(interaction.guild.id, {
+          type: eventFilter !== 'all' ? eventFilter : null,
+          discordId: targetUser?.id || null,
+          offset: (page - 1) * pageSize,
+          limit: pageSize,
         });
+        const totalPages = Math.max(1, Math.ceil(total / pageSize));
         
-        // Filter by status
-        if (statusFilter !== 'all') {
-          entries = entries.filter(e => e.status === statusFilter);
+        if (total === 0) {
+          return interaction.editReply(`📋 No verification events found${eventFilter !== 'all' ? ` of type "${VERIFICATION_EVENT_TYPES[eventFilter]?.label || eventFilter}"` : ''}${targetUser ? ` for ${targetUser.tag}` : ''}.`);
         }
-        
-        // Sort by date (newest first)
-        entries.sort((a, b) => new Date(b.initiatedAt) - new Date(a.initiatedAt));
-        
-        if (entries.length === 0) {
-          return interaction.editReply(`📋 No verification entries found${statusFilter !== 'all' ? ` with status "${statusFilter}"` : ''}.`);
+        if (events.length === 0) {
+          return interaction.editReply(`📋 Page ${page} is past the end of the log (${totalPages} page${totalPages === 1 ? '' : 's'}).`);
         }
         
-        const statusEmoji = { pending: '⏳', verified: '✅', manual: '🔧', stale: '⚠️' };
+        const filters = [
+          eventFilter !== 'all' ? VERIFICATION_EVENT_TYPES[eventFilter]?.label || eventFilter : null,
+          targetUser ? targetUser.tag : null,
+        ].filter(Boolean);
+        
+        const logList = events.map((e) => {
+          const { emoji, label } = VERIFICATION_EVENT_TYPES[e.type] || { emoji: '❓', label: e.type };
+          const when = `<t:${Math.floor(new Date(e.timestamp).getTime() / 1000)}:R>`;
+          const who = e.discordId ? `<@${e.discordId}>` : (e.discordName || 'Unknown');
+          const tiktok = e.tiktokUsername ? ` → @${e.tiktokUsername}` : '';
+          const lines = [`${emoji} **${label}** ${who}${tiktok} ${when}`];
+          const meta = [
+            e.code ? `Code: \`${e.code}\`` : null,
+            e.actor && e.actor !== e.discordName ? `By: ${e.actor}` : null,
+          ].filter(Boolean);
+          if (meta.length > 0) lines.push(`   ${meta.join(' | ')}`);
+          if (e.details) lines.push(`   ${e.details.substring(0, 100)}`);
+          return lines.join('\n');
+        }).join('\n\n');
         
         const embed = new EmbedBuilder()
           .setTitle('📋 Verification Log')
           .setColor(0x3498db)
-          .setDescription(`Total: **${entries.length}** entries${statusFilter !== 'all' ? ` (filtered: ${statusFilter})` : ''}`)
+          .setDescription(`Total: **${total}** events${filters.length > 0 ? ` (filtered: ${filters.join(', ')})` : ''}\n\n${logList}`.substring(0, 4096))
           .setTimestamp();
         
-        const logList = entries.slice(0, 15).map((e, i) => {
-          const emoji = statusEmoji[e.status] || '❓';
-          const date = e.initiatedAt ? new Date(e.initiatedAt).toLocaleDateString() : 'Unknown';
-          return `${emoji} **${e.discordName}** → @${e.tiktokUsername}\n   Code: \`${e.code}\` | ${date}`;
-        }).join('\n\n');
-        
-        embed.addFields({ name: 'Recent Activity', value: logList });
-        if (entries.length > 15) embed.setFooter({ text: `Showing 15 of ${entries.length} entries. Use /export-log for full CSV.` });
+        embed.setFooter({ text: `Page ${page} of ${totalPages}. Use /export-log for full CSV.` });
         
         return interaction.editReply({ embeds: [embed] });
       }
       
-      // /export-log - Export verification log as CSV
+      // /export-log - Export verification event history as CSV
       if (commandName === 'export-log') {
         if (!isAdmin) {
           return interaction.reply({ content: "❌ You need Administrator permission or Mods/Admins role.", ephemeral: true });
@@ -1943,39 +3494,44 @@ client.on(Events.InteractionCreate, async (interaction) => {
         
         await interaction.deferReply({ ephemeral: true });
         
-        const logs = await getVerificationLogs(interaction.guild.id);
-        let entries = Object.values(logs);
-        
-        // Mark stale entries
-        const now = Date.now();
-        entries = entries.map(e => {
-          if (e.status === 'pending' && e.initiatedAt) {
-            const elapsed = now - new Date(e.initiatedAt).getTime();
-            if (elapsed > 24 * 60 * 60 * 1000) {
-              return { ...e, status: 'stale' };
-            }
-          }
-          return e;
-        });
+        const targetUser = interaction.options.getUser('user');
+        const rows = [];
+        const pageSize = 500;
         
-        if (entries.length === 0) {
-          return interaction.editReply('📋 No verification entries to export.');
+        // Page through the whole history rather than loading it in one call
+        for (let offset = 0; ; offset += pageSize) {
+          const { events } = await getVerificationEvents(interaction.guild.id, {
+            discordId: targetUser?.id || null,
+            offset,
+            limit: pageSize,
+          });
+          rows.push(...events);
+          if (events.length < pageSize) break;
         }
         
-        // Sort by date
-        entries.sort((a, b) => new Date(b.initiatedAt) - new Date(a.initiatedAt));
+        if (rows.length === 0) {
+          return interaction.editReply('📋 No verification events to export.');
+        }
         
-        // Create CSV
-        const csv = 'Discord ID,Discord Name,TikTok Username,Code,Status,Initiated At,Verified At,Verified By\n' +
-          entries.map(e => 
-            `${e.discordId},"${e.discordName}",@${e.tiktokUsername},${e.code},${e.status},${e.initiatedAt || ''},${e.verifiedAt || ''},${e.verifiedBy || ''}`
-          ).join('\n');
+        // Quote fields that may contain commas or quotes
+        const csvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const csv = 'Timestamp,Event,Discord ID,Discord Name,TikTok Username,Code,Actor,Details\n' +
+          rows.map(e => [
+            e.timestamp,
+            e.type,
+            e.discordId,
+            e.discordName,
+            e.tiktokUsername ? `@${e.tiktokUsername}` : '',
+            e.code,
+            e.actor,
+            e.details,
+          ].map(csvField).join(',')).join('\n');
         
         const buffer = Buffer.from(csv, 'utf8');
         const attachment = new AttachmentBuilder(buffer, { name: `verification-log-${interaction.guild.id}.csv` });
         
         return interaction.editReply({
-          content: `📊 Exported ${entries.length} verification entries:`,
+          content: `📊 Exported ${rows.length} verification events:`,
           files: [attachment],
         });
       }
@@ -1995,9 +3551,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
         // Backfill from pending verifications
         const allPending = await getAllPendingVerifications();
         console.log(`[BACKFILL] Found ${allPending.size} total pending records`);
-        for (const [discordId, data] of allPending.entries()) {
-          console.log(`[BACKFILL] Pending: ${discordId} - guildId: ${data.guildId} (looking for ${interaction.guild.id})`);
-          if (data.guildId !== interaction.guild.id) continue;
+        for (const [key, data] of allPending.entries()) {
+          const { guildId, discordId } = parsePendingKey(key);
+          console.log(`[BACKFILL] Pending: ${discordId} - guildId: ${guildId} (looking for ${interaction.guild.id})`);
+          if (guildId !== interaction.guild.id) continue;
           if (existingLogs[discordId]) {
             skipped++;
             continue;
@@ -2052,48 +3609,153 @@ client.on(Events.InteractionCreate, async (interaction) => {
     
     // Button: start verification - generate code first
     if (interaction.isButton()) {
-      if (interaction.customId === 'verify_tiktok_start') {
+      // verify_tiktok_new_code is the "verify with a new code instead" choice from the import offer below
+      // verify_tiktok_method_* are the bio/video/TikTok sign-in choice shown when the server allows more than one
+      if (['verify_tiktok_start', 'verify_tiktok_new_code', 'verify_tiktok_method_bio', 'verify_tiktok_method_video', 'verify_tiktok_method_oauth'].includes(interaction.customId)) {
         // Check subscription/entitlement first
         const hasAccess = await checkGuildEntitlement(interaction.guild.id);
         if (!hasAccess) {
           return interaction.reply(getSubscriptionMessage());
         }
         
-        // Check if user already has an active verification in progress
-        if (activeVerifications.has(interaction.user.id)) {
+        // Already verified in a server this one trusts? Offer to carry it over (needs the member's click = consent)
+        if (interaction.customId === 'verify_tiktok_start') {
+          const acceptedProofs = getAllowedProofMethods(interaction.guild.id);
+          const importable = (await findImportableVerifications(interaction.guild.id, interaction.user.id))
+            .filter(({ record }) => acceptedProofs.includes(record.verifiedVia));
+          if (importable.length > 0) {
+            const importButtons = importable.slice(0, 4).map(({ sourceGuildId, record }) => new ButtonBuilder()
+              .setCustomId(`verify_tiktok_import:${sourceGuildId}`)
+              .setLabel(`Use @${record.tiktokUsername} from ${getGuildLabel(sourceGuildId)}`.substring(0, 80))
+              .setStyle(ButtonStyle.Success));
+            const newCodeButton = new ButtonBuilder()
+              .setCustomId('verify_tiktok_new_code')
+              .setLabel('Verify with a new code instead')
+              .setStyle(ButtonStyle.Secondary);
+            
+            const sources = importable.map(({ sourceGuildId, record }) => `• **@${record.tiktokUsername}** - verified in **${getGuildLabel(sourceGuildId)}**`).join('\n');
+            return interaction.reply({
+              content: `📥 **You're already verified in a partner server!**\n\n${sources}\n\n**${interaction.guild.name}** trusts those verifications, so you can skip the bio code.\n\nBy clicking a **Use** button you agree to share that TikTok link with this server's moderators. Or verify from scratch with a new code.`,
+              components: [new ActionRowBuilder().addComponents(...importButtons, newCodeButton)],
+              ephemeral: true,
+            });
+          }
+        }
+        
+        // More than one way to verify here? Let the member pick how to prove it
+        const videoProof = getVideoProofSettings(interaction.guild.id);
+        const allowedMethods = getAllowedProofMethods(interaction.guild.id);
+        if (allowedMethods.length > 1 && (interaction.customId === 'verify_tiktok_start' || interaction.customId === 'verify_tiktok_new_code')) {
+          const choices = {
+            bio: {
+              button: new ButtonBuilder().setCustomId('verify_tiktok_method_bio').setLabel('Code in my bio').setEmoji('📝').setStyle(ButtonStyle.Primary),
+              text: '📝 **Bio** - Put a code in your TikTok bio (bio changes can take up to 24 hours to show up)',
+            },
+            video: {
+              button: new ButtonBuilder().setCustomId('verify_tiktok_method_video').setLabel(videoProof.creatorVideoId ? 'Code on a video or comment' : 'Code in a video caption').setEmoji('🎬').setStyle(ButtonStyle.Secondary),
+              text: `🎬 **Video** - ${videoProof.creatorVideoId ? 'Comment the code on the creator video, or post' : 'Post'} a video with the code in its caption (good if you can't change your bio right now)`,
+            },
+            oauth: {
+              button: new ButtonBuilder().setCustomId('verify_tiktok_method_oauth').setLabel('Sign in with TikTok').setEmoji('🔑').setStyle(ButtonStyle.Success),
+              text: '🔑 **Sign in with TikTok** - Log in on TikTok\'s own page, no code needed (the bot only sees your public profile info)',
+            },
+          };
+          return interaction.reply({
+            content: `🔐 **How do you want to verify?**\n\n${allowedMethods.map(m => choices[m].text).join('\n')}`,
+            components: [new ActionRowBuilder().addComponents(...allowedMethods.map(m => choices[m].button))],
+            ephemeral: true,
+          });
+        }
+        // A stale button for a method the server has since turned off falls back to the first allowed one
+        const requestedMethod = interaction.customId.startsWith('verify_tiktok_method_') ? interaction.customId.slice('verify_tiktok_method_'.length) : null;
+        const proofMethod = allowedMethods.includes(requestedMethod) ? requestedMethod : allowedMethods[0];
+        
+        // Check if user already has an active verification in progress in this server
+        const verifyKey = pendingKey(interaction.guild.id, interaction.user.id);
+        if (activeVerifications.has(verifyKey)) {
           return interaction.reply({
             content: '⏳ **You already have a verification in progress!**\n\nPlease wait for your current verification to complete (up to 10 minutes).\n\nIf you need to start over, wait for the current check to finish, or ask an admin to manually verify you.',
             ephemeral: true,
           });
         }
         
+        // Sign in with TikTok - no code; server.js fills in the pending record when the login completes
+        if (proofMethod === 'oauth') {
+          const nonce = crypto.randomBytes(16).toString('hex');
+          await setPendingVerification(interaction.guild.id, interaction.user.id, {
+            proofMethod: 'oauth',
+            oauthNonce: nonce,
+            username: null,
+            createdAt: Date.now(),
+            checkAttempts: 0,
+            nextCheckAt: Date.now() + LOGIN_LINK_TTL_MS, // Nothing to check until server.js marks it due
+          });
+          await saveVerificationLog(interaction.guild.id, interaction.user.id, {
+            discordId: interaction.user.id,
+            discordName: interaction.user.tag,
+            tiktokUsername: null,
+            code: 'TIKTOK_LOGIN',
+            status: 'pending',
+            initiatedAt: new Date().toISOString(),
+          });
+          
+          const loginButton = new ButtonBuilder()
+            .setLabel('Sign in with TikTok')
+            .setEmoji('🔑')
+            .setStyle(ButtonStyle.Link)
+            .setURL(buildLoginLink(getTikTokLoginConfig(), { guildId: interaction.guild.id, discordId: interaction.user.id, nonce }));
+          const checkButton = new ButtonBuilder()
+            .setCustomId('verify_tiktok_check')
+            .setLabel('Verify Now')
+            .setStyle(ButtonStyle.Success);
+          return interaction.reply({
+            content: `🔑 **Sign in with TikTok**\n\n1. Click **"Sign in with TikTok"** and log in to the account you want to verify\n2. Allow access to your basic profile info\n3. Come back here and click **"Verify Now"**\n\n⏳ The link works for **${LOGIN_LINK_TTL_MS / 60000} minutes**. If you don't click "Verify Now", I'll finish up in the background and **DM you**.`,
+            components: [new ActionRowBuilder().addComponents(loginButton, checkButton)],
+            ephemeral: true,
+          });
+        }
+        
         // Generate code immediately
         const code = await generateCode(interaction.guild);
         
-        // Get existing record to preserve previous codes (check Redis first, then memory)
-        let existingRecord = pendingVerifications.get(interaction.user.id);
-        if (!existingRecord && redis) {
-          existingRecord = await redisGetPending(interaction.user.id);
-        }
-        const previousCodes = existingRecord?.previousCodes || [];
-        
-        // Add current code to previous codes (keep last 5)
-        if (existingRecord?.code) {
-          previousCodes.unshift(existingRecord.code);
-          if (previousCodes.length > 5) previousCodes.pop();
-        }
+        // Get existing record for this server to preserve previous codes (memory first, then Redis)
+        // Old codes stay valid until their own TTL runs out (handles TikTok CDN lag); expired ones are dropped (keep last 5)
+        const existingRecord = await getPendingVerification(interaction.guild.id, interaction.user.id);
+        const { ttlHours } = getCodeSettings(interaction.guild.id);
+        const previousCodes = existingRecord
+          ? getCodeEntries(existingRecord).filter(e => Date.now() - e.issuedAt < ttlHours * 60 * 60 * 1000).slice(0, 5)
+          : [];
         
         // Store the code temporarily in memory ONLY (not in pending/Redis yet - wait for username)
         const tempData = {
           code,
+          codeIssuedAt: Date.now(),
           previousCodes,
           guildId: interaction.guild.id,
+          proofMethod,
         };
         // Use a temporary in-memory map until they enter username
         if (!global.tempVerificationCodes) global.tempVerificationCodes = new Map();
-        global.tempVerificationCodes.set(interaction.user.id, tempData);
+        global.tempVerificationCodes.set(verifyKey, tempData);
 
+        // Video proof - different instructions, same next step (the profile modal asks for the video link)
+        if (proofMethod === 'video') {
+          const postedButton = new ButtonBuilder()
+            .setCustomId('verify_tiktok_added')
+            .setLabel('I Posted It - Enter My Profile')
+            .setStyle(ButtonStyle.Success);
+          const options = [];
+          if (videoProof.creatorVideoId) options.push(`**Comment** the code on this video:\n${videoProof.creatorVideoUrl}`);
+          options.push(`**Post a public video** with the code in its **caption**, then copy the video link`);
+          return interaction.reply({
+            content: `🎬 **Step 1: Post this code on TikTok**\n\nYour unique verification code:\n\`\`\`\n${code}\n\`\`\`\n\n${options.map((o, i) => `${options.length > 1 ? `**Option ${i + 1}:** ` : ''}${o}`).join('\n\n')}\n\n⚠️ Post it from the TikTok account you're verifying, then click the button below.\n\n🗑️ You can delete the comment or video after verification is complete.`,
+            components: [new ActionRowBuilder().addComponents(postedButton)],
+            ephemeral: true,
+          });
+        }
+        
         // Show code and button to continue
+        const atStart = getCodeSettings(interaction.guild.id).position === 'start';
         const continueButton = new ButtonBuilder()
           .setCustomId('verify_tiktok_added')
           .setLabel('I Added the Code - Enter My Profile')
@@ -2102,17 +3764,114 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const row = new ActionRowBuilder().addComponents(continueButton);
 
         await interaction.reply({
-          content: `🔐 **Step 1: Add this code to your TikTok bio**\n\nYour unique verification code:\n\`\`\`\n${code}\n\`\`\`\n\n**⚠️ IMPORTANT:**\n• Your TikTok profile must be **PUBLIC** (not private)\n• The code must be at the **BEGINNING** of your bio\n• Copy the code exactly as shown (e.g., \`JAIME-12345\`)\n\n**Instructions:**\n1. Open TikTok and go to your profile\n2. Make sure your account is **public** (Settings → Privacy → Private Account = OFF)\n3. Tap "Edit profile"\n4. Paste the code at the **very beginning** of your bio\n5. Save your profile\n6. Click the button below\n\n⏳ **Verification may take up to 24 hours** due to TikTok's caching. You'll be notified via DM when verified!\n\n🗑️ You can remove the code after verification is complete.`,
+          content: `🔐 **Step 1: Add this code to your TikTok bio**\n\nYour unique verification code:\n\`\`\`\n${code}\n\`\`\`\n\n**⚠️ IMPORTANT:**\n• Your TikTok profile must be **PUBLIC** (not private)\n${atStart ? '• The code must be at the **BEGINNING** of your bio' : '• The code can go anywhere in your bio (the beginning is easiest)'}\n• Copy the code exactly as shown (\`${code}\`)\n\n**Instructions:**\n1. Open TikTok and go to your profile\n2. Make sure your account is **public** (Settings → Privacy → Private Account = OFF)\n3. Tap "Edit profile"\n4. Paste the code ${atStart ? 'at the **very beginning** of' : 'into'} your bio\n5. Save your profile\n6. Click the button below\n\n⏳ **Verification may take up to 24 hours** due to TikTok's caching. You'll be notified via DM when verified!\n\n🗑️ You can remove the code after verification is complete.`,
           components: [row],
           ephemeral: true,
         });
       }
 
+      // Button: member consented to import their verification from a trusted server
+      if (interaction.customId.startsWith('verify_tiktok_import:')) {
+        const sourceGuildId = interaction.customId.split(':')[1];
+        const guildId = interaction.guild.id;
+        
+        // Re-check trust and the source record - the offer may be stale
+        if (!getTrustedGuildIds(guildId).includes(sourceGuildId)) {
+          return interaction.reply({ content: '❌ This server no longer accepts verifications from that server. Please click **"Verify TikTok"** to verify with a code.', ephemeral: true });
+        }
+        const source = (await findImportableVerifications(guildId, interaction.user.id)).find(c => c.sourceGuildId === sourceGuildId);
+        if (!source) {
+          return interaction.reply({ content: '❌ I couldn\'t find your verification in that server anymore. Please click **"Verify TikTok"** to verify with a code.', ephemeral: true });
+        }
+        
+        const roleId = getVerifiedRoleId(guildId);
+        const role = roleId ? interaction.guild.roles.cache.get(roleId) : null;
+        if (!role) {
+          return interaction.reply({ content: 'The Verified role is not configured. Please ask an admin to use `/set-verified-role`.', ephemeral: true });
+        }
+        
+        const { record } = source;
+        if (!getAllowedProofMethods(guildId).includes(record.verifiedVia)) {
+          return interaction.reply({ content: `❌ **${interaction.guild.name}** doesn't accept verifications made with ${PROOF_METHOD_LABELS[record.verifiedVia]}. Please click **"Verify TikTok"** to verify here.`, ephemeral: true });
+        }
+        
+        await interaction.deferReply({ ephemeral: true });
+        
+        const eventUser = {
+          discordId: interaction.user.id,
+          discordName: interaction.user.tag,
+          tiktokUsername: record.tiktokUsername,
+          actor: interaction.user.tag,
+        };
+        
+        // Imports meet the same account requirements as a fresh verification - checked against the live profile,
+        // or what the source server stored if the page can't be read (or the handle now belongs to someone else)
+        const requirements = getVerificationRequirements(guildId);
+        if (Object.values(requirements).some(Boolean)) {
+          const result = await fetchTikTokBio(record.tiktokUsername, 0);
+          const live = result.profile?.found && (!record.tiktokUserId || result.profile.userId === record.tiktokUserId) ? result.profile : null;
+          const profile = live || { userId: record.tiktokUserId, secUid: record.tiktokSecUid, followerCount: record.followerCount ?? null };
+          const requirementsCheck = await checkVerificationRequirements(guildId, profile, record.tiktokUsername);
+          if (!requirementsCheck.passed) {
+            await recordVerificationEvent(guildId, 'requirements_failed', {
+              ...eventUser,
+              details: `Import from ${getGuildLabel(sourceGuildId)}: ${requirementsCheck.reasons.join('; ')}`,
+            });
+            console.log(`[Requirements] ${interaction.user.id} (@${record.tiktokUsername}) in ${guildId} import rejected: ${requirementsCheck.reasons.join('; ')}`);
+            return interaction.editReply(getRequirementsFailedMessage(record.tiktokUsername, interaction.guild.name, requirementsCheck.reasons));
+          }
+        }
+        
+        const duplicateCheck = await checkDuplicatePolicy(guildId, interaction.user.id, record.tiktokUsername, { userId: record.tiktokUserId });
+        if (duplicateCheck.conflicts.length > 0) {
+          await reportDuplicate(guildId, duplicateCheck, { ...eventUser, source: 'Import' });
+        }
+        if (!duplicateCheck.allowed) {
+          return interaction.editReply(getDuplicateBlockedMessage(record.tiktokUsername, interaction.guild.name));
+        }
+        
+        const member = await interaction.guild.members.fetch(interaction.user.id);
+        await member.roles.add(role);
+        
+        await addVerifiedUser(
+          guildId,
+          interaction.user.id,
+          interaction.user.tag,
+          record.tiktokUsername,
+          { userId: record.tiktokUserId, secUid: record.tiktokSecUid, followerCount: record.followerCount ?? null },
+          {
+            ...duplicateCheck.extra,
+            verifiedVia: record.verifiedVia,
+            importedFrom: sourceGuildId,
+            originalVerifiedAt: record.verifiedAt,
+            importConsentAt: new Date().toISOString(),
+          }
+        );
+        await syncTierRoles(interaction.guild, member, record.followerCount ?? null);
+        await updateVerificationStatus(guildId, interaction.user.id, 'imported', new Date().toISOString(), {
+          discordName: interaction.user.tag,
+          tiktokUsername: record.tiktokUsername,
+          code: 'IMPORTED',
+          importedFrom: sourceGuildId,
+        });
+        await recordVerificationEvent(guildId, 'imported', {
+          ...eventUser,
+          details: `From ${getGuildLabel(sourceGuildId)} (${sourceGuildId}), originally verified ${record.verifiedAt}`,
+        });
+        
+        // Drop any half-finished code verification in this server
+        if (await getPendingVerification(guildId, interaction.user.id)) {
+          await removePendingVerification(guildId, interaction.user.id);
+        }
+        
+        return interaction.editReply(`🎉 **Verification imported!**\n\nYour TikTok **@${record.tiktokUsername}** (verified in **${getGuildLabel(sourceGuildId)}**) is now linked here too.\nYou've been given the **Verified Viewer** role.`);
+      }
+
       // Button: user says they added the code, now ask for profile link
       if (interaction.customId === 'verify_tiktok_added') {
         // Check for temp code from step 1
         if (!global.tempVerificationCodes) global.tempVerificationCodes = new Map();
-        const tempData = global.tempVerificationCodes.get(interaction.user.id);
+        const tempData = global.tempVerificationCodes.get(pendingKey(interaction.guild.id, interaction.user.id));
         
         if (!tempData) {
           return interaction.reply({
@@ -2134,6 +3893,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
         const row = new ActionRowBuilder().addComponents(linkInput);
         modal.addComponents(row);
+        
+        // Video proof - also ask which video (blank = comment on the creator video)
+        if (tempData.proofMethod === 'video') {
+          const { creatorVideoId } = getVideoProofSettings(interaction.guild.id);
+          const videoInput = new TextInputBuilder()
+            .setCustomId('video_link')
+            .setLabel(creatorVideoId ? 'Your video link (leave blank if you commented)' : 'Link to your video with the code')
+            .setPlaceholder('https://www.tiktok.com/@yourname/video/1234567890')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(!creatorVideoId);
+          modal.addComponents(new ActionRowBuilder().addComponents(videoInput));
+        }
 
         await interaction.showModal(modal);
       }
@@ -2143,17 +3914,12 @@ client.on(Events.InteractionCreate, async (interaction) => {
         console.log(`[CHECK] User ${interaction.user.id} clicked verify_tiktok_check`);
         console.log(`[CHECK] pendingVerifications size: ${pendingVerifications.size}`);
         
-        let record = pendingVerifications.get(interaction.user.id);
-        console.log(`[CHECK] Memory record: ${record ? JSON.stringify(record) : 'null'}`);
+        const verifyKey = pendingKey(interaction.guild.id, interaction.user.id);
+        const record = await getPendingVerification(interaction.guild.id, interaction.user.id);
+        console.log(`[CHECK] Pending record: ${record ? JSON.stringify(record) : 'null'}`);
         
-        if (!record && redis) {
-          console.log(`[CHECK] Checking Redis...`);
-          record = await redisGetPending(interaction.user.id);
-          console.log(`[CHECK] Redis record: ${record ? JSON.stringify(record) : 'null'}`);
-          if (record) pendingVerifications.set(interaction.user.id, record);
-        }
         if (!record) {
-          console.log(`[CHECK] No record found for user ${interaction.user.id}`);
+          console.log(`[CHECK] No record found for user ${interaction.user.id} in guild ${interaction.guild.id}`);
           return interaction.reply({
             content:
               'I could not find a pending verification for you. Please start again.',
@@ -2161,8 +3927,56 @@ client.on(Events.InteractionCreate, async (interaction) => {
           });
         }
 
-        // Check if user already has an active verification check running
-        if (activeVerifications.has(interaction.user.id)) {
+        // Sign in with TikTok - server.js writes the login straight to storage, so re-read past the cache
+        if (record.proofMethod === 'oauth') {
+          const latest = await storage.getPending(interaction.guild.id, interaction.user.id).catch(() => null) || record;
+          pendingVerifications.set(verifyKey, latest);
+          if (!latest.oauth) {
+            const expired = Date.now() - (latest.createdAt || 0) >= LOGIN_LINK_TTL_MS;
+            return interaction.reply({
+              content: expired
+                ? '⌛ **Your sign-in link has expired.**\n\nPlease click **"Verify TikTok"** to get a new one.'
+                : '🔑 **You haven\'t finished signing in yet.**\n\nClick **"Sign in with TikTok"**, log in and allow access, then click **"Verify Now"** again.',
+              ephemeral: true,
+            });
+          }
+          if (activeVerifications.has(verifyKey)) {
+            return interaction.reply({ content: '⏳ **Check already in progress!**\n\nPlease wait a moment for the current check to complete.', ephemeral: true });
+          }
+          activeVerifications.add(verifyKey);
+          try {
+            await interaction.deferReply({ ephemeral: true });
+            const result = await completeOAuthVerification(latest, interaction.user.id, { source: 'Quick check' });
+            await interaction.editReply(result?.message || 'Something went wrong finishing your verification. Please try again or contact a moderator.');
+          } finally {
+            activeVerifications.delete(verifyKey);
+          }
+          return;
+        }
+
+        // Codes only work for the guild's TTL - with none left there's nothing to check
+        const codeSettings = getCodeMatchSettings(record);
+        const { active: activeCodes, expired: expiredCodes } = splitCodesByExpiry(record, codeSettings);
+        if (activeCodes.length === 0) {
+          console.log(`[CHECK] All codes expired for user ${interaction.user.id} in guild ${interaction.guild.id}`);
+          await removePendingVerification(interaction.guild.id, interaction.user.id);
+          await updateVerificationStatus(interaction.guild.id, interaction.user.id, 'expired');
+          await recordVerificationEvent(interaction.guild.id, 'expired', {
+            discordId: interaction.user.id,
+            discordName: interaction.user.tag,
+            tiktokUsername: record.username || null,
+            code: record.code || null,
+            actor: interaction.user.tag,
+            details: `Code expired after ${codeSettings.ttlHours} hour(s)`,
+          });
+          return interaction.reply({
+            content: `⌛ **Your verification code has expired.**\n\nCodes are only valid for **${codeSettings.ttlHours} hour(s)**. Please click **"Verify TikTok"** to generate a new code, then replace the old one in your bio.`,
+            ephemeral: true,
+          });
+        }
+
+        // Check if user already has an active verification check running in this server
+        if (activeVerifications.has(verifyKey)) {
           return interaction.reply({
             content: '⏳ **Check already in progress!**\n\nPlease wait a moment for the current check to complete.',
             ephemeral: true,
@@ -2170,7 +3984,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         }
 
         // Mark user as having an active verification check
-        activeVerifications.add(interaction.user.id);
+        activeVerifications.add(verifyKey);
 
         await interaction.deferReply({ ephemeral: true });
 
@@ -2182,12 +3996,14 @@ client.on(Events.InteractionCreate, async (interaction) => {
         let verified = false;
         let lastBio = null;
         let foundCode = null;
+        let foundProfile = null;
         let accountNotFound = false;
         let emptyBio = false;
+        let privateAccount = false;
         
         try {
           for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            const result = await fetchTikTokBio(record.username, attempt);
+            const result = await fetchVerificationProof(record, attempt);
             
             // If account not found, stop immediately
             if (result.accountNotFound) {
@@ -2199,36 +4015,31 @@ client.on(Events.InteractionCreate, async (interaction) => {
               emptyBio = true;
             }
             
+            if (result.privateAccount) {
+              privateAccount = true;
+            }
+            
             if (result.bio) {
               lastBio = result.bio;
-              const bioUpper = result.bio.toUpperCase();
               
-              // Check current code AND previous codes (handles TikTok CDN lag)
-              const allCodes = [record.code, ...(record.previousCodes || [])];
-              let matchedCode = null;
+              // Check current code AND previous codes still within their TTL (handles TikTok CDN lag)
+              const matchedCode = findCodeInBio(result.bio, activeCodes, codeSettings);
               
-              for (const code of allCodes) {
-                const codeUpper = code.toUpperCase();
-                // Also check for common typo: JAMIE instead of JAIME
-                const typoVariant = codeUpper.replace('JAIME', 'JAMIE');
-                
-                if (bioUpper.includes(codeUpper) || bioUpper.includes(typoVariant)) {
-                  matchedCode = code;
-                  break;
-                }
-              }
-              
-              console.log(`[VERIFY] User: ${interaction.user.tag} (${interaction.user.id}) | TikTok: @${record.username} | Quick check ${attempt}/${maxAttempts} - Bio: "${result.bio.substring(0, 50)}..." - Checking codes: ${allCodes.join(', ')} - Matched: ${matchedCode || 'none'}`);
+              console.log(`[VERIFY] User: ${interaction.user.tag} (${interaction.user.id}) | TikTok: @${record.username} | Quick check ${attempt}/${maxAttempts} - Bio: "${result.bio.substring(0, 50)}..." - Checking codes: ${activeCodes.join(', ')} - Matched: ${matchedCode || 'none'}`);
               
               if (matchedCode) {
                 verified = true;
                 foundCode = matchedCode;
+                foundProfile = result.profile;
                 break;
               }
             } else {
               console.log(`[VERIFY] User: ${interaction.user.tag} (${interaction.user.id}) | TikTok: @${record.username} | Quick check ${attempt}/${maxAttempts} - Could not fetch bio`);
             }
             
+            // Retrying won't make a private account readable
+            if (privateAccount) break;
+            
             // Wait before next attempt (except on last attempt)
             if (attempt < maxAttempts) {
               await new Promise(r => setTimeout(r, delayBetweenAttempts));
@@ -2242,45 +4053,32 @@ client.on(Events.InteractionCreate, async (interaction) => {
           console.log(`[VERIFY] Final bio: "${lastBio}"`);
           console.log(`[VERIFY] Verified: ${verified}`);
           console.log(`[VERIFY] Account not found: ${accountNotFound}`);
+          console.log(`[VERIFY] Private account: ${privateAccount}`);
           
           // If account not found or no bio, try username variations (handles repeated character typos)
-          if ((accountNotFound || !lastBio) && !verified) {
+          if ((accountNotFound || !lastBio) && !verified && !privateAccount && record.proofMethod !== 'video') {
             console.log(`[VERIFY] Trying username variations for @${record.username}...`);
             await interaction.editReply('🔍 **Checking username variations...**\n\nLooking for accounts with similar usernames (checking repeated letters)...');
             
             const variations = generateUsernameVariations(record.username);
             console.log(`[VERIFY] Generated ${variations.length} variations`);
             
-            const allCodes = [record.code, ...(record.previousCodes || [])];
-            
             for (const variation of variations.slice(0, 8)) { // Check up to 8 variations
               console.log(`[VERIFY] Trying variation: @${variation}`);
               const result = await fetchTikTokBio(variation, 0);
               
-              if (result.bio) {
-                const bioUpper = result.bio.toUpperCase();
-                
-                for (const code of allCodes) {
-                  const codeUpper = code.toUpperCase();
-                  const typoVariant = codeUpper.replace('JAIME', 'JAMIE');
-                  
-                  if (bioUpper.includes(codeUpper) || bioUpper.includes(typoVariant)) {
-                    console.log(`[VERIFY] ✅ Found code in variation @${variation}!`);
-                    verified = true;
-                    foundCode = code;
-                    lastBio = result.bio;
-                    
-                    // Update the pending record with the correct username
-                    record.username = variation;
-                    pendingVerifications.set(interaction.user.id, record);
-                    if (redis) {
-                      await redisSavePending(interaction.user.id, record);
-                    }
-                    break;
-                  }
-                }
+              const code = findCodeInBio(result.bio, activeCodes, codeSettings);
+              if (code) {
+                console.log(`[VERIFY] ✅ Found code in variation @${variation}!`);
+                verified = true;
+                foundCode = code;
+                foundProfile = result.profile;
+                lastBio = result.bio;
                 
-                if (verified) break;
+                // Update the pending record with the correct username
+                record.username = variation;
+                await setPendingVerification(interaction.guild.id, interaction.user.id, record);
+                break;
               }
               
               // Small delay between variation checks
@@ -2288,6 +4086,47 @@ client.on(Events.InteractionCreate, async (interaction) => {
             }
           }
           
+          // Record the attempt in the event history
+          const eventUser = {
+            discordId: interaction.user.id,
+            discordName: interaction.user.tag,
+            tiktokUsername: record.username,
+            code: foundCode || record.code,
+            actor: interaction.user.tag,
+          };
+          const checkOutcome = verified ? 'code found'
+            : accountNotFound ? 'account not found'
+            : privateAccount ? 'account is private'
+            : lastBio ? 'code not in bio'
+            : emptyBio ? 'bio empty'
+            : 'could not read profile';
+          await recordVerificationEvent(interaction.guild.id, 'check_attempted', { ...eventUser, details: `Quick check: ${checkOutcome}` });
+          if (lastBio && !verified) {
+            await recordVerificationEvent(interaction.guild.id, 'bio_mismatch', { ...eventUser, details: `Bio: "${lastBio.substring(0, 100).replace(/\n/g, ' ')}"` });
+          }
+          if (!verified) {
+            // The user is actively retrying - resume (if paused) and restart the background backoff from the shortest delay
+            await updatePendingSchedule(interaction.guild.id, interaction.user.id, {
+              checkAttempts: 0,
+              pausedReason: null,
+              pausedAt: null,
+              nextCheckAt: Date.now() + BACKGROUND_BACKOFF_SCHEDULE[0],
+            });
+          }
+          
+          // Handle private account - tell the user and pause background checks until they retry
+          if (privateAccount && !verified) {
+            console.log(`[VERIFY] FAILED - Account is private`);
+            await pausePrivateVerification(record, interaction.user.id, {
+              actor: interaction.user.tag,
+              details: 'Quick check - paused until the user retries',
+            });
+            await interaction.editReply(
+              `🔒 **Your TikTok account is private!**\n\nI can't read the bio of **@${record.username}** while the account is private.\n\n**To verify:**\n1. In TikTok go to Settings and privacy → Privacy and turn **Private account** OFF\n2. Make sure your code \`${record.code}\` is in your bio\n3. Click **"Verify Now"** again\n\n⏸️ I've paused automatic checks until you retry. You can make your account private again once you're verified.`,
+            );
+            return;
+          }
+          
           // Handle account not found (after trying variations) - show suggestions to user
           if (accountNotFound && !verified) {
             console.log(`[VERIFY] FAILED - Account not found, finding existing variations to suggest...`);
@@ -2302,12 +4141,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
               );
             } else {
               // No variations exist either
-              pendingVerifications.delete(interaction.user.id);
-              if (redis) {
-                await redisDeletePending(interaction.user.id);
-              } else {
-                savePendingVerifications();
-              }
+              await removePendingVerification(interaction.guild.id, interaction.user.id);
               await interaction.editReply(
                 `❌ **TikTok account not found!**\n\nThe username **@${record.username}** doesn't exist on TikTok.\n\nI also checked similar usernames (with different repeated letters) but couldn't find any matches.\n\n**Please check:**\n• Did you spell your username correctly?\n• Is your account banned or deleted?\n• Try visiting tiktok.com/@${record.username} in your browser\n\nPlease start the verification process again with the correct username.`,
               );
@@ -2315,6 +4149,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
             return;
           }
           
+          // Video proof - no bio-specific advice, the background job keeps checking the video
+          if (record.proofMethod === 'video' && !verified && !accountNotFound) {
+            const where = record.videoId
+              ? `the caption of your video (ID \`${record.videoId}\`)`
+              : `your comments on ${getVideoProofSettings(interaction.guild.id).creatorVideoUrl || 'the creator video'}`;
+            const ownNote = record.videoId ? '\n• The video must be posted from **@' + record.username + '**' : '\n• The comment must be posted from **@' + record.username + '** (new comments can take a few minutes to show up)';
+            await interaction.editReply(
+              `🎬 **Code not found yet**\n\nI couldn't find \`${record.code}\` in ${where}.\n\n**Make sure:**${ownNote}\n• The code is typed exactly as shown\n\nI'll keep checking in the background and **DM you** when it's found, or click **"Verify Now"** to check again.`,
+            );
+            return;
+          }
+          
           // Handle empty bio
           if (emptyBio && !lastBio && !verified) {
             console.log(`[VERIFY] FAILED - Bio is empty`);
@@ -2345,12 +4191,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
           if (verified) {
             // Verified immediately!
-            pendingVerifications.delete(interaction.user.id);
-            if (redis) {
-              await redisDeletePending(interaction.user.id);
-            } else {
-              await savePendingVerifications();
-            }
+            await removePendingVerification(interaction.guild.id, interaction.user.id);
 
             const member = await interaction.guild.members.fetch(
               interaction.user.id,
@@ -2365,6 +4206,23 @@ client.on(Events.InteractionCreate, async (interaction) => {
               return;
             }
 
+            const requirementsCheck = await checkVerificationRequirements(interaction.guild.id, foundProfile, record.username);
+            if (!requirementsCheck.passed) {
+              await rejectForRequirements(interaction.guild.id, interaction.user.id, requirementsCheck, { ...eventUser, code: foundCode, source: 'Quick check' });
+              await interaction.editReply(getRequirementsFailedMessage(record.username, interaction.guild.name, requirementsCheck.reasons));
+              return;
+            }
+
+            const duplicateCheck = await checkDuplicatePolicy(interaction.guild.id, interaction.user.id, record.username, foundProfile);
+            if (duplicateCheck.conflicts.length > 0) {
+              await reportDuplicate(interaction.guild.id, duplicateCheck, { ...eventUser, source: 'Quick check' });
+            }
+            if (!duplicateCheck.allowed) {
+              await updateVerificationStatus(interaction.guild.id, interaction.user.id, 'duplicate_blocked');
+              await interaction.editReply(getDuplicateBlockedMessage(record.username, interaction.guild.name));
+              return;
+            }
+
             await member.roles.add(role);
 
             // Save to verified users list
@@ -2372,8 +4230,11 @@ client.on(Events.InteractionCreate, async (interaction) => {
               interaction.guild.id,
               interaction.user.id,
               interaction.user.tag,
-              record.username
+              record.username,
+              foundProfile,
+              { ...duplicateCheck.extra, verifiedVia: record.proofMethod || 'bio' }
             );
+            await syncTierRoles(interaction.guild, member, foundProfile?.followerCount ?? null);
             
             // Update verification log to verified (include extra data for safety)
             await updateVerificationStatus(interaction.guild.id, interaction.user.id, 'verified', new Date().toISOString(), {
@@ -2382,20 +4243,30 @@ client.on(Events.InteractionCreate, async (interaction) => {
               code: foundCode,
               initiatedAt: record.createdAt ? new Date(record.createdAt).toISOString() : new Date().toISOString(),
             });
+            await recordVerificationEvent(interaction.guild.id, 'verified', { ...eventUser, details: 'Quick check' });
 
+            const reviewNote = duplicateCheck.flagged
+              ? '\n\n🚩 This TikTok is also linked to another member here, so a moderator may review your verification.'
+              : '';
+            await interaction.editReply(
+              `🎉 **Verification successful!**\n\nI found the code **${foundCode}** in the bio of **@${record.username}**.\nYou've been given the **Verified Viewer** role.\n\nYou can remove the code from your TikTok bio now. 💀${reviewNote}`,
+            );
+          } else if (findCodeInBio(lastBio, expiredCodes, codeSettings)) {
+            // The bio has an old code that's past its TTL - it won't be accepted however long we wait
+            const oldCode = findCodeInBio(lastBio, expiredCodes, codeSettings);
             await interaction.editReply(
-              `🎉 **Verification successful!**\n\nI found the code **${foundCode}** in the bio of **@${record.username}**.\nYou've been given the **Verified Viewer** role.\n\nYou can remove the code from your TikTok bio now. 💀`,
+              `⌛ **That code has expired.**\n\nYour bio still has \`${oldCode}\`, which is older than **${codeSettings.ttlHours} hour(s)** and can't be used anymore.\n\nReplace it with your current code \`${record.code}\`, then click **"Verify Now"** again. If that one has expired too, click **"Verify TikTok"** to generate a new code.`,
             );
           } else {
             // Not found immediately - tell user about background checks
-            const allCodes = [record.code, ...(record.previousCodes || [])];
+            const maxAgeDays = getPendingMaxAgeDays(interaction.guild.id);
             await interaction.editReply(
-              `⏳ **Code not found yet - but don't worry!**\n\n**TikTok's servers can take up to 24 hours** to sync bio changes across their network.\n\n**What happens now:**\n• I'll automatically check your bio every 2 hours\n• When I find the code, I'll **DM you** and give you the role\n• You don't need to do anything else!\n\n**Your info:**\n• Profile: **@${record.username}**\n• Looking for: ${allCodes.map(c => '\`' + c + '\`').join(' or ')}\n\n**Make sure:**\n✅ Your profile is **public**\n✅ The code is in your bio\n✅ You saved the changes on TikTok\n\n_If it's been more than 24 hours, ask an admin to use \`!manual-verify\`_`,
+              `⏳ **Code not found yet - but don't worry!**\n\n**TikTok's servers can take up to 24 hours** to sync bio changes across their network.\n\n**What happens now:**\n• I'll keep checking your bio automatically - after 5 minutes, 15 minutes, 1 hour and 6 hours, then once a day\n• I'll stop once your code expires (**${codeSettings.ttlHours} hour(s)**) or after **${maxAgeDays} day(s)**, whichever comes first\n• When I find the code, I'll **DM you** and give you the role\n• You don't need to do anything else!\n\n**Your info:**\n• Profile: **@${record.username}**\n• Looking for: ${activeCodes.map(c => '\`' + c + '\`').join(' or ')}\n\n**Make sure:**\n✅ Your profile is **public**\n✅ The code is in your bio\n✅ You saved the changes on TikTok\n\n_If it's been more than 24 hours, ask an admin to use \`!manual-verify\`_`,
             );
           }
         } finally {
           // Always remove from active verifications when done
-          activeVerifications.delete(interaction.user.id);
+          activeVerifications.delete(verifyKey);
         }
       }
     }
@@ -2449,9 +4320,10 @@ client.on(Events.InteractionCreate, async (interaction) => {
           });
         }
 
-        // Get the temp code that was generated in step 1
+        // Get the temp code that was generated in step 1 for this server
         if (!global.tempVerificationCodes) global.tempVerificationCodes = new Map();
-        const tempData = global.tempVerificationCodes.get(interaction.user.id);
+        const verifyKey = pendingKey(interaction.guild.id, interaction.user.id);
+        const tempData = global.tempVerificationCodes.get(verifyKey);
         
         if (!tempData) {
           return interaction.reply({
@@ -2460,25 +4332,40 @@ client.on(Events.InteractionCreate, async (interaction) => {
           });
         }
         
+        // Video proof - which video? (none = comment on the guild's creator video)
+        let videoId = null;
+        if (tempData.proofMethod === 'video') {
+          const videoInput = (interaction.fields.getTextInputValue('video_link') || '').trim();
+          if (videoInput) {
+            const parsedVideo = parseTikTokVideoUrl(videoInput);
+            if (!parsedVideo) {
+              return interaction.reply({
+                content: `❌ **That doesn't look like a TikTok video link.**\n\nYou entered: \`${videoInput}\`\n\nOpen the video on TikTok, tap **Share → Copy link**, and paste a link like \`https://www.tiktok.com/@yourname/video/1234567890\`. Short \`vm.tiktok.com\` links don't work - open them in a browser first to get the full link.`,
+                ephemeral: true,
+              });
+            }
+            videoId = parsedVideo.videoId;
+          } else if (!getVideoProofSettings(tempData.guildId).creatorVideoId) {
+            return interaction.reply({ content: '❌ Please paste the link to your video with the code in its caption.', ephemeral: true });
+          }
+        }
+        
         // NOW we save to pending with the username included
         const pendingData = {
           username: username,
           code: tempData.code,
+          codeIssuedAt: tempData.codeIssuedAt,
           previousCodes: tempData.previousCodes || [],
           guildId: tempData.guildId,
           createdAt: Date.now(),
+          proofMethod: tempData.proofMethod || 'bio',
+          videoId,
         };
         
         console.log(`[PENDING SAVE] User ${interaction.user.id} - Username: ${username}, Code: ${tempData.code}, Guild: ${tempData.guildId}`);
         
-        pendingVerifications.set(interaction.user.id, pendingData);
-        if (redis) {
-          const saved = await redisSavePending(interaction.user.id, pendingData);
-          console.log(`[PENDING SAVE] Redis save result: ${saved}`);
-        } else {
-          await savePendingVerifications();
-          console.log(`[PENDING SAVE] File save completed`);
-        }
+        const saved = await setPendingVerification(tempData.guildId, interaction.user.id, pendingData);
+        console.log(`[PENDING SAVE] ${storage.name} save result: ${saved}`);
         
         // Always save to verification log (works with or without Redis)
         await saveVerificationLog(tempData.guildId, interaction.user.id, {
@@ -2489,11 +4376,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
           status: 'pending',
           initiatedAt: new Date().toISOString(),
         });
+        await recordVerificationEvent(tempData.guildId, 'code_issued', {
+          discordId: interaction.user.id,
+          discordName: interaction.user.tag,
+          tiktokUsername: username,
+          code: tempData.code,
+          actor: interaction.user.tag,
+        });
         
         console.log(`[PENDING SAVE] pendingVerifications size: ${pendingVerifications.size}`);
         
         // Clear temp data
-        global.tempVerificationCodes.delete(interaction.user.id);
+        global.tempVerificationCodes.delete(verifyKey);
 
         const checkButton = new ButtonBuilder()
           .setCustomId('verify_tiktok_check')
@@ -2503,7 +4397,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const row = new ActionRowBuilder().addComponents(checkButton);
 
         await interaction.reply({
-          content: `📋 **Step 2: Verify your profile**\n\nTikTok username: **@${username}**\nVerification code: \`${pendingData.code}\`\n\nMake sure the code is in your bio, then click **"Verify Now"**.\n\n⏳ **Verification may take up to 24 hours** due to TikTok's caching. If not verified immediately, I'll keep checking and **DM you** when it's done!`,
+          content: `📋 **Step 2: Verify your profile**\n\nTikTok username: **@${username}**\nVerification code: \`${pendingData.code}\`\n\nMake sure the code is in your ${pendingData.proofMethod === 'video' ? (videoId ? 'video caption' : 'comment') : 'bio'}, then click **"Verify Now"**.\n\n⏳ **Verification may take up to 24 hours** due to TikTok's caching. If not verified immediately, I'll keep checking and **DM you** when it's done!`,
           components: [row],
           ephemeral: true,
         });
@@ -2547,14 +4441,18 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const oldFlowData = {
           username: username,
           code,
+          codeIssuedAt: Date.now(),
           guildId: interaction.guild.id,
+          createdAt: Date.now(),
         };
-        pendingVerifications.set(interaction.user.id, oldFlowData);
-        if (redis) {
-          await redisSavePending(interaction.user.id, oldFlowData);
-        } else {
-          savePendingVerifications();
-        }
+        await setPendingVerification(interaction.guild.id, interaction.user.id, oldFlowData);
+        await recordVerificationEvent(interaction.guild.id, 'code_issued', {
+          discordId: interaction.user.id,
+          discordName: interaction.user.tag,
+          tiktokUsername: username,
+          code,
+          actor: interaction.user.tag,
+        });
 
         const checkButton = new ButtonBuilder()
           .setCustomId('verify_tiktok_check')
@@ -2599,16 +4497,23 @@ client.on('guildMemberUpdate', async (oldMember, newMember) => {
     
     if (hadVerifiedRole && !hasVerifiedRole) {
       // Role was removed - unverify the user
-      const removed = removeVerifiedUser(newMember.guild.id, newMember.id);
+      const removed = await removeVerifiedUser(newMember.guild.id, newMember.id);
       if (removed) {
         console.log(`[ROLE] Verified role removed from ${newMember.user.tag} (${newMember.id}) - unverified`);
+        await recordVerificationEvent(newMember.guild.id, 'role_removed', {
+          discordId: newMember.id,
+          discordName: newMember.user.tag,
+          details: 'Verified role removed from member',
+        });
       }
       
-      // Also clear any pending verification
-      if (pendingVerifications.has(newMember.id)) {
-        pendingVerifications.delete(newMember.id);
-        await redisDeletePending(newMember.id);
-        console.log(`[ROLE] Cleared pending verification for ${newMember.user.tag}`);
+      // Tier roles only make sense alongside the Verified role
+      await removeTierRoles(newMember.guild, newMember);
+      
+      // Also clear any pending verification in this guild
+      if (pendingVerifications.has(pendingKey(newMember.guild.id, newMember.id))) {
+        await removePendingVerification(newMember.guild.id, newMember.id);
+        console.log(`[ROLE] Cleared pending verification for ${newMember.user.tag} in guild ${newMember.guild.id}`);
       }
     }
   } catch (err) {
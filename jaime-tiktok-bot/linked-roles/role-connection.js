@@ -0,0 +1,310 @@
+const { getEncryptionKey, loadTokens, saveTokens } = require('./token-store');
+const { getTikTokAccountCreatedAt } = require('../tiktok/profile-parser');
+
+// Discord Linked Roles - the "TikTok" connection shown on a member's profile
+// Shared by server.js (runs the Discord OAuth flow and stores the tokens) and the bot (pushes updates when
+// a member is verified or unverified, and refreshes tokens before they expire). Tokens live in storage
+// under the member's Discord ID, encrypted (see token-store.js):
+//   { accessToken, refreshToken, expiresAt, scope, linkedAt, updatedAt, syncedAt }
+//
+// The connection is built from the member's verification records in every server, so a member verified
+// anywhere the bot runs shows as verified.
+//
+// A member can de-authorize the app at any time. Discord then rejects the refresh token (invalid_grant)
+// or the access token (401), or tells server.js directly (APPLICATION_DEAUTHORIZED webhook event) -
+// either way the stored tokens are deleted.
+
+const DISCORD_API = 'https://discord.com/api';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metadata registered with Discord (server.js /register-metadata) - guilds build linked-role requirements on these
+// Types: 2 = integer >= guild's value, 5 = datetime at least the guild's number of days ago, 7 = boolean equal
+const ROLE_CONNECTION_METADATA = [
+  {
+    key: 'tiktok_verified',
+    name: 'TikTok Verified',
+    description: 'User has verified their TikTok account',
+    type: 7,
+  },
+  {
+    key: 'verified_since',
+    name: 'Verified for (days)',
+    description: 'Days since the user first verified their TikTok',
+    type: 5,
+  },
+  {
+    key: 'follower_count',
+    name: 'TikTok followers',
+    description: 'TikTok follower count is at least',
+    type: 2,
+  },
+  {
+    key: 'tiktok_account_age_days',
+    name: 'TikTok account age (days)',
+    description: 'TikTok account is at least this many days old',
+    type: 2,
+  },
+];
+
+// Refresh a little early so a token never expires mid-request
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+function getLinkedRolesConfig(env = process.env) {
+  return {
+    clientId: env.DISCORD_APPLICATION_ID || null,
+    clientSecret: env.DISCORD_CLIENT_SECRET || null,
+    encryptionKey: getEncryptionKey(env.TOKEN_ENCRYPTION_KEY),
+  };
+}
+
+function isLinkedRolesConfigured(config = getLinkedRolesConfig()) {
+  return Boolean(config.clientId && config.clientSecret && config.encryptionKey);
+}
+
+// Turn a Discord token response into the record we store
+function toTokenRecord(tokens, previous = {}) {
+  return {
+    ...previous,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || previous.refreshToken || null,
+    expiresAt: Date.now() + tokens.expires_in * 1000,
+    scope: tokens.scope || previous.scope || null,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Swap a refresh token for a new access token (Discord rotates the refresh token too)
+async function refreshTokens(config, refreshToken) {
+  const response = await fetch(`${DISCORD_API}/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+    }),
+  });
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok || tokens.error) {
+    const err = new Error(`Discord token refresh failed: ${tokens.error_description || tokens.error || response.status}`);
+    err.revoked = tokens.error === 'invalid_grant'; // The member de-authorized the app (or the token was already used)
+    throw err;
+  }
+  return tokens;
+}
+
+// Save tokens from a fresh Discord OAuth login (server.js /callback)
+async function saveLinkedTokens(storage, config, discordId, tokens) {
+  await saveTokens(storage, config.encryptionKey, discordId, toTokenRecord(tokens, { linkedAt: new Date().toISOString() }));
+}
+
+// Drop a member's tokens - they de-authorized the app, so there's nothing left to update
+async function forgetRoleConnection(storage, discordId, reason) {
+  await storage.deleteRoleConnection(discordId);
+  console.log(`[Linked Roles] Removed stored tokens for ${discordId} (${reason})`);
+}
+
+// Discord accepts a refresh token once, so two rotations for the same member must never overlap:
+// the loser would get invalid_grant and delete tokens that are still good. Within this process rotations
+// queue per member; against other processes (server.js saving a new login, or another bot instance) the
+// stored record is re-read before anything is saved or deleted.
+const rotations = new Map();
+
+function queueRotation(discordId, task) {
+  const run = (rotations.get(discordId) || Promise.resolve()).catch(() => {}).then(task);
+  rotations.set(discordId, run);
+  run.finally(() => {
+    if (rotations.get(discordId) === run) rotations.delete(discordId);
+  }).catch(() => {});
+  return run;
+}
+
+// The stored record if its refresh token is no longer `refreshToken` (rotated or relinked elsewhere),
+// null if it was deleted, or undefined if it still holds that token
+async function findNewerTokens(storage, config, discordId, refreshToken) {
+  const current = await loadTokens(storage, config.encryptionKey, discordId);
+  if (!current) return null;
+  return current.refreshToken !== refreshToken ? current : undefined;
+}
+
+// Refresh a member's tokens and save the rotated pair
+// `seen` is the record the caller loaded - if someone else has rotated it since, their record is returned as is
+// Returns the current record, or null if the member has no tokens left (Discord revoked the grant, or they were deleted)
+async function rotateTokens(storage, config, discordId, seen) {
+  return queueRotation(discordId, async () => {
+    const newer = await findNewerTokens(storage, config, discordId, seen.refreshToken);
+    if (newer !== undefined) return newer;
+
+    let tokens;
+    try {
+      tokens = await refreshTokens(config, seen.refreshToken);
+    } catch (err) {
+      if (!err.revoked) throw err;
+      // Only the rejected token means the member de-authorized - a newer one saved meanwhile is still good
+      const current = await findNewerTokens(storage, config, discordId, seen.refreshToken);
+      if (current !== undefined) return current;
+      await forgetRoleConnection(storage, discordId, 'refresh token revoked');
+      return null;
+    }
+
+    // Don't overwrite a login server.js saved while we were refreshing, or bring back deleted tokens
+    const current = await findNewerTokens(storage, config, discordId, seen.refreshToken);
+    if (current !== undefined) return current;
+    const refreshed = toTokenRecord(tokens, seen);
+    await saveTokens(storage, config.encryptionKey, discordId, refreshed);
+    return refreshed;
+  });
+}
+
+// A usable access token for the member, refreshing (and saving the rotated tokens) if it's about to expire
+// Returns null if the member never linked or has since de-authorized the app
+async function getAccessToken(storage, config, discordId, { forceRefresh = false } = {}) {
+  const record = await loadTokens(storage, config.encryptionKey, discordId);
+  if (!record) return null;
+  if (!forceRefresh && record.expiresAt - Date.now() > REFRESH_MARGIN_MS) return record.accessToken;
+
+  const refreshed = await rotateTokens(storage, config, discordId, record);
+  return refreshed ? refreshed.accessToken : null;
+}
+
+// Refresh every stored token that expires within `withinMs` (Discord access tokens last 7 days)
+// Returns { checked, refreshed, revoked, failed }
+async function refreshExpiringTokens(storage, config, { withinMs }) {
+  const counts = { checked: 0, refreshed: 0, revoked: 0, failed: 0 };
+  const cutoff = Date.now() + withinMs;
+  for (const [discordId, stored] of Object.entries(await storage.getAllRoleConnections())) {
+    if (!stored || stored.expiresAt > cutoff) continue;
+    counts.checked++;
+    try {
+      const record = await loadTokens(storage, config.encryptionKey, discordId);
+      if (!record) continue; // Deleted since the list was read
+      if (await rotateTokens(storage, config, discordId, record)) counts.refreshed++;
+      else counts.revoked++;
+    } catch (err) {
+      console.error(`[Linked Roles] Could not refresh tokens for ${discordId}:`, err.message);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
+// Collapse a member's verification records ({ guildId: user }) into one summary
+//   tiktokUsername - Handle from the most recent verification
+//   verifiedAt     - Earliest verification (how long they've been verified)
+//   followerCount  - Most recently read follower count
+//   accountCreatedAt - When that handle's TikTok account was created (older records only have the user ID to go on)
+function summarizeVerifications(recordsByGuild) {
+  const records = Object.values(recordsByGuild || {}).filter(Boolean);
+  if (records.length === 0) return { verified: false, tiktokUsername: null, verifiedAt: null, followerCount: null, accountCreatedAt: null };
+
+  const byVerifiedAt = [...records].sort((a, b) => String(a.verifiedAt || '').localeCompare(String(b.verifiedAt || '')));
+  const withFollowers = records
+    .filter(r => r.followerCount !== null && r.followerCount !== undefined)
+    .sort((a, b) => String(b.followerCountUpdatedAt || '').localeCompare(String(a.followerCountUpdatedAt || '')));
+  const latest = byVerifiedAt[byVerifiedAt.length - 1];
+  const createdAt = latest.tiktokAccountCreatedAt
+    ? Date.parse(latest.tiktokAccountCreatedAt)
+    : getTikTokAccountCreatedAt({ userId: latest.tiktokUserId });
+  return {
+    verified: true,
+    tiktokUsername: latest.tiktokUsername || null,
+    verifiedAt: byVerifiedAt[0].verifiedAt || null,
+    followerCount: withFollowers.length > 0 ? withFollowers[0].followerCount : null,
+    accountCreatedAt: createdAt ? new Date(createdAt).toISOString() : null,
+  };
+}
+
+// Role connection body for a summary - metadata values are strings; keys Discord doesn't have registered are ignored
+function buildRoleConnection(summary) {
+  const metadata = { tiktok_verified: summary.verified ? '1' : '0' };
+  if (summary.verifiedAt) metadata.verified_since = summary.verifiedAt;
+  if (summary.followerCount !== null) metadata.follower_count = String(summary.followerCount);
+  if (summary.accountCreatedAt) {
+    metadata.tiktok_account_age_days = String(Math.max(0, Math.floor((Date.now() - Date.parse(summary.accountCreatedAt)) / ONE_DAY_MS)));
+  }
+  return {
+    platform_name: 'TikTok',
+    platform_username: summary.tiktokUsername ? `@${summary.tiktokUsername}` : null,
+    metadata,
+  };
+}
+
+// Update role connection metadata
+async function updateRoleConnection(config, accessToken, body) {
+  const response = await fetch(`${DISCORD_API}/users/@me/applications/${config.clientId}/role-connection`, {
+    method: 'PUT',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    console.error('Role connection error:', error);
+    const err = new Error(`Failed to update role connection: ${response.status}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  return response.json();
+}
+
+// Rebuild a member's role connection from storage and push it to Discord
+// Returns the summary that was pushed, or null if the member never linked (or de-authorized) their Discord account
+async function syncRoleConnection(storage, config, discordId) {
+  const accessToken = await getAccessToken(storage, config, discordId);
+  if (!accessToken) return null;
+
+  const summary = summarizeVerifications(await storage.findVerifiedByDiscordId(discordId));
+  const body = buildRoleConnection(summary);
+  try {
+    await updateRoleConnection(config, accessToken, body);
+  } catch (err) {
+    if (err.status !== 401) throw err;
+    // Access token rejected before its expiry - try one refresh; a revoked grant deletes the tokens
+    const retryToken = await getAccessToken(storage, config, discordId, { forceRefresh: true });
+    if (!retryToken) return null;
+    await updateRoleConnection(config, retryToken, body);
+  }
+
+  // Remember when this member was last pushed, for resyncStaleRoleConnections
+  // Merged on its own so a rotation saved meanwhile keeps its new tokens
+  await storage.mergeRoleConnection(discordId, { syncedAt: new Date().toISOString() });
+  return summary;
+}
+
+// tiktok_account_age_days is a number, so Discord only sees it grow when it's pushed again - re-push every
+// connection last synced more than `olderThanMs` ago (members who are verified again are pushed anyway)
+// Returns { checked, updated, failed }
+async function resyncStaleRoleConnections(storage, config, { olderThanMs }) {
+  const counts = { checked: 0, updated: 0, failed: 0 };
+  const cutoff = Date.now() - olderThanMs;
+  for (const [discordId, stored] of Object.entries(await storage.getAllRoleConnections())) {
+    if (!stored || Date.parse(stored.syncedAt || 0) > cutoff) continue;
+    counts.checked++;
+    try {
+      if (await syncRoleConnection(storage, config, discordId)) counts.updated++;
+    } catch (err) {
+      console.error(`[Linked Roles] Could not re-sync ${discordId}:`, err.message);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  ROLE_CONNECTION_METADATA,
+  getLinkedRolesConfig,
+  isLinkedRolesConfigured,
+  saveLinkedTokens,
+  forgetRoleConnection,
+  refreshExpiringTokens,
+  summarizeVerifications,
+  buildRoleConnection,
+  syncRoleConnection,
+  resyncStaleRoleConnections,
+};
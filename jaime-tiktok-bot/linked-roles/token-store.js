@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Linked-role OAuth tokens, encrypted at rest
+// Stored record: { tokens: 'v1:<iv>:<tag>:<ciphertext>', expiresAt, scope, linkedAt, updatedAt }
+// Only the access and refresh tokens are encrypted (AES-256-GCM); expiresAt stays readable so the
+// refresh job can find tokens about to expire without decrypting every record.
+// The key is TOKEN_ENCRYPTION_KEY hashed to 32 bytes, so any long random string works.
+
+const FORMAT_VERSION = 'v1';
+
+function getEncryptionKey(secret) {
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+}
+
+function decrypt(key, payload) {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== FORMAT_VERSION) throw new Error(`Unknown token format "${version}"`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw new Error('Could not decrypt stored tokens (was TOKEN_ENCRYPTION_KEY changed?)');
+  }
+}
+
+// Decrypted token record ({ accessToken, refreshToken, expiresAt, ... }), or null if the member never linked
+async function loadTokens(storage, key, discordId) {
+  const record = await storage.getRoleConnection(discordId);
+  if (!record) return null;
+  // Records saved before encryption hold the tokens in plain text - they're encrypted on the next save
+  if (!record.tokens) return record;
+
+  const { tokens, ...rest } = record;
+  const { accessToken, refreshToken } = JSON.parse(decrypt(key, tokens));
+  return { ...rest, accessToken, refreshToken };
+}
+
+async function saveTokens(storage, key, discordId, record) {
+  const { accessToken, refreshToken, ...rest } = record;
+  await storage.saveRoleConnection(discordId, {
+    ...rest,
+    tokens: encrypt(key, JSON.stringify({ accessToken, refreshToken })),
+  });
+}
+
+module.exports = { getEncryptionKey, loadTokens, saveTokens };
@@ -0,0 +1,107 @@
+// One-shot importer: copies existing JSON files and Redis keys into the SQLite database
+// Usage: npm run import-sqlite   (reads REDIS_URL and SQLITE_PATH from .env if set)
+// JSON files are imported first, then Redis - Redis wins on conflicts since it was the primary store
+// Sources are only read, never migrated or written - data in an older format has to be upgraded by starting
+// the bot on it once. Safe to re-run: records are upserts and events already in SQLite are skipped.
+require('dotenv').config();
+const { createStorage, getDataDir, parsePendingKey } = require('../storage');
+
+const dataDir = getDataDir();
+
+// Events have no ID - these fields together identify one
+function eventKey(guildId, event) {
+  return JSON.stringify([guildId, event.timestamp, event.type, event.discordId]);
+}
+
+async function copyInto(source, target) {
+  if (await source.needsMigration()) {
+    throw new Error(`${source.name} data is in an older format - start the bot on it once so it's upgraded, then run the import again`);
+  }
+  const counts = { pending: 0, configs: 0, verified: 0, logs: 0, events: 0, duplicateEvents: 0, premium: 0, roleConnections: 0 };
+
+  for (const [key, record] of Object.entries(await source.getAllPending())) {
+    const { guildId, discordId } = parsePendingKey(key);
+    await target.savePending(guildId, discordId, record);
+    counts.pending++;
+  }
+
+  for (const [guildId, config] of Object.entries(await source.getGuildConfigs())) {
+    await target.saveGuildConfig(guildId, config);
+    counts.configs++;
+  }
+
+  for (const [guildId, users] of Object.entries(await source.getAllVerifiedUsers())) {
+    for (const user of users) {
+      await target.saveVerifiedUser(guildId, user);
+      counts.verified++;
+    }
+  }
+
+  for (const [guildId, entries] of Object.entries(await source.getAllVerificationLogs())) {
+    for (const [discordId, entry] of Object.entries(entries)) {
+      await target.saveVerificationLog(guildId, discordId, entry);
+      counts.logs++;
+    }
+  }
+
+  // Event history is append-only, so skip events SQLite already has (from the other source or an earlier run)
+  const guildIds = new Set([
+    ...Object.keys(await source.getGuildConfigs()),
+    ...Object.keys(await source.getAllVerifiedUsers()),
+    ...Object.keys(await source.getAllVerificationLogs()),
+  ]);
+  for (const guildId of guildIds) {
+    const existing = new Set((await target.getVerificationEvents(guildId, { limit: Infinity })).events.map(e => eventKey(guildId, e)));
+    const { events } = await source.getVerificationEvents(guildId, { limit: Infinity });
+    for (const event of events.reverse()) {
+      const key = eventKey(guildId, event);
+      if (existing.has(key)) {
+        counts.duplicateEvents++;
+        continue;
+      }
+      await target.appendVerificationEvent(guildId, event);
+      existing.add(key);
+      counts.events++;
+    }
+  }
+
+  for (const [guildId, grant] of Object.entries(await source.getAllPremiumGrants())) {
+    await target.savePremiumGrant(guildId, grant);
+    counts.premium++;
+  }
+
+  // Linked-role tokens are copied as stored (still encrypted with the same TOKEN_ENCRYPTION_KEY)
+  for (const [discordId, record] of Object.entries(await source.getAllRoleConnections())) {
+    await target.saveRoleConnection(discordId, record);
+    counts.roleConnections++;
+  }
+
+  console.log(`[Import] ${source.name}: ${counts.pending} pending, ${counts.configs} configs, ${counts.verified} verified users, ${counts.logs} log entries, ${counts.events} events (${counts.duplicateEvents} already imported), ${counts.premium} premium grants, ${counts.roleConnections} linked-role connections`);
+}
+
+async function main() {
+  const target = createStorage({ backend: 'sqlite', dataDir });
+
+  await copyInto(createStorage({ backend: 'file', dataDir }), target);
+
+  if (process.env.REDIS_URL) {
+    const source = createStorage({ backend: 'redis', redisUrl: process.env.REDIS_URL });
+    try {
+      await copyInto(source, target);
+    } finally {
+      source.client.disconnect();
+    }
+  } else {
+    console.log('[Import] REDIS_URL not set - skipping Redis import');
+  }
+
+  const stats = await target.getStats();
+  console.log(`[Import] Done. SQLite now holds ${stats.verifiedUsers} verified users across ${stats.verifiedGuilds} guilds`);
+  console.log('[Import] Set STORAGE_BACKEND=sqlite to start using it');
+  target.db.close();
+}
+
+main().catch((err) => {
+  console.error('[Import] Failed:', err.message);
+  process.exit(1);
+});
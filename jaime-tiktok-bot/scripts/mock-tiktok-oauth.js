@@ -0,0 +1,129 @@
+// Local stand-in for TikTok's Login Kit endpoints, for testing Sign in with TikTok without a TikTok app
+// Usage: npm run mock-tiktok-oauth   (listens on MOCK_TIKTOK_PORT, default 4000)
+// Point server.js at it with:
+//   TIKTOK_CLIENT_KEY=mock TIKTOK_CLIENT_SECRET=mock
+//   TIKTOK_AUTHORIZE_URL=http://localhost:4000/v2/auth/authorize/
+//   TIKTOK_TOKEN_URL=http://localhost:4000/v2/oauth/token/
+//   TIKTOK_USER_INFO_URL=http://localhost:4000/v2/user/info/
+// The authorize page asks which TikTok username to "sign in" as (or deny), then redirects back like TikTok does.
+// It also stands in for the Research API's following list (the /requirements follows_creator check) - point the bot at it with:
+//   TIKTOK_RESEARCH_CLIENT_KEY=mock TIKTOK_RESEARCH_CLIENT_SECRET=mock
+//   TIKTOK_RESEARCH_TOKEN_URL=http://localhost:4000/v2/oauth/token/
+//   TIKTOK_RESEARCH_FOLLOWING_URL=http://localhost:4000/v2/research/user/following/
+// Every account follows the usernames in MOCK_TIKTOK_FOLLOWING (comma-separated); usernames starting with
+// "private" have a private following list.
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_TIKTOK_PORT || 4000;
+const FOLLOWING = (process.env.MOCK_TIKTOK_FOLLOWING || 'jaime').split(',').map(u => u.trim()).filter(Boolean);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// Issued codes and tokens -> the fake user they belong to
+const codes = new Map();
+const tokens = new Map();
+const clientTokens = new Set();
+
+function fakeUser(username, followerCount) {
+  return {
+    open_id: `mock-${crypto.createHash('sha256').update(username).digest('hex').slice(0, 16)}`,
+    union_id: `mock-union-${username}`,
+    username,
+    display_name: username,
+    follower_count: Number.isFinite(followerCount) ? followerCount : 1234,
+    video_count: 42,
+  };
+}
+
+app.get('/v2/auth/authorize/', (req, res) => {
+  const { client_key: clientKey, redirect_uri: redirectUri, state } = req.query;
+  if (!clientKey || !redirectUri || !state) {
+    return res.status(400).send('Missing client_key, redirect_uri or state');
+  }
+  const hidden = ['redirect_uri', 'state'].map(k => `<input type="hidden" name="${k}" value="${req.query[k].replace(/"/g, '&quot;')}">`).join('');
+  res.send(`
+    <form method="post" action="/v2/auth/authorize/">
+      ${hidden}
+      <p>Mock TikTok sign-in for <b>${clientKey.replace(/</g, '&lt;')}</b> (scopes: ${(req.query.scope || '').replace(/</g, '&lt;')})</p>
+      <p><label>Username <input name="username" value="mock.user"></label></p>
+      <p><label>Followers <input name="follower_count" value="1234"></label></p>
+      <button name="decision" value="allow">Authorize</button>
+      <button name="decision" value="deny">Cancel</button>
+    </form>
+  `);
+});
+
+app.post('/v2/auth/authorize/', (req, res) => {
+  const { redirect_uri: redirectUri, state, decision, username } = req.body;
+  const params = new URLSearchParams({ state });
+  if (decision !== 'allow') {
+    params.set('error', 'access_denied');
+    params.set('error_description', 'The user denied the request');
+  } else {
+    const code = crypto.randomBytes(12).toString('hex');
+    codes.set(code, { user: fakeUser(username || 'mock.user', parseInt(req.body.follower_count, 10)), redirectUri });
+    params.set('code', code);
+  }
+  res.redirect(`${redirectUri}?${params}`);
+});
+
+app.post('/v2/oauth/token/', (req, res) => {
+  const { code, grant_type: grantType, redirect_uri: redirectUri, client_key: clientKey, client_secret: clientSecret } = req.body;
+  if (grantType === 'client_credentials') {
+    if (!clientKey || !clientSecret) {
+      return res.status(400).json({ error: 'invalid_client', error_description: 'Client key or secret is missing' });
+    }
+    const accessToken = `clt.${crypto.randomBytes(16).toString('hex')}`;
+    clientTokens.add(accessToken);
+    return res.json({ access_token: accessToken, expires_in: 7200, token_type: 'Bearer' });
+  }
+  const issued = codes.get(code);
+  if (!clientKey || !clientSecret || grantType !== 'authorization_code' || !issued || issued.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Authorization code is invalid or expired' });
+  }
+  codes.delete(code);
+  const accessToken = `act.${crypto.randomBytes(16).toString('hex')}`;
+  tokens.set(accessToken, issued.user);
+  res.json({
+    access_token: accessToken,
+    open_id: issued.user.open_id,
+    scope: 'user.info.basic,user.info.profile,user.info.stats',
+    expires_in: 86400,
+    refresh_token: `rft.${crypto.randomBytes(16).toString('hex')}`,
+    refresh_expires_in: 31536000,
+    token_type: 'Bearer',
+  });
+});
+
+app.get('/v2/user/info/', (req, res) => {
+  const user = tokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+  if (!user) {
+    return res.status(401).json({ data: {}, error: { code: 'access_token_invalid', message: 'The access token is invalid' } });
+  }
+  const fields = (req.query.fields || 'open_id').split(',');
+  const selected = Object.fromEntries(fields.filter(f => f in user).map(f => [f, user[f]]));
+  res.json({ data: { user: selected }, error: { code: 'ok', message: '' } });
+});
+
+app.post('/v2/research/user/following/', express.json(), (req, res) => {
+  if (!clientTokens.has((req.headers.authorization || '').replace(/^Bearer /, ''))) {
+    return res.status(401).json({ data: {}, error: { code: 'access_token_invalid', message: 'The access token is invalid' } });
+  }
+  const { username } = req.body || {};
+  if (!username) {
+    return res.status(400).json({ data: {}, error: { code: 'invalid_params', message: 'username is required' } });
+  }
+  if (username.startsWith('private')) {
+    return res.status(403).json({ data: {}, error: { code: 'forbidden', message: 'This user\'s following list is private' } });
+  }
+  res.json({
+    data: { user_following: FOLLOWING.map(u => ({ username: u, display_name: u })), cursor: FOLLOWING.length, has_more: false },
+    error: { code: 'ok', message: '' },
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock TikTok OAuth server running on http://localhost:${PORT}`);
+});
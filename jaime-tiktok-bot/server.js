@@ -2,6 +2,22 @@ require('dotenv').config();
 const express = require('express');
 const crypto = require('crypto');
 const path = require('path');
+const { createStorage } = require('./storage');
+const {
+  LOGIN_LINK_TTL_MS,
+  getTikTokLoginConfig,
+  buildAuthorizeUrl,
+  exchangeCode,
+  fetchUserInfo,
+} = require('./tiktok/login-kit');
+const {
+  ROLE_CONNECTION_METADATA,
+  getLinkedRolesConfig,
+  isLinkedRolesConfigured,
+  saveLinkedTokens,
+  forgetRoleConnection,
+  syncRoleConnection,
+} = require('./linked-roles/role-connection');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,12 +26,68 @@ const DISCORD_CLIENT_ID = process.env.DISCORD_APPLICATION_ID;
 const DISCORD_CLIENT_SECRET = process.env.DISCORD_CLIENT_SECRET;
 const DISCORD_REDIRECT_URI = process.env.DISCORD_REDIRECT_URI || `http://localhost:${PORT}/callback`;
 
-// Store for OAuth states and tokens (in production, use a database)
-const states = new Map();
-const userTokens = new Map();
+const TIKTOK_LOGIN = getTikTokLoginConfig();
+const LINKED_ROLES = getLinkedRolesConfig();
 
-// Serve static files (terms.html, privacy.html)
-app.use(express.static(__dirname));
+// Same storage as the bot - Sign in with TikTok results are handed over through the pending record,
+// linked-role tokens are kept so the bot can push updates when a member is verified or unverified
+const storage = createStorage();
+
+// OAuth states live in storage too, so a callback can land on a different instance (or after a restart/cold start)
+// than the one that started the flow. Each state is single-use and expires after 10 minutes.
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+async function createState(data) {
+  const state = crypto.randomBytes(16).toString('hex');
+  await storage.saveOAuthState(state, { ...data, timestamp: Date.now() }, STATE_TTL_MS);
+  return state;
+}
+
+// Simple status page for the TikTok sign-in flow
+function renderMessagePage(res, status, { icon, title, message }) {
+  res.status(status).send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title}</title>
+      <style>
+        body { font-family: sans-serif; background: #1a1a2e; color: white; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; }
+        .container { text-align: center; padding: 40px; background: #16213e; border-radius: 12px; max-width: 480px; }
+        h1 { color: #5865F2; }
+        .icon { font-size: 48px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="icon">${icon}</div>
+        <h1>${title}</h1>
+        ${message.map(line => `<p>${line}</p>`).join('\n        ')}
+      </div>
+    </body>
+    </html>
+  `);
+}
+
+// Is this sign-in link still the member's current one?
+// The nonce is compared in constant time; a newer "Verify TikTok" click replaces it
+function matchesLoginRecord(record, nonce) {
+  if (!record || record.proofMethod !== 'oauth' || !record.oauthNonce || typeof nonce !== 'string') return false;
+  if (Date.now() - (record.createdAt || 0) > LOGIN_LINK_TTL_MS) return false;
+  const expected = Buffer.from(record.oauthNonce);
+  const given = Buffer.from(nonce);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Serve only the public pages (the same files vercel.json serves) - never the whole bot folder
+// ('/' serves index.html first, as express.static did, so the inline home page below is only a fallback)
+const PUBLIC_PAGES = ['index.html', 'terms.html', 'privacy.html'];
+app.get('/', (req, res, next) => {
+  res.sendFile(path.join(__dirname, 'index.html'), err => err && next());
+});
+app.get(PUBLIC_PAGES.map(page => `/${page}`), (req, res) => {
+  res.sendFile(path.join(__dirname, req.path));
+});
+app.use('/images', express.static(path.join(__dirname, 'images')));
 
 // Home page
 app.get('/', (req, res) => {
@@ -44,15 +116,11 @@ app.get('/', (req, res) => {
 });
 
 // Start OAuth2 flow for Linked Roles
-app.get('/linked-role', (req, res) => {
-  const state = crypto.randomBytes(16).toString('hex');
-  states.set(state, { timestamp: Date.now() });
-
-  // Clean up old states (older than 10 minutes)
-  const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
-  for (const [key, value] of states) {
-    if (value.timestamp < tenMinutesAgo) states.delete(key);
+app.get('/linked-role', async (req, res) => {
+  if (!isLinkedRolesConfigured(LINKED_ROLES)) {
+    return res.status(503).send('Linked Roles is not configured on this server.');
   }
+  const state = await createState({ provider: 'discord' });
 
   const params = new URLSearchParams({
     client_id: DISCORD_CLIENT_ID,
@@ -70,11 +138,11 @@ app.get('/linked-role', (req, res) => {
 app.get('/callback', async (req, res) => {
   const { code, state } = req.query;
 
-  // Verify state
-  if (!state || !states.has(state)) {
+  // Verify state (TikTok sign-in states have their own callback)
+  const saved = state ? await storage.takeOAuthState(state) : null;
+  if (!saved || saved.provider !== 'discord') {
     return res.status(400).send('Invalid state parameter. Please try again.');
   }
-  states.delete(state);
 
   if (!code) {
     return res.status(400).send('No authorization code received.');
@@ -112,19 +180,14 @@ app.get('/callback', async (req, res) => {
 
     const user = await userResponse.json();
 
-    // Store tokens (in production, store in database)
-    userTokens.set(user.id, {
-      accessToken: tokens.access_token,
-      refreshToken: tokens.refresh_token,
-      expiresAt: Date.now() + tokens.expires_in * 1000,
-    });
+    // Store tokens (encrypted) so the bot can update the connection later
+    await saveLinkedTokens(storage, LINKED_ROLES, user.id, tokens);
 
-    // Update the user's role connection metadata
-    // This sets them as "verified" via the linked role
-    await updateRoleConnection(tokens.access_token, {
-      tiktok_verified: true,
-      verified_at: new Date().toISOString(),
-    });
+    // Update the user's role connection metadata from their real verification records
+    const summary = await syncRoleConnection(storage, LINKED_ROLES, user.id);
+    const status = summary.verified
+      ? `<p>Your Discord account is linked to <b>@${summary.tiktokUsername}</b> on TikTok.</p>`
+      : `<p>Your Discord account is linked, but you haven't verified a TikTok yet.</p>\n          <p>Click <b>"Verify TikTok"</b> in a server that uses the bot - your linked role updates automatically once you're verified.</p>`;
 
     res.send(`
       <!DOCTYPE html>
@@ -142,7 +205,7 @@ app.get('/callback', async (req, res) => {
         <div class="container">
           <div class="success">✓</div>
           <h1>Account Linked!</h1>
-          <p>Your Discord account has been linked for TikTok verification.</p>
+          ${status}
           <p>You can now close this window and return to Discord.</p>
         </div>
       </body>
@@ -154,47 +217,158 @@ app.get('/callback', async (req, res) => {
   }
 });
 
-// Update role connection metadata
-async function updateRoleConnection(accessToken, metadata) {
-  const response = await fetch(
-    `https://discord.com/api/users/@me/applications/${DISCORD_CLIENT_ID}/role-connection`,
-    {
-      method: 'PUT',
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        platform_name: 'TikTok',
-        platform_username: metadata.tiktok_username || 'Verified User',
-        metadata: {
-          tiktok_verified: metadata.tiktok_verified ? 1 : 0,
-        },
-      }),
+// Start Sign in with TikTok - the bot's "Verify TikTok" button links here
+app.get('/tiktok/login', async (req, res) => {
+  const { guild, user, nonce } = req.query;
+
+  if (!TIKTOK_LOGIN.clientKey || !TIKTOK_LOGIN.clientSecret) {
+    return res.status(503).send('Sign in with TikTok is not configured on this server.');
+  }
+  if (!guild || !user || !nonce) {
+    return res.status(400).send('Invalid sign-in link. Please click "Verify TikTok" in Discord again.');
+  }
+
+  try {
+    const record = await storage.getPending(guild, user);
+    if (!matchesLoginRecord(record, nonce)) {
+      return renderMessagePage(res, 400, {
+        icon: '⌛',
+        title: 'Link Expired',
+        message: ['This sign-in link has expired or was replaced by a newer one.', 'Click <b>"Verify TikTok"</b> in Discord to get a new link.'],
+      });
     }
-  );
 
-  if (!response.ok) {
-    const error = await response.json();
-    console.error('Role connection error:', error);
-    throw new Error('Failed to update role connection');
+    const state = await createState({ provider: 'tiktok', guildId: guild, discordId: user, nonce });
+
+    res.redirect(buildAuthorizeUrl(TIKTOK_LOGIN, state));
+  } catch (error) {
+    console.error('[TikTok Login] Start error:', error);
+    res.status(500).send('An error occurred starting TikTok sign-in.');
   }
+});
 
-  return response.json();
+// TikTok OAuth callback - proves the member owns the account and hands the result to the bot
+app.get('/tiktok/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  // Verify state
+  const login = state ? await storage.takeOAuthState(state) : null;
+  if (!login || login.provider !== 'tiktok') {
+    return res.status(400).send('Invalid state parameter. Please try again.');
+  }
+
+  if (error) {
+    console.log(`[TikTok Login] ${login.discordId} in ${login.guildId} - TikTok returned ${error}: ${errorDescription || ''}`);
+    return renderMessagePage(res, 400, {
+      icon: '✖',
+      title: 'Sign-in Cancelled',
+      message: ['TikTok sign-in was cancelled or denied, so nothing was linked.', 'Click <b>"Verify TikTok"</b> in Discord to try again.'],
+    });
+  }
+  if (!code) {
+    return res.status(400).send('No authorization code received.');
+  }
+
+  try {
+    const { accessToken } = await exchangeCode(TIKTOK_LOGIN, code);
+    const tiktokUser = await fetchUserInfo(TIKTOK_LOGIN, accessToken);
+
+    // Re-read the pending record - the member may have started over while signing in
+    const record = await storage.getPending(login.guildId, login.discordId);
+    if (!matchesLoginRecord(record, login.nonce)) {
+      return renderMessagePage(res, 400, {
+        icon: '⌛',
+        title: 'Link Expired',
+        message: ['This sign-in took too long or a newer one was started.', 'Click <b>"Verify TikTok"</b> in Discord to get a new link.'],
+      });
+    }
+
+    // The bot finishes the verification (requirements, duplicate checks, roles) - due right away
+    await storage.savePending(login.guildId, login.discordId, {
+      ...record,
+      username: tiktokUser.username,
+      oauth: { ...tiktokUser, signedInAt: new Date().toISOString() },
+      checkAttempts: 0,
+      nextCheckAt: Date.now(),
+    });
+    console.log(`[TikTok Login] ${login.discordId} in ${login.guildId} signed in as @${tiktokUser.username}`);
+
+    renderMessagePage(res, 200, {
+      icon: '✓',
+      title: 'TikTok Connected!',
+      message: [
+        `You signed in as <b>@${tiktokUser.username}</b>.`,
+        'Go back to Discord and click <b>"Verify Now"</b> to get your role, or wait a few minutes and I\'ll DM you when it\'s done.',
+      ],
+    });
+  } catch (error) {
+    console.error('[TikTok Login] Callback error:', error);
+    res.status(500).send('An error occurred during TikTok sign-in.');
+  }
+});
+
+// Discord webhook events - APPLICATION_DEAUTHORIZED fires when a member removes the app from their
+// Authorized Apps, so their stored tokens are deleted straight away
+// Set the app's Webhook Events URL to <PUBLIC_URL>/discord/events and subscribe to "Application Deauthorized"
+app.post('/discord/events', express.raw({ type: 'application/json' }), async (req, res) => {
+  if (!verifyDiscordSignature(req)) {
+    return res.status(401).send('Invalid request signature');
+  }
+
+  const payload = JSON.parse(req.body.toString('utf8'));
+  // type 0 = PING (sent when the URL is saved), type 1 = event
+  if (payload.type === 1 && payload.event?.type === 'APPLICATION_DEAUTHORIZED') {
+    const discordId = payload.event.data?.user?.id;
+    if (discordId) {
+      try {
+        await forgetRoleConnection(storage, discordId, 'app de-authorized');
+      } catch (error) {
+        console.error('[Linked Roles] De-authorize cleanup error:', error);
+        return res.status(500).send('Could not remove stored tokens');
+      }
+    }
+  }
+  res.status(204).end();
+});
+
+// Check the Ed25519 signature Discord puts on webhook events (X-Signature-Ed25519 over timestamp + body)
+function verifyDiscordSignature(req) {
+  const signature = req.get('X-Signature-Ed25519');
+  const timestamp = req.get('X-Signature-Timestamp');
+  const publicKey = process.env.DISCORD_PUBLIC_KEY;
+  if (!signature || !timestamp || !publicKey || !Buffer.isBuffer(req.body)) return false;
+
+  try {
+    // Raw 32-byte key wrapped in the SPKI header Node needs for Ed25519
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki',
+    });
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), req.body]), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Compare against ADMIN_SECRET in constant time (hashed first so the lengths always match)
+function matchesAdminSecret(given) {
+  if (typeof given !== 'string' || !given) return false;
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(process.env.ADMIN_SECRET));
 }
 
-// Register role connection metadata schema (run once)
+// Register role connection metadata schema (run once, and again whenever ROLE_CONNECTION_METADATA changes)
+// Needs ADMIN_SECRET, sent as the X-Admin-Secret header or ?secret= - disabled when it isn't set
 app.get('/register-metadata', async (req, res) => {
-  const botToken = process.env.DISCORD_TOKEN;
+  if (!process.env.ADMIN_SECRET) {
+    return res.status(503).json({ error: 'Metadata registration is disabled - set ADMIN_SECRET to enable it' });
+  }
+  if (!matchesAdminSecret(req.get('X-Admin-Secret') || req.query.secret)) {
+    return res.status(401).json({ error: 'Invalid admin secret' });
+  }
 
-  const metadata = [
-    {
-      key: 'tiktok_verified',
-      name: 'TikTok Verified',
-      description: 'User has verified their TikTok account',
-      type: 7, // Boolean
-    },
-  ];
+  const botToken = process.env.DISCORD_TOKEN;
 
   try {
     const response = await fetch(
@@ -205,7 +379,7 @@ app.get('/register-metadata', async (req, res) => {
           Authorization: `Bot ${botToken}`,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(metadata),
+        body: JSON.stringify(ROLE_CONNECTION_METADATA),
       }
     );
 
@@ -226,7 +400,9 @@ app.get('/register-metadata', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Linked Role URL: http://localhost:${PORT}/linked-role`);
+  if (TIKTOK_LOGIN.clientKey) console.log(`TikTok Login redirect URI: ${TIKTOK_LOGIN.redirectUri}`);
   console.log(`\nMake sure to set these in Discord Developer Portal:`);
   console.log(`  Redirects: ${DISCORD_REDIRECT_URI}`);
   console.log(`  Linked Roles Verification URL: http://localhost:${PORT}/linked-role`);
+  console.log(`  Webhook Events URL: http://localhost:${PORT}/discord/events`);
 });
@@ -0,0 +1,9 @@
+// Apply getVerificationEvents() filters and paging to an oldest-first event array
+// Shared by the backends that keep each guild's history as a plain list
+function pageEvents(events, { type, discordId, offset = 0, limit = 50 } = {}) {
+  const filtered = events.filter(e => (!type || e.type === type) && (!discordId || e.discordId === discordId));
+  filtered.reverse(); // Newest first
+  return { total: filtered.length, events: filtered.slice(offset, offset + limit) };
+}
+
+module.exports = { pageEvents };
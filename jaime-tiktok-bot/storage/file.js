@@ -0,0 +1,377 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pendingKey, parsePendingKey, pendingHasCode } = require('./keys');
+const { pageEvents } = require('./events');
+
+const FILE_NAMES = {
+  pending: 'pending-verifications.json',
+  configs: 'guild-config.json',
+  verified: 'verified-users.json',
+  logs: 'verification-log.json',
+  events: 'verification-events.json',
+  premium: 'premium-grants.json',
+  roleConnections: 'role-connections.json',
+  oauthStates: 'oauth-states.json',
+};
+
+// The bot and server.js are separate processes writing the same files, so each update holds `<file>.lock`
+// (created exclusively, so only one process gets it) and replaces the file with an atomic rename.
+// Readers never see a half-written file and neither process can lose the other's writes.
+// A lock left by a crashed process is taken over once it's older than LOCK_STALE_MS - updates take milliseconds.
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function acquireLock(file) {
+  const lockFile = `${file}.lock`;
+  const started = Date.now();
+  for (;;) {
+    try {
+      await fsPromises.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+      return lockFile;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const stat = await fsPromises.stat(lockFile).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      console.log(`[Storage] Taking over stale lock ${lockFile}`);
+      await fsPromises.unlink(lockFile).catch(() => {});
+      continue;
+    }
+    if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error(`Timed out waiting for ${path.basename(lockFile)}`);
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+// JSON file storage backend for self-hosting without Redis
+// Each collection lives in its own file in the data directory; files are re-read on every call
+function createFileStorage({ dataDir }) {
+  const files = Object.fromEntries(Object.entries(FILE_NAMES).map(([name, file]) => [name, path.join(dataDir, file)]));
+
+  async function readJson(file) {
+    try {
+      const data = await fsPromises.readFile(file, 'utf8');
+      return JSON.parse(data);
+    } catch (err) {
+      if (err.code === 'ENOENT') return {}; // File doesn't exist yet
+      throw err;
+    }
+  }
+
+  // Write a temp file next to the real one, then rename it over - the rename is atomic
+  async function writeJson(file, data) {
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fsPromises.writeFile(tempFile, JSON.stringify(data, null, 2));
+      await fsPromises.rename(tempFile, file);
+    } catch (err) {
+      await fsPromises.unlink(tempFile).catch(() => {});
+      throw err;
+    }
+  }
+
+  // Read-modify-write one file. Updates to the same file are queued so overlapping
+  // async callers (e.g. the button flow and the background job) can't lose each other's writes,
+  // and hold the file's lock so the other process can't either.
+  // Return false from mutate to skip the write.
+  const fileQueues = new Map();
+  function updateJson(file, mutate) {
+    const previous = fileQueues.get(file) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+      const lockFile = await acquireLock(file);
+      try {
+        const data = await readJson(file);
+        const result = await mutate(data);
+        if (result !== false) await writeJson(file, data);
+        return result;
+      } finally {
+        await fsPromises.unlink(lockFile).catch(() => {});
+      }
+    });
+    fileQueues.set(file, run);
+    return run;
+  }
+
+  return {
+    name: 'file',
+
+    async ping() {
+      await fsPromises.access(dataDir);
+      return 'PONG';
+    },
+
+    // Are there legacy pending entries migrate() would rewrite? (the importer reads without migrating)
+    async needsMigration() {
+      return Object.keys(await readJson(files.pending)).some(key => !key.includes(':'));
+    },
+
+    // Rewrite legacy pending entries keyed by Discord user only to 'guildId:discordId'
+    async migrate() {
+      let migrated = 0;
+      await updateJson(files.pending, (all) => {
+        for (const [key, record] of Object.entries(all)) {
+          if (key.includes(':')) continue;
+          delete all[key];
+          if (!record?.guildId) {
+            console.log(`[Migration] Dropping legacy pending entry for ${key} - no guildId in record`);
+            continue;
+          }
+          const newKey = pendingKey(record.guildId, key);
+          if (!all[newKey]) all[newKey] = { ...record, discordId: key };
+          migrated++;
+        }
+        return migrated > 0;
+      });
+      if (migrated > 0) {
+        console.log(`[Migration] Migrated ${migrated} legacy pending verification(s) to per-guild keys`);
+      }
+    },
+
+    async getPending(guildId, discordId) {
+      const all = await readJson(files.pending);
+      return all[pendingKey(guildId, discordId)] || null;
+    },
+
+    async savePending(guildId, discordId, record) {
+      await updateJson(files.pending, (all) => {
+        all[pendingKey(guildId, discordId)] = record;
+      });
+    },
+
+    async deletePending(guildId, discordId) {
+      await updateJson(files.pending, (all) => {
+        delete all[pendingKey(guildId, discordId)];
+      });
+    },
+
+    async getAllPending() {
+      const all = await readJson(files.pending);
+      const result = {};
+      for (const [key, record] of Object.entries(all)) {
+        if (!key.includes(':')) continue; // Legacy per-user key, handled by migrate()
+        result[key] = { discordId: parsePendingKey(key).discordId, ...record };
+      }
+      return result;
+    },
+
+    async getDuePending(now) {
+      const all = await this.getAllPending();
+      return Object.fromEntries(Object.entries(all).filter(([, record]) => (record.nextCheckAt || 0) <= now));
+    },
+
+    async getGuildPending(guildId) {
+      const all = await this.getAllPending();
+      return Object.fromEntries(Object.entries(all).filter(([key]) => parsePendingKey(key).guildId === guildId));
+    },
+
+    async findPendingByCode(guildId, code) {
+      const records = await this.getGuildPending(guildId);
+      return Object.values(records).find(r => pendingHasCode(r, code)) || null;
+    },
+
+    async getGuildConfig(guildId) {
+      const all = await readJson(files.configs);
+      return all[guildId] || null;
+    },
+
+    async getGuildConfigs() {
+      return readJson(files.configs);
+    },
+
+    async saveGuildConfig(guildId, config) {
+      await updateJson(files.configs, (all) => {
+        all[guildId] = config;
+      });
+    },
+
+    async getVerifiedUsers(guildId) {
+      const all = await readJson(files.verified);
+      return all[guildId] || [];
+    },
+
+    async getAllVerifiedUsers() {
+      return readJson(files.verified);
+    },
+
+    async findVerifiedByTikTok(guildId, tiktokUsername) {
+      const lower = tiktokUsername.toLowerCase();
+      const users = await this.getVerifiedUsers(guildId);
+      return users.filter(u => (u.tiktokUsername || '').toLowerCase() === lower);
+    },
+
+    async findVerifiedByDiscordId(discordId) {
+      const all = await readJson(files.verified);
+      const result = {};
+      for (const [guildId, users] of Object.entries(all)) {
+        const user = users.find(u => u.discordId === discordId);
+        if (user) result[guildId] = user;
+      }
+      return result;
+    },
+
+    async saveVerifiedUser(guildId, user) {
+      await updateJson(files.verified, (all) => {
+        const users = all[guildId] || [];
+        const index = users.findIndex(u => u.discordId === user.discordId);
+        if (index >= 0) users[index] = user;
+        else users.push(user);
+        all[guildId] = users;
+      });
+    },
+
+    async mergeVerifiedUser(guildId, discordId, fields) {
+      let merged = null;
+      await updateJson(files.verified, (all) => {
+        const users = all[guildId] || [];
+        const index = users.findIndex(u => u.discordId === discordId);
+        if (index < 0) return false;
+        merged = { ...users[index], ...fields, discordId };
+        users[index] = merged;
+      });
+      return merged;
+    },
+
+    async removeVerifiedUser(guildId, discordId) {
+      let removed = null;
+      await updateJson(files.verified, (all) => {
+        const users = all[guildId] || [];
+        const index = users.findIndex(u => u.discordId === discordId);
+        if (index < 0) return false;
+        [removed] = users.splice(index, 1);
+      });
+      return removed;
+    },
+
+    async getVerificationLogs(guildId) {
+      const all = await readJson(files.logs);
+      return all[guildId] || {};
+    },
+
+    async getAllVerificationLogs() {
+      return readJson(files.logs);
+    },
+
+    async saveVerificationLog(guildId, discordId, entry) {
+      await updateJson(files.logs, (all) => {
+        if (!all[guildId]) all[guildId] = {};
+        all[guildId][discordId] = entry;
+      });
+    },
+
+    async mergeVerificationLog(guildId, discordId, fields, { createIfMissing = false } = {}) {
+      let merged = null;
+      await updateJson(files.logs, (all) => {
+        const existing = all[guildId]?.[discordId];
+        if (!existing && !createIfMissing) return false;
+        if (!all[guildId]) all[guildId] = {};
+        merged = { ...(existing || {}), ...fields };
+        all[guildId][discordId] = merged;
+      });
+      return merged;
+    },
+
+    async appendVerificationEvent(guildId, event) {
+      await updateJson(files.events, (all) => {
+        if (!all[guildId]) all[guildId] = [];
+        all[guildId].push(event);
+      });
+    },
+
+    async getVerificationEvents(guildId, options) {
+      const all = await readJson(files.events);
+      return pageEvents(all[guildId] || [], options);
+    },
+
+    async getPremiumGrant(guildId) {
+      const all = await readJson(files.premium);
+      return all[guildId] || null;
+    },
+
+    async getAllPremiumGrants() {
+      return readJson(files.premium);
+    },
+
+    async savePremiumGrant(guildId, grant) {
+      await updateJson(files.premium, (all) => {
+        all[guildId] = grant;
+      });
+    },
+
+    async getRoleConnection(discordId) {
+      const all = await readJson(files.roleConnections);
+      return all[discordId] || null;
+    },
+
+    async getAllRoleConnections() {
+      return readJson(files.roleConnections);
+    },
+
+    async saveRoleConnection(discordId, record) {
+      await updateJson(files.roleConnections, (all) => {
+        all[discordId] = record;
+      });
+    },
+
+    async mergeRoleConnection(discordId, fields) {
+      let merged = null;
+      await updateJson(files.roleConnections, (all) => {
+        if (!all[discordId]) return false;
+        merged = { ...all[discordId], ...fields };
+        all[discordId] = merged;
+      });
+      return merged;
+    },
+
+    async deleteRoleConnection(discordId) {
+      await updateJson(files.roleConnections, (all) => {
+        if (!(discordId in all)) return false;
+        delete all[discordId];
+      });
+    },
+
+    // Expired states are dropped whenever a new one is saved
+    async saveOAuthState(state, data, ttlMs) {
+      const now = Date.now();
+      await updateJson(files.oauthStates, (all) => {
+        for (const [key, entry] of Object.entries(all)) {
+          if (entry.expiresAt <= now) delete all[key];
+        }
+        all[state] = { data, expiresAt: now + ttlMs };
+      });
+    },
+
+    async takeOAuthState(state) {
+      let taken = null;
+      await updateJson(files.oauthStates, (all) => {
+        if (!(state in all)) return false;
+        taken = all[state];
+        delete all[state];
+      });
+      return taken && taken.expiresAt > Date.now() ? taken.data : null;
+    },
+
+    async getStats() {
+      const [pending, configs, verified, logs, premium] = await Promise.all([
+        readJson(files.pending),
+        readJson(files.configs),
+        readJson(files.verified),
+        readJson(files.logs),
+        readJson(files.premium),
+      ]);
+      return {
+        pending: Object.keys(pending).length,
+        verifiedUsers: Object.values(verified).reduce((sum, users) => sum + users.length, 0),
+        verifiedGuilds: Object.keys(verified).length,
+        logEntries: Object.values(logs).reduce((sum, guildLogs) => sum + Object.keys(guildLogs).length, 0),
+        logGuilds: Object.keys(logs).length,
+        guildConfigs: Object.keys(configs).length,
+        premiumGrants: Object.keys(premium).length,
+      };
+    },
+  };
+}
+
+module.exports = { createFileStorage, FILE_NAMES };
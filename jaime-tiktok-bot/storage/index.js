@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { createRedisStorage } = require('./redis');
+const { createFileStorage, FILE_NAMES } = require('./file');
+const { createMemoryStorage } = require('./memory');
+const { createSqliteStorage, DB_FILE_NAME } = require('./sqlite');
+const { pendingKey, parsePendingKey } = require('./keys');
+
+// Storage backends all implement the same async interface:
+//   ping(), migrate()
+//   getPending(guildId, discordId), savePending(guildId, discordId, record),
+//   deletePending(guildId, discordId), getAllPending() -> { 'guildId:discordId': record },
+//   getGuildPending(guildId) -> { 'guildId:discordId': record } (one guild only),
+//   getDuePending(now) -> { 'guildId:discordId': record } with nextCheckAt <= now (missing counts as due),
+//   findPendingByCode(guildId, code) -> record|null (current or previous code, case-insensitive)
+//   getGuildConfig(guildId), getGuildConfigs() -> { guildId: config }, saveGuildConfig(guildId, config)
+//   getVerifiedUsers(guildId) -> [user], getAllVerifiedUsers() -> { guildId: [user] },
+//   findVerifiedByTikTok(guildId, tiktokUsername) -> [user] (case-insensitive),
+//   findVerifiedByDiscordId(discordId) -> { guildId: user } (every guild the member is verified in),
+//   saveVerifiedUser(guildId, user) (upsert by discordId), removeVerifiedUser(guildId, discordId) -> user|null
+//   mergeVerifiedUser(guildId, discordId, fields) -> merged user|null (atomic; never recreates a removed user)
+//   getVerificationLogs(guildId) -> { discordId: entry }, getAllVerificationLogs() -> { guildId: { discordId: entry } },
+//   saveVerificationLog(guildId, discordId, entry),
+//   mergeVerificationLog(guildId, discordId, fields, { createIfMissing }) -> merged entry|null (atomic per user)
+//   appendVerificationEvent(guildId, event) (append-only history),
+//   getVerificationEvents(guildId, { type, discordId, offset, limit }) -> { total, events } (newest first)
+//   getPremiumGrant(guildId), getAllPremiumGrants() -> { guildId: grant }, savePremiumGrant(guildId, grant)
+//   getRoleConnection(discordId), getAllRoleConnections() -> { discordId: record },
+//   saveRoleConnection(discordId, record), deleteRoleConnection(discordId),
+//   mergeRoleConnection(discordId, fields) -> merged record|null (atomic; never recreates a deleted record)
+//     (Discord linked-role OAuth tokens, written by server.js and used by the bot to push metadata)
+//   saveOAuthState(state, data, ttlMs), takeOAuthState(state) -> data|null (one-time use; expired = null)
+//   getStats() -> { pending, verifiedUsers, verifiedGuilds, logEntries, logGuilds, guildConfigs, premiumGrants }
+// Missing records resolve to null / [] / {}; backend errors are thrown for the caller to log.
+
+// Where the file and SQLite backends keep their data: DATA_DIR, or data/ next to the bot
+// Never the bot folder itself - server.js serves pages from there
+const BOT_DIR = path.join(__dirname, '..');
+
+function getDataDir(env = process.env) {
+  return env.DATA_DIR ? path.resolve(env.DATA_DIR) : path.join(BOT_DIR, 'data');
+}
+
+// Older versions kept the data files next to index.js - move them into the data directory on first start
+function moveLegacyDataFiles(dataDir) {
+  if (path.resolve(dataDir) === BOT_DIR) return;
+  const names = [...Object.values(FILE_NAMES), DB_FILE_NAME, `${DB_FILE_NAME}-wal`, `${DB_FILE_NAME}-shm`];
+  for (const name of names) {
+    const from = path.join(BOT_DIR, name);
+    const to = path.join(dataDir, name);
+    if (!fs.existsSync(from) || fs.existsSync(to)) continue;
+    try {
+      fs.renameSync(from, to);
+      console.log(`[Storage] Moved ${name} into ${dataDir}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err; // The bot and server.js both start up - the other one moved it first
+    }
+  }
+}
+
+function prepareDataDir(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  moveLegacyDataFiles(dataDir);
+  return dataDir;
+}
+
+// Pick a backend from STORAGE_BACKEND (redis | file | sqlite | memory)
+// Defaults to Redis when REDIS_URL is set, otherwise JSON files in the data directory
+function createStorage({ backend = process.env.STORAGE_BACKEND, redisUrl = process.env.REDIS_URL, dataDir = getDataDir() } = {}) {
+  const selected = (backend || (redisUrl ? 'redis' : 'file')).toLowerCase();
+
+  switch (selected) {
+    case 'redis':
+      if (!redisUrl) throw new Error('STORAGE_BACKEND=redis requires REDIS_URL');
+      return createRedisStorage({ url: redisUrl });
+    case 'file':
+      return createFileStorage({ dataDir: prepareDataDir(dataDir) });
+    case 'sqlite':
+      return createSqliteStorage({ dataDir: prepareDataDir(dataDir) });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${selected}" (expected redis, file, sqlite or memory)`);
+  }
+}
+
+module.exports = { createStorage, getDataDir, pendingKey, parsePendingKey };
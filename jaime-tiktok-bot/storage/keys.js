@@ -0,0 +1,23 @@
+// Pending verifications, temp codes and the active-check lock are keyed per guild + user,
+// so a member verifying in two servers at once keeps one record per server
+
+// Build the composite key used for pending verifications
+function pendingKey(guildId, discordId) {
+  return `${guildId}:${discordId}`;
+}
+
+// Split a composite pending key back into its guild and user IDs
+function parsePendingKey(key) {
+  const [guildId, discordId] = key.split(':');
+  return { guildId, discordId };
+}
+
+// Does a pending record hold this code, as its current code or one of its previous codes?
+// previousCodes entries are { code, issuedAt } (bare strings in older records); case-insensitive
+function pendingHasCode(record, code) {
+  const upper = code.toUpperCase();
+  const codes = [record.code, ...(record.previousCodes || []).map(c => (typeof c === 'string' ? c : c?.code))];
+  return codes.some(c => (c || '').toUpperCase() === upper);
+}
+
+module.exports = { pendingKey, parsePendingKey, pendingHasCode };
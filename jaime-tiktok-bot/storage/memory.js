@@ -0,0 +1,227 @@
+const { pendingKey, parsePendingKey, pendingHasCode } = require('./keys');
+const { pageEvents } = require('./events');
+
+// In-memory storage backend - nothing survives a restart
+// Useful for local testing without Redis or a writable filesystem
+function createMemoryStorage() {
+  const pending = new Map();       // 'guildId:discordId' -> record
+  const configs = new Map();       // guildId -> config
+  const verified = new Map();      // guildId -> [user]
+  const logs = new Map();          // guildId -> { discordId: entry }
+  const events = new Map();        // guildId -> [event] (oldest first)
+  const premium = new Map();       // guildId -> grant
+  const roleConnections = new Map(); // discordId -> linked-role tokens
+  const oauthStates = new Map();   // state -> { data, expiresAt }
+
+  // Return copies so callers can't mutate stored records by accident
+  const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'memory',
+
+    async ping() {
+      return 'PONG';
+    },
+
+    async migrate() {},
+
+    async getPending(guildId, discordId) {
+      return clone(pending.get(pendingKey(guildId, discordId)));
+    },
+
+    async savePending(guildId, discordId, record) {
+      pending.set(pendingKey(guildId, discordId), clone(record));
+    },
+
+    async deletePending(guildId, discordId) {
+      pending.delete(pendingKey(guildId, discordId));
+    },
+
+    async getAllPending() {
+      const result = {};
+      for (const [key, record] of pending.entries()) {
+        result[key] = { discordId: parsePendingKey(key).discordId, ...clone(record) };
+      }
+      return result;
+    },
+
+    async getGuildConfig(guildId) {
+      return clone(configs.get(guildId));
+    },
+
+    async getGuildConfigs() {
+      return clone(Object.fromEntries(configs));
+    },
+
+    async saveGuildConfig(guildId, config) {
+      configs.set(guildId, clone(config));
+    },
+
+    async getDuePending(now) {
+      const result = {};
+      for (const [key, record] of pending.entries()) {
+        if ((record.nextCheckAt || 0) > now) continue;
+        result[key] = { discordId: parsePendingKey(key).discordId, ...clone(record) };
+      }
+      return result;
+    },
+
+    async getGuildPending(guildId) {
+      const result = {};
+      for (const [key, record] of pending.entries()) {
+        const parsed = parsePendingKey(key);
+        if (parsed.guildId !== guildId) continue;
+        result[key] = { discordId: parsed.discordId, ...clone(record) };
+      }
+      return result;
+    },
+
+    async findPendingByCode(guildId, code) {
+      const records = await this.getGuildPending(guildId);
+      return Object.values(records).find(r => pendingHasCode(r, code)) || null;
+    },
+
+    async getVerifiedUsers(guildId) {
+      return clone(verified.get(guildId)) || [];
+    },
+
+    async getAllVerifiedUsers() {
+      return clone(Object.fromEntries(verified));
+    },
+
+    async findVerifiedByTikTok(guildId, tiktokUsername) {
+      const lower = tiktokUsername.toLowerCase();
+      return clone((verified.get(guildId) || []).filter(u => (u.tiktokUsername || '').toLowerCase() === lower));
+    },
+
+    async findVerifiedByDiscordId(discordId) {
+      const result = {};
+      for (const [guildId, users] of verified) {
+        const user = users.find(u => u.discordId === discordId);
+        if (user) result[guildId] = clone(user);
+      }
+      return result;
+    },
+
+    async saveVerifiedUser(guildId, user) {
+      const users = verified.get(guildId) || [];
+      const index = users.findIndex(u => u.discordId === user.discordId);
+      if (index >= 0) users[index] = clone(user);
+      else users.push(clone(user));
+      verified.set(guildId, users);
+    },
+
+    async mergeVerifiedUser(guildId, discordId, fields) {
+      const users = verified.get(guildId) || [];
+      const index = users.findIndex(u => u.discordId === discordId);
+      if (index < 0) return null;
+      users[index] = { ...users[index], ...clone(fields), discordId };
+      return clone(users[index]);
+    },
+
+    async removeVerifiedUser(guildId, discordId) {
+      const users = verified.get(guildId) || [];
+      const index = users.findIndex(u => u.discordId === discordId);
+      if (index < 0) return null;
+      const [removed] = users.splice(index, 1);
+      return removed;
+    },
+
+    async getVerificationLogs(guildId) {
+      return clone(logs.get(guildId)) || {};
+    },
+
+    async getAllVerificationLogs() {
+      return clone(Object.fromEntries(logs));
+    },
+
+    async saveVerificationLog(guildId, discordId, entry) {
+      const guildLogs = logs.get(guildId) || {};
+      guildLogs[discordId] = clone(entry);
+      logs.set(guildId, guildLogs);
+    },
+
+    async mergeVerificationLog(guildId, discordId, fields, { createIfMissing = false } = {}) {
+      const guildLogs = logs.get(guildId) || {};
+      if (!guildLogs[discordId] && !createIfMissing) return null;
+      guildLogs[discordId] = { ...(guildLogs[discordId] || {}), ...clone(fields) };
+      logs.set(guildId, guildLogs);
+      return clone(guildLogs[discordId]);
+    },
+
+    async appendVerificationEvent(guildId, event) {
+      if (!events.has(guildId)) events.set(guildId, []);
+      events.get(guildId).push(clone(event));
+    },
+
+    async getVerificationEvents(guildId, options) {
+      return clone(pageEvents(events.get(guildId) || [], options));
+    },
+
+    async getPremiumGrant(guildId) {
+      return clone(premium.get(guildId));
+    },
+
+    async getAllPremiumGrants() {
+      return clone(Object.fromEntries(premium));
+    },
+
+    async savePremiumGrant(guildId, grant) {
+      premium.set(guildId, clone(grant));
+    },
+
+    async getRoleConnection(discordId) {
+      return clone(roleConnections.get(discordId));
+    },
+
+    async getAllRoleConnections() {
+      return clone(Object.fromEntries(roleConnections));
+    },
+
+    async saveRoleConnection(discordId, record) {
+      roleConnections.set(discordId, clone(record));
+    },
+
+    async mergeRoleConnection(discordId, fields) {
+      if (!roleConnections.has(discordId)) return null;
+      roleConnections.set(discordId, { ...roleConnections.get(discordId), ...clone(fields) });
+      return clone(roleConnections.get(discordId));
+    },
+
+    async deleteRoleConnection(discordId) {
+      roleConnections.delete(discordId);
+    },
+
+    async saveOAuthState(state, data, ttlMs) {
+      const now = Date.now();
+      for (const [key, entry] of oauthStates) {
+        if (entry.expiresAt <= now) oauthStates.delete(key);
+      }
+      oauthStates.set(state, { data: clone(data), expiresAt: now + ttlMs });
+    },
+
+    async takeOAuthState(state) {
+      const entry = oauthStates.get(state);
+      oauthStates.delete(state);
+      return entry && entry.expiresAt > Date.now() ? entry.data : null;
+    },
+
+    async getStats() {
+      let verifiedUsers = 0;
+      for (const users of verified.values()) verifiedUsers += users.length;
+      let logEntries = 0;
+      for (const guildLogs of logs.values()) logEntries += Object.keys(guildLogs).length;
+      return {
+        pending: pending.size,
+        verifiedUsers,
+        verifiedGuilds: verified.size,
+        logEntries,
+        logGuilds: logs.size,
+        guildConfigs: configs.size,
+        premiumGrants: premium.size,
+      };
+    },
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,504 @@
+const Redis = require('ioredis');
+const { pendingKey, pendingHasCode } = require('./keys');
+const { pageEvents } = require('./events');
+
+const REDIS_PREFIX = 'tiktok_verify:';
+
+// Bump when migrate() gains a new step; steps at or below the stored version are skipped
+const SCHEMA_VERSION = 3;
+
+// Max keys per MGET round trip
+const MGET_BATCH_SIZE = 500;
+
+// Redis storage backend - used in production (Railway Redis addon)
+// client replaces the connection made from url (the tests pass an in-memory ioredis-mock)
+function createRedisStorage({ url, client = null }) {
+  const redis = client || new Redis(url, {
+    maxRetriesPerRequest: 3,
+    retryDelayOnFailover: 100,
+    lazyConnect: true,
+  });
+
+  redis.on('connect', () => {
+    console.log('[Redis] Connected successfully');
+  });
+
+  redis.on('error', (err) => {
+    console.error('[Redis] Connection error:', err.message);
+  });
+
+  // Verified users and log entries are stored one hash field per Discord user
+  // (`verified:<guildId>` / `log:<guildId>`), so writes for different users never overwrite each other.
+  // Updates to a single field that depend on its current value run as Lua scripts to stay atomic.
+
+  // Merge a JSON patch into one hash field. ARGV[3] = '1' creates the field if it's missing.
+  // Returns the merged JSON, or nil if the field didn't exist and creation wasn't allowed.
+  redis.defineCommand('mergeJsonField', {
+    numberOfKeys: 1,
+    lua: `
+      local current = redis.call('HGET', KEYS[1], ARGV[1])
+      local entry
+      if current then
+        entry = cjson.decode(current)
+      elseif ARGV[3] == '1' then
+        entry = {}
+      else
+        return nil
+      end
+      for k, v in pairs(cjson.decode(ARGV[2])) do entry[k] = v end
+      local encoded = cjson.encode(entry)
+      redis.call('HSET', KEYS[1], ARGV[1], encoded)
+      return encoded
+    `,
+  });
+
+  // Pending records live at `pending:<guildId>:<userId>` and are indexed two ways, so nothing has to KEYS-scan:
+  //   `pending_due:<guildId>` - sorted set of user IDs scored by nextCheckAt (ms)
+  //   `pending_guilds`        - set of guild IDs that have at least one pending record
+  // Guild configs are indexed by the `config_guilds` set.
+
+  // Delete a pending record and its index entries; drop the guild from the index once it has none left
+  redis.defineCommand('deletePendingIndexed', {
+    numberOfKeys: 3,
+    lua: `
+      redis.call('DEL', KEYS[1])
+      redis.call('ZREM', KEYS[2], ARGV[1])
+      if redis.call('ZCARD', KEYS[2]) == 0 then redis.call('SREM', KEYS[3], ARGV[2]) end
+      return 1
+    `,
+  });
+
+  // Merge a JSON patch into a JSON string key that already exists; returns the merged JSON, or nil if it's missing
+  redis.defineCommand('mergeJsonKey', {
+    numberOfKeys: 1,
+    lua: `
+      local current = redis.call('GET', KEYS[1])
+      if not current then return nil end
+      local entry = cjson.decode(current)
+      for k, v in pairs(cjson.decode(ARGV[1])) do entry[k] = v end
+      local encoded = cjson.encode(entry)
+      redis.call('SET', KEYS[1], encoded)
+      return encoded
+    `,
+  });
+
+  // Delete one hash field and return its previous value
+  redis.defineCommand('popField', {
+    numberOfKeys: 1,
+    lua: `
+      local value = redis.call('HGET', KEYS[1], ARGV[1])
+      if value then redis.call('HDEL', KEYS[1], ARGV[1]) end
+      return value
+    `,
+  });
+
+  // Non-blocking replacement for KEYS - iterates with SCAN (may be slow, but never stalls Redis)
+  async function scanKeys(pattern) {
+    const keys = new Set(); // SCAN can return a key more than once
+    const stream = redis.scanStream({ match: `${REDIS_PREFIX}${pattern}`, count: 500 });
+    for await (const batch of stream) {
+      for (const key of batch) keys.add(key);
+    }
+    return Array.from(keys);
+  }
+
+  // MGET full keys in pipelined batches; returns parsed values in the same order (null if missing)
+  async function mgetJson(fullKeys) {
+    const pipeline = redis.pipeline();
+    for (let i = 0; i < fullKeys.length; i += MGET_BATCH_SIZE) {
+      pipeline.mget(fullKeys.slice(i, i + MGET_BATCH_SIZE));
+    }
+    const results = await pipeline.exec();
+    const values = [];
+    for (const [err, batch] of results) {
+      if (err) throw err;
+      values.push(...batch);
+    }
+    return values.map(v => (v ? JSON.parse(v) : null));
+  }
+
+  // Read every key under a prefix as { suffix: parsedValue }
+  async function getAllByPrefix(prefix) {
+    const keys = await scanKeys(`${prefix}*`);
+    const values = await mgetJson(keys);
+    const result = {};
+    keys.forEach((key, i) => {
+      if (values[i] !== null) result[key.replace(`${REDIS_PREFIX}${prefix}`, '')] = values[i];
+    });
+    return result;
+  }
+
+  // Load pending records for { guildId: [userId] } with one pipelined MGET
+  async function loadPending(userIdsByGuild) {
+    const keys = [];
+    for (const [guildId, userIds] of Object.entries(userIdsByGuild)) {
+      for (const userId of userIds) keys.push(pendingKey(guildId, userId));
+    }
+    const values = await mgetJson(keys.map(k => `${REDIS_PREFIX}pending:${k}`));
+    const result = {};
+    keys.forEach((key, i) => {
+      if (values[i]) result[key] = { discordId: key.split(':')[1], ...values[i] };
+    });
+    return result;
+  }
+
+  // Run one sorted-set range per pending guild in a single pipeline -> { guildId: [userId] }
+  async function rangePendingGuilds(rangeArgs) {
+    const guildIds = await redis.smembers(`${REDIS_PREFIX}pending_guilds`);
+    const pipeline = redis.pipeline();
+    for (const guildId of guildIds) {
+      pipeline.zrangebyscore(`${REDIS_PREFIX}pending_due:${guildId}`, ...rangeArgs);
+    }
+    const results = await pipeline.exec();
+    const userIdsByGuild = {};
+    guildIds.forEach((guildId, i) => {
+      const [err, userIds] = results[i];
+      if (err) throw err;
+      if (userIds.length > 0) userIdsByGuild[guildId] = userIds;
+    });
+    return userIdsByGuild;
+  }
+
+  async function getJson(key, fallback) {
+    const data = await redis.get(`${REDIS_PREFIX}${key}`);
+    return data ? JSON.parse(data) : fallback;
+  }
+
+  async function setJson(key, value) {
+    await redis.set(`${REDIS_PREFIX}${key}`, JSON.stringify(value));
+  }
+
+  // Read a per-user hash as { field: parsedValue }
+  async function getHash(key) {
+    const data = await redis.hgetall(`${REDIS_PREFIX}${key}`);
+    const result = {};
+    for (const [field, value] of Object.entries(data)) result[field] = JSON.parse(value);
+    return result;
+  }
+
+  // Read every per-user hash under a prefix as { suffix: { field: parsedValue } }
+  async function getAllHashesByPrefix(prefix) {
+    const keys = await scanKeys(`${prefix}*`);
+    const result = {};
+    for (const key of keys) {
+      result[key.replace(`${REDIS_PREFIX}${prefix}`, '')] = await getHash(key.replace(REDIS_PREFIX, ''));
+    }
+    return result;
+  }
+
+  // Verified users come back from the hash unordered; keep the list in verification order
+  const byVerifiedAt = (a, b) => String(a.verifiedAt || '').localeCompare(String(b.verifiedAt || ''));
+
+  // Convert a legacy whole-guild JSON blob into a per-user hash.
+  // The hash is built under a temporary key and RENAMEd over the blob, so readers never see a half-migrated guild.
+  async function migrateBlobToHash(key, toFields) {
+    const blob = await redis.get(key);
+    const fields = blob ? toFields(JSON.parse(blob)) : {};
+    const tempKey = `${key}:migrating`;
+    const tx = redis.multi().del(tempKey);
+    if (Object.keys(fields).length > 0) tx.hset(tempKey, fields).rename(tempKey, key);
+    else tx.del(key);
+    await tx.exec();
+  }
+
+  return {
+    name: 'redis',
+    client: redis,
+
+    async ping() {
+      return redis.ping();
+    },
+
+    // Is the data older than this code expects? (the importer reads without migrating, so it checks first)
+    async needsMigration() {
+      const version = parseInt(await redis.get(`${REDIS_PREFIX}meta:schema_version`) || '0', 10);
+      return version < SCHEMA_VERSION;
+    },
+
+    // One-time data upgrades, tracked by `meta:schema_version` so restarts don't rescan the keyspace
+    async migrate() {
+      const version = parseInt(await redis.get(`${REDIS_PREFIX}meta:schema_version`) || '0', 10);
+      if (version >= SCHEMA_VERSION) return;
+
+      // v1: legacy `pending:<userId>` keys -> `pending:<guildId>:<userId>`
+      // Older records were keyed by Discord user only; the guild comes from the stored record
+      if (version < 1) {
+        let migrated = 0;
+        for (const key of await scanKeys('pending:*')) {
+          const userId = key.replace(`${REDIS_PREFIX}pending:`, '');
+          if (userId.includes(':')) continue; // Already migrated
+
+          const data = await redis.get(key);
+          const record = data ? JSON.parse(data) : null;
+          if (!record?.guildId) {
+            console.log(`[Migration] Skipping legacy pending key for ${userId} - no guildId in record`);
+            continue;
+          }
+
+          const newKey = `${REDIS_PREFIX}pending:${pendingKey(record.guildId, userId)}`;
+          await redis.set(newKey, JSON.stringify({ ...record, discordId: userId }), 'NX');
+          await redis.del(key);
+          migrated++;
+        }
+        if (migrated > 0) {
+          console.log(`[Migration] Migrated ${migrated} legacy pending verification(s) to per-guild keys`);
+        }
+      }
+
+      // v2: whole-guild `verified:<guildId>` arrays and `log:<guildId>` objects -> per-user hashes
+      if (version < 2) {
+        let blobs = 0;
+        for (const key of await scanKeys('verified:*')) {
+          if ((await redis.type(key)) !== 'string') continue;
+          await migrateBlobToHash(key, (users) => Object.fromEntries(
+            (Array.isArray(users) ? users : []).map(u => [u.discordId, JSON.stringify(u)])
+          ));
+          blobs++;
+        }
+        for (const key of await scanKeys('log:*')) {
+          if ((await redis.type(key)) !== 'string') continue;
+          await migrateBlobToHash(key, (logs) => Object.fromEntries(
+            Object.entries(logs || {}).map(([discordId, entry]) => [discordId, JSON.stringify(entry)])
+          ));
+          blobs++;
+        }
+        if (blobs > 0) {
+          console.log(`[Migration] Converted ${blobs} verified/log blob(s) to per-user hashes`);
+        }
+      }
+
+      // v3: build the pending due-time and config indexes from existing keys
+      if (version < 3) {
+        const pendingKeys = await scanKeys('pending:*');
+        const records = await mgetJson(pendingKeys);
+        const pipeline = redis.pipeline();
+        pendingKeys.forEach((key, i) => {
+          const [guildId, userId] = key.replace(`${REDIS_PREFIX}pending:`, '').split(':');
+          if (!userId || !records[i]) return;
+          pipeline.zadd(`${REDIS_PREFIX}pending_due:${guildId}`, records[i].nextCheckAt || 0, userId);
+          pipeline.sadd(`${REDIS_PREFIX}pending_guilds`, guildId);
+        });
+        const configKeys = await scanKeys('config:*');
+        for (const key of configKeys) {
+          pipeline.sadd(`${REDIS_PREFIX}config_guilds`, key.replace(`${REDIS_PREFIX}config:`, ''));
+        }
+        await pipeline.exec();
+        console.log(`[Migration] Indexed ${pendingKeys.length} pending record(s) and ${configKeys.length} guild config(s)`);
+      }
+
+      await redis.set(`${REDIS_PREFIX}meta:schema_version`, String(SCHEMA_VERSION));
+    },
+
+    async getPending(guildId, discordId) {
+      return getJson(`pending:${pendingKey(guildId, discordId)}`, null);
+    },
+
+    async savePending(guildId, discordId, record) {
+      await redis.multi()
+        .set(`${REDIS_PREFIX}pending:${pendingKey(guildId, discordId)}`, JSON.stringify(record)) // No expiry - permanent
+        .zadd(`${REDIS_PREFIX}pending_due:${guildId}`, record.nextCheckAt || 0, discordId)
+        .sadd(`${REDIS_PREFIX}pending_guilds`, guildId)
+        .exec();
+    },
+
+    async deletePending(guildId, discordId) {
+      await redis.deletePendingIndexed(
+        `${REDIS_PREFIX}pending:${pendingKey(guildId, discordId)}`,
+        `${REDIS_PREFIX}pending_due:${guildId}`,
+        `${REDIS_PREFIX}pending_guilds`,
+        discordId,
+        guildId,
+      );
+    },
+
+    async getAllPending() {
+      return loadPending(await rangePendingGuilds(['-inf', '+inf']));
+    },
+
+    async getDuePending(now) {
+      return loadPending(await rangePendingGuilds(['-inf', now]));
+    },
+
+    // Only this guild's records - its due-time index lists every pending user
+    async getGuildPending(guildId) {
+      const userIds = await redis.zrange(`${REDIS_PREFIX}pending_due:${guildId}`, 0, -1);
+      return loadPending({ [guildId]: userIds });
+    },
+
+    async findPendingByCode(guildId, code) {
+      const records = await this.getGuildPending(guildId);
+      return Object.values(records).find(r => pendingHasCode(r, code)) || null;
+    },
+
+    async getGuildConfig(guildId) {
+      return getJson(`config:${guildId}`, null);
+    },
+
+    async getGuildConfigs() {
+      const guildIds = await redis.smembers(`${REDIS_PREFIX}config_guilds`);
+      const configs = await mgetJson(guildIds.map(id => `${REDIS_PREFIX}config:${id}`));
+      const result = {};
+      guildIds.forEach((guildId, i) => {
+        if (configs[i]) result[guildId] = configs[i];
+      });
+      return result;
+    },
+
+    async saveGuildConfig(guildId, config) {
+      await redis.multi()
+        .set(`${REDIS_PREFIX}config:${guildId}`, JSON.stringify(config))
+        .sadd(`${REDIS_PREFIX}config_guilds`, guildId)
+        .exec();
+    },
+
+    async getVerifiedUsers(guildId) {
+      return Object.values(await getHash(`verified:${guildId}`)).sort(byVerifiedAt);
+    },
+
+    async getAllVerifiedUsers() {
+      const all = await getAllHashesByPrefix('verified:');
+      const result = {};
+      for (const [guildId, users] of Object.entries(all)) result[guildId] = Object.values(users).sort(byVerifiedAt);
+      return result;
+    },
+
+    async findVerifiedByTikTok(guildId, tiktokUsername) {
+      const lower = tiktokUsername.toLowerCase();
+      const users = await this.getVerifiedUsers(guildId);
+      return users.filter(u => (u.tiktokUsername || '').toLowerCase() === lower);
+    },
+
+    async findVerifiedByDiscordId(discordId) {
+      const keys = await scanKeys('verified:*');
+      const pipeline = redis.pipeline();
+      for (const key of keys) pipeline.hget(key, discordId);
+      const results = await pipeline.exec();
+      const result = {};
+      keys.forEach((key, i) => {
+        const [err, value] = results[i];
+        if (err) throw err;
+        if (value) result[key.replace(`${REDIS_PREFIX}verified:`, '')] = JSON.parse(value);
+      });
+      return result;
+    },
+
+    async saveVerifiedUser(guildId, user) {
+      await redis.hset(`${REDIS_PREFIX}verified:${guildId}`, user.discordId, JSON.stringify(user));
+    },
+
+    async mergeVerifiedUser(guildId, discordId, fields) {
+      const merged = await redis.mergeJsonField(`${REDIS_PREFIX}verified:${guildId}`, discordId, JSON.stringify({ ...fields, discordId }), '0');
+      return merged ? JSON.parse(merged) : null;
+    },
+
+    async removeVerifiedUser(guildId, discordId) {
+      const removed = await redis.popField(`${REDIS_PREFIX}verified:${guildId}`, discordId);
+      return removed ? JSON.parse(removed) : null;
+    },
+
+    async getVerificationLogs(guildId) {
+      return getHash(`log:${guildId}`);
+    },
+
+    async getAllVerificationLogs() {
+      return getAllHashesByPrefix('log:');
+    },
+
+    async saveVerificationLog(guildId, discordId, entry) {
+      await redis.hset(`${REDIS_PREFIX}log:${guildId}`, discordId, JSON.stringify(entry));
+    },
+
+    async mergeVerificationLog(guildId, discordId, fields, { createIfMissing = false } = {}) {
+      const merged = await redis.mergeJsonField(`${REDIS_PREFIX}log:${guildId}`, discordId, JSON.stringify(fields), createIfMissing ? '1' : '0');
+      return merged ? JSON.parse(merged) : null;
+    },
+
+    // Each guild's history is a Redis list, appended with RPUSH so concurrent writers never clobber each other
+    async appendVerificationEvent(guildId, event) {
+      await redis.rpush(`${REDIS_PREFIX}events:${guildId}`, JSON.stringify(event));
+    },
+
+    async getVerificationEvents(guildId, { type, discordId, offset = 0, limit = 50 } = {}) {
+      const key = `${REDIS_PREFIX}events:${guildId}`;
+      if (type || discordId) {
+        // Filtered views need the whole list
+        const all = (await redis.lrange(key, 0, -1)).map(e => JSON.parse(e));
+        return pageEvents(all, { type, discordId, offset, limit });
+      }
+      // Unfiltered pages read only the requested slice, counting back from the newest entry
+      const total = await redis.llen(key);
+      const end = total - 1 - offset;
+      if (end < 0) return { total, events: [] };
+      const start = Number.isFinite(limit) ? Math.max(0, end - limit + 1) : 0;
+      const slice = (await redis.lrange(key, start, end)).map(e => JSON.parse(e));
+      return { total, events: slice.reverse() };
+    },
+
+    async getPremiumGrant(guildId) {
+      return getJson(`premium:${guildId}`, null);
+    },
+
+    async getAllPremiumGrants() {
+      return getAllByPrefix('premium:');
+    },
+
+    async savePremiumGrant(guildId, grant) {
+      await setJson(`premium:${guildId}`, grant);
+    },
+
+    async getRoleConnection(discordId) {
+      return getJson(`role_connection:${discordId}`, null);
+    },
+
+    async getAllRoleConnections() {
+      return getAllByPrefix('role_connection:');
+    },
+
+    async saveRoleConnection(discordId, record) {
+      await setJson(`role_connection:${discordId}`, record);
+    },
+
+    async mergeRoleConnection(discordId, fields) {
+      const merged = await redis.mergeJsonKey(`${REDIS_PREFIX}role_connection:${discordId}`, JSON.stringify(fields));
+      return merged ? JSON.parse(merged) : null;
+    },
+
+    async deleteRoleConnection(discordId) {
+      await redis.del(`${REDIS_PREFIX}role_connection:${discordId}`);
+    },
+
+    // States expire on their own (PX); GET + DEL in one MULTI so a state can only be used once
+    async saveOAuthState(state, data, ttlMs) {
+      await redis.set(`${REDIS_PREFIX}oauth_state:${state}`, JSON.stringify(data), 'PX', ttlMs);
+    },
+
+    async takeOAuthState(state) {
+      const key = `${REDIS_PREFIX}oauth_state:${state}`;
+      const [[getErr, value], [delErr]] = await redis.multi().get(key).del(key).exec();
+      if (getErr || delErr) throw getErr || delErr;
+      return value ? JSON.parse(value) : null;
+    },
+
+    async getStats() {
+      const pendingGuilds = await redis.smembers(`${REDIS_PREFIX}pending_guilds`);
+      const [pendingCounts, verified, logs, configCount, premiumKeys] = await Promise.all([
+        Promise.all(pendingGuilds.map(id => redis.zcard(`${REDIS_PREFIX}pending_due:${id}`))),
+        getAllHashesByPrefix('verified:'),
+        getAllHashesByPrefix('log:'),
+        redis.scard(`${REDIS_PREFIX}config_guilds`),
+        scanKeys('premium:*'),
+      ]);
+      return {
+        pending: pendingCounts.reduce((sum, count) => sum + count, 0),
+        verifiedUsers: Object.values(verified).reduce((sum, users) => sum + Object.keys(users).length, 0),
+        verifiedGuilds: Object.keys(verified).length,
+        logEntries: Object.values(logs).reduce((sum, guildLogs) => sum + Object.keys(guildLogs).length, 0),
+        logGuilds: Object.keys(logs).length,
+        guildConfigs: configCount,
+        premiumGrants: premiumKeys.length,
+      };
+    },
+  };
+}
+
+module.exports = { createRedisStorage, REDIS_PREFIX };
@@ -0,0 +1,422 @@
+const path = require('path');
+const { pendingKey, pendingHasCode } = require('./keys');
+
+const DB_FILE_NAME = 'tiktok-verify.db';
+
+// SQLite storage backend for self-hosters
+// Single-file database with row-level writes and indexed lookups, instead of rewriting whole JSON files
+// Requires the optional better-sqlite3 dependency (npm install better-sqlite3)
+function createSqliteStorage({ dataDir, file = process.env.SQLITE_PATH }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const dbPath = file || path.join(dataDir, DB_FILE_NAME);
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pending (
+      guild_id TEXT NOT NULL,
+      discord_id TEXT NOT NULL,
+      tiktok_username TEXT,
+      code TEXT,
+      next_check_at INTEGER NOT NULL DEFAULT 0,
+      data TEXT NOT NULL,
+      PRIMARY KEY (guild_id, discord_id)
+    );
+    CREATE INDEX IF NOT EXISTS pending_discord_id ON pending (discord_id);
+    CREATE INDEX IF NOT EXISTS pending_code ON pending (guild_id, code COLLATE NOCASE);
+
+    CREATE TABLE IF NOT EXISTS guild_configs (
+      guild_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS verified_users (
+      guild_id TEXT NOT NULL,
+      discord_id TEXT NOT NULL,
+      tiktok_username TEXT,
+      verified_at TEXT,
+      data TEXT NOT NULL,
+      PRIMARY KEY (guild_id, discord_id)
+    );
+    CREATE INDEX IF NOT EXISTS verified_discord_id ON verified_users (discord_id);
+    CREATE INDEX IF NOT EXISTS verified_tiktok ON verified_users (guild_id, tiktok_username COLLATE NOCASE);
+
+    CREATE TABLE IF NOT EXISTS verification_log (
+      guild_id TEXT NOT NULL,
+      discord_id TEXT NOT NULL,
+      tiktok_username TEXT,
+      code TEXT,
+      status TEXT,
+      data TEXT NOT NULL,
+      PRIMARY KEY (guild_id, discord_id)
+    );
+    CREATE INDEX IF NOT EXISTS log_tiktok ON verification_log (guild_id, tiktok_username COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS log_code ON verification_log (guild_id, code COLLATE NOCASE);
+
+    CREATE TABLE IF NOT EXISTS verification_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      discord_id TEXT,
+      type TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS events_guild ON verification_events (guild_id, id);
+    CREATE INDEX IF NOT EXISTS events_user ON verification_events (guild_id, discord_id, id);
+
+    CREATE TABLE IF NOT EXISTS premium_grants (
+      guild_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS role_connections (
+      discord_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS oauth_states (
+      state TEXT PRIMARY KEY,
+      expires_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+  `);
+
+  // Databases created before pending records were scheduled lack next_check_at
+  if (!db.prepare('PRAGMA table_info(pending)').all().some(col => col.name === 'next_check_at')) {
+    db.exec('ALTER TABLE pending ADD COLUMN next_check_at INTEGER NOT NULL DEFAULT 0');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS pending_due ON pending (next_check_at)');
+
+  const statements = {
+    getPending: db.prepare('SELECT data FROM pending WHERE guild_id = ? AND discord_id = ?'),
+    savePending: db.prepare(`
+      INSERT INTO pending (guild_id, discord_id, tiktok_username, code, next_check_at, data) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id, discord_id) DO UPDATE SET
+        tiktok_username = excluded.tiktok_username, code = excluded.code,
+        next_check_at = excluded.next_check_at, data = excluded.data
+    `),
+    deletePending: db.prepare('DELETE FROM pending WHERE guild_id = ? AND discord_id = ?'),
+    allPending: db.prepare('SELECT guild_id, discord_id, data FROM pending'),
+    duePending: db.prepare('SELECT guild_id, discord_id, data FROM pending WHERE next_check_at <= ?'),
+    pendingByCode: db.prepare('SELECT discord_id, data FROM pending WHERE guild_id = ? AND code = ? COLLATE NOCASE LIMIT 1'),
+    guildPending: db.prepare('SELECT discord_id, data FROM pending WHERE guild_id = ?'),
+    countPending: db.prepare('SELECT COUNT(*) AS count FROM pending'),
+
+    getConfig: db.prepare('SELECT data FROM guild_configs WHERE guild_id = ?'),
+    allConfigs: db.prepare('SELECT guild_id, data FROM guild_configs'),
+    saveConfig: db.prepare(`
+      INSERT INTO guild_configs (guild_id, data) VALUES (?, ?)
+      ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data
+    `),
+    countConfigs: db.prepare('SELECT COUNT(*) AS count FROM guild_configs'),
+
+    guildVerified: db.prepare('SELECT data FROM verified_users WHERE guild_id = ? ORDER BY rowid'),
+    allVerified: db.prepare('SELECT guild_id, data FROM verified_users ORDER BY rowid'),
+    verifiedByTikTok: db.prepare('SELECT data FROM verified_users WHERE guild_id = ? AND tiktok_username = ? COLLATE NOCASE'),
+    getVerified: db.prepare('SELECT data FROM verified_users WHERE guild_id = ? AND discord_id = ?'),
+    verifiedByDiscordId: db.prepare('SELECT guild_id, data FROM verified_users WHERE discord_id = ?'),
+    saveVerified: db.prepare(`
+      INSERT INTO verified_users (guild_id, discord_id, tiktok_username, verified_at, data) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id, discord_id) DO UPDATE SET
+        tiktok_username = excluded.tiktok_username, verified_at = excluded.verified_at, data = excluded.data
+    `),
+    deleteVerified: db.prepare('DELETE FROM verified_users WHERE guild_id = ? AND discord_id = ?'),
+    countVerified: db.prepare('SELECT COUNT(*) AS users, COUNT(DISTINCT guild_id) AS guilds FROM verified_users'),
+
+    guildLogs: db.prepare('SELECT discord_id, data FROM verification_log WHERE guild_id = ?'),
+    allLogs: db.prepare('SELECT guild_id, discord_id, data FROM verification_log'),
+    saveLog: db.prepare(`
+      INSERT INTO verification_log (guild_id, discord_id, tiktok_username, code, status, data) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (guild_id, discord_id) DO UPDATE SET
+        tiktok_username = excluded.tiktok_username, code = excluded.code, status = excluded.status, data = excluded.data
+    `),
+    getLog: db.prepare('SELECT data FROM verification_log WHERE guild_id = ? AND discord_id = ?'),
+    countLogs: db.prepare('SELECT COUNT(*) AS entries, COUNT(DISTINCT guild_id) AS guilds FROM verification_log'),
+
+    appendEvent: db.prepare('INSERT INTO verification_events (guild_id, discord_id, type, created_at, data) VALUES (?, ?, ?, ?, ?)'),
+    pageEvents: db.prepare(`
+      SELECT data FROM verification_events
+      WHERE guild_id = @guildId AND (@type IS NULL OR type = @type) AND (@discordId IS NULL OR discord_id = @discordId)
+      ORDER BY id DESC LIMIT @limit OFFSET @offset
+    `),
+    countEvents: db.prepare(`
+      SELECT COUNT(*) AS count FROM verification_events
+      WHERE guild_id = @guildId AND (@type IS NULL OR type = @type) AND (@discordId IS NULL OR discord_id = @discordId)
+    `),
+
+    getPremium: db.prepare('SELECT data FROM premium_grants WHERE guild_id = ?'),
+    allPremium: db.prepare('SELECT guild_id, data FROM premium_grants'),
+    savePremium: db.prepare(`
+      INSERT INTO premium_grants (guild_id, data) VALUES (?, ?)
+      ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data
+    `),
+    countPremium: db.prepare('SELECT COUNT(*) AS count FROM premium_grants'),
+
+    getRoleConnection: db.prepare('SELECT data FROM role_connections WHERE discord_id = ?'),
+    saveRoleConnection: db.prepare(`
+      INSERT INTO role_connections (discord_id, data) VALUES (?, ?)
+      ON CONFLICT (discord_id) DO UPDATE SET data = excluded.data
+    `),
+    allRoleConnections: db.prepare('SELECT discord_id, data FROM role_connections'),
+    deleteRoleConnection: db.prepare('DELETE FROM role_connections WHERE discord_id = ?'),
+
+    saveOAuthState: db.prepare('INSERT OR REPLACE INTO oauth_states (state, expires_at, data) VALUES (?, ?, ?)'),
+    getOAuthState: db.prepare('SELECT expires_at, data FROM oauth_states WHERE state = ?'),
+    deleteOAuthState: db.prepare('DELETE FROM oauth_states WHERE state = ?'),
+    pruneOAuthStates: db.prepare('DELETE FROM oauth_states WHERE expires_at <= ?'),
+  };
+
+  const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+
+  // Remove-and-return in one transaction so concurrent removals can't both succeed
+  const removeVerified = db.transaction((guildId, discordId) => {
+    const removed = parseRow(statements.getVerified.get(guildId, discordId));
+    if (removed) statements.deleteVerified.run(guildId, discordId);
+    return removed;
+  });
+
+  // Read-and-delete in one transaction so a state can only be used once
+  const takeState = db.transaction((state) => {
+    const row = statements.getOAuthState.get(state);
+    if (row) statements.deleteOAuthState.run(state);
+    return row;
+  });
+
+  const mergeVerified = db.transaction((guildId, discordId, fields) => {
+    const existing = parseRow(statements.getVerified.get(guildId, discordId));
+    if (!existing) return null;
+    const merged = { ...existing, ...fields, discordId };
+    statements.saveVerified.run(guildId, discordId, merged.tiktokUsername || null, merged.verifiedAt || null, JSON.stringify(merged));
+    return merged;
+  });
+
+  const mergeRoleConnection = db.transaction((discordId, fields) => {
+    const existing = parseRow(statements.getRoleConnection.get(discordId));
+    if (!existing) return null;
+    const merged = { ...existing, ...fields };
+    statements.saveRoleConnection.run(discordId, JSON.stringify(merged));
+    return merged;
+  });
+
+  const mergeLog = db.transaction((guildId, discordId, fields, createIfMissing) => {
+    const existing = parseRow(statements.getLog.get(guildId, discordId));
+    if (!existing && !createIfMissing) return null;
+    const merged = { ...(existing || {}), ...fields };
+    statements.saveLog.run(guildId, discordId, merged.tiktokUsername || null, merged.code || null, merged.status || null, JSON.stringify(merged));
+    return merged;
+  });
+
+  return {
+    name: 'sqlite',
+    db,
+
+    async ping() {
+      db.prepare('SELECT 1').get();
+      return 'PONG';
+    },
+
+    async migrate() {},
+
+    async getPending(guildId, discordId) {
+      return parseRow(statements.getPending.get(guildId, discordId));
+    },
+
+    async savePending(guildId, discordId, record) {
+      statements.savePending.run(
+        guildId, discordId, record.username || null, record.code || null, record.nextCheckAt || 0, JSON.stringify(record)
+      );
+    },
+
+    async deletePending(guildId, discordId) {
+      statements.deletePending.run(guildId, discordId);
+    },
+
+    async getAllPending() {
+      const result = {};
+      for (const row of statements.allPending.all()) {
+        result[pendingKey(row.guild_id, row.discord_id)] = { discordId: row.discord_id, ...JSON.parse(row.data) };
+      }
+      return result;
+    },
+
+    async getDuePending(now) {
+      const result = {};
+      for (const row of statements.duePending.all(now)) {
+        result[pendingKey(row.guild_id, row.discord_id)] = { discordId: row.discord_id, ...JSON.parse(row.data) };
+      }
+      return result;
+    },
+
+    async getGuildPending(guildId) {
+      const result = {};
+      for (const row of statements.guildPending.all(guildId)) {
+        result[pendingKey(guildId, row.discord_id)] = { discordId: row.discord_id, ...JSON.parse(row.data) };
+      }
+      return result;
+    },
+
+    async findPendingByCode(guildId, code) {
+      // Current codes are indexed; previous codes live in the JSON, so fall back to scanning the guild
+      const row = statements.pendingByCode.get(guildId, code);
+      if (row) return { discordId: row.discord_id, ...JSON.parse(row.data) };
+      for (const guildRow of statements.guildPending.all(guildId)) {
+        const record = JSON.parse(guildRow.data);
+        if (pendingHasCode(record, code)) return { discordId: guildRow.discord_id, ...record };
+      }
+      return null;
+    },
+
+    async getGuildConfig(guildId) {
+      return parseRow(statements.getConfig.get(guildId));
+    },
+
+    async getGuildConfigs() {
+      const result = {};
+      for (const row of statements.allConfigs.all()) result[row.guild_id] = JSON.parse(row.data);
+      return result;
+    },
+
+    async saveGuildConfig(guildId, config) {
+      statements.saveConfig.run(guildId, JSON.stringify(config));
+    },
+
+    async getVerifiedUsers(guildId) {
+      return statements.guildVerified.all(guildId).map(parseRow);
+    },
+
+    async getAllVerifiedUsers() {
+      const result = {};
+      for (const row of statements.allVerified.all()) {
+        if (!result[row.guild_id]) result[row.guild_id] = [];
+        result[row.guild_id].push(JSON.parse(row.data));
+      }
+      return result;
+    },
+
+    async findVerifiedByTikTok(guildId, tiktokUsername) {
+      return statements.verifiedByTikTok.all(guildId, tiktokUsername).map(parseRow);
+    },
+
+    async findVerifiedByDiscordId(discordId) {
+      const result = {};
+      for (const row of statements.verifiedByDiscordId.all(discordId)) result[row.guild_id] = JSON.parse(row.data);
+      return result;
+    },
+
+    async saveVerifiedUser(guildId, user) {
+      statements.saveVerified.run(guildId, user.discordId, user.tiktokUsername || null, user.verifiedAt || null, JSON.stringify(user));
+    },
+
+    async mergeVerifiedUser(guildId, discordId, fields) {
+      return mergeVerified(guildId, discordId, fields);
+    },
+
+    async removeVerifiedUser(guildId, discordId) {
+      return removeVerified(guildId, discordId);
+    },
+
+    async getVerificationLogs(guildId) {
+      const result = {};
+      for (const row of statements.guildLogs.all(guildId)) result[row.discord_id] = JSON.parse(row.data);
+      return result;
+    },
+
+    async getAllVerificationLogs() {
+      const result = {};
+      for (const row of statements.allLogs.all()) {
+        if (!result[row.guild_id]) result[row.guild_id] = {};
+        result[row.guild_id][row.discord_id] = JSON.parse(row.data);
+      }
+      return result;
+    },
+
+    async saveVerificationLog(guildId, discordId, entry) {
+      statements.saveLog.run(guildId, discordId, entry.tiktokUsername || null, entry.code || null, entry.status || null, JSON.stringify(entry));
+    },
+
+    async mergeVerificationLog(guildId, discordId, fields, { createIfMissing = false } = {}) {
+      return mergeLog(guildId, discordId, fields, createIfMissing);
+    },
+
+    async appendVerificationEvent(guildId, event) {
+      statements.appendEvent.run(guildId, event.discordId || null, event.type, event.timestamp, JSON.stringify(event));
+    },
+
+    async getVerificationEvents(guildId, { type = null, discordId = null, offset = 0, limit = 50 } = {}) {
+      const params = { guildId, type, discordId };
+      const total = statements.countEvents.get(params).count;
+      const rows = statements.pageEvents.all({ ...params, offset, limit: Number.isFinite(limit) ? limit : -1 });
+      return { total, events: rows.map(parseRow) };
+    },
+
+    async getPremiumGrant(guildId) {
+      return parseRow(statements.getPremium.get(guildId));
+    },
+
+    async getAllPremiumGrants() {
+      const result = {};
+      for (const row of statements.allPremium.all()) result[row.guild_id] = JSON.parse(row.data);
+      return result;
+    },
+
+    async savePremiumGrant(guildId, grant) {
+      statements.savePremium.run(guildId, JSON.stringify(grant));
+    },
+
+    async getRoleConnection(discordId) {
+      return parseRow(statements.getRoleConnection.get(discordId));
+    },
+
+    async getAllRoleConnections() {
+      const result = {};
+      for (const row of statements.allRoleConnections.all()) result[row.discord_id] = JSON.parse(row.data);
+      return result;
+    },
+
+    async saveRoleConnection(discordId, record) {
+      statements.saveRoleConnection.run(discordId, JSON.stringify(record));
+    },
+
+    async mergeRoleConnection(discordId, fields) {
+      return mergeRoleConnection(discordId, fields);
+    },
+
+    async deleteRoleConnection(discordId) {
+      statements.deleteRoleConnection.run(discordId);
+    },
+
+    async saveOAuthState(state, data, ttlMs) {
+      const now = Date.now();
+      statements.pruneOAuthStates.run(now);
+      statements.saveOAuthState.run(state, now + ttlMs, JSON.stringify(data));
+    },
+
+    async takeOAuthState(state) {
+      const row = takeState(state);
+      return row && row.expires_at > Date.now() ? JSON.parse(row.data) : null;
+    },
+
+    async getStats() {
+      const verified = statements.countVerified.get();
+      const logs = statements.countLogs.get();
+      return {
+        pending: statements.countPending.get().count,
+        verifiedUsers: verified.users,
+        verifiedGuilds: verified.guilds,
+        logEntries: logs.entries,
+        logGuilds: logs.guilds,
+        guildConfigs: statements.countConfigs.get().count,
+        premiumGrants: statements.countPremium.get().count,
+      };
+    },
+  };
+}
+
+module.exports = { createSqliteStorage, DB_FILE_NAME };
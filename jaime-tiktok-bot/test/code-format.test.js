@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveCodeSettings, findCodeInBio, codesCollide } = require('../codes/format');
+
+const defaults = resolveCodeSettings({});
+
+describe('findCodeInBio', () => {
+  it('matches a code anywhere in the bio', () => {
+    assert.equal(findCodeInBio('hi JAIME-12345 there', ['JAIME-12345'], defaults), 'JAIME-12345');
+    assert.equal(findCodeInBio('JAIME-12345', ['JAIME-12345'], defaults), 'JAIME-12345');
+    assert.equal(findCodeInBio('code: jaime-12345!', ['JAIME-12345'], defaults), 'JAIME-12345');
+  });
+
+  it('tolerates prefix typos but never body changes', () => {
+    assert.equal(findCodeInBio('JAMIE-12345', ['JAIME-12345'], defaults), 'JAIME-12345');
+    assert.equal(findCodeInBio('JAIME-12346', ['JAIME-12345'], defaults), null);
+  });
+
+  it('does not accept a longer body that starts with the code', () => {
+    assert.equal(findCodeInBio('hi JAIME-123456 there', ['JAIME-12345'], defaults), null);
+    assert.equal(findCodeInBio('JAIME-12345X', ['JAIME-12345'], defaults), null);
+    assert.equal(findCodeInBio('JAIME-123456 JAIME-12345', ['JAIME-12345'], defaults), 'JAIME-12345');
+  });
+
+  it('applies the same end boundary when separators are ignored', () => {
+    const settings = resolveCodeSettings({ ignoreSeparators: true });
+    assert.equal(findCodeInBio('JAIME 12345', ['JAIME-12345'], settings), 'JAIME-12345');
+    assert.equal(findCodeInBio('JAIME 123456', ['JAIME-12345'], settings), null);
+  });
+});
+
+describe('codesCollide', () => {
+  it('flags codes with the same body', () => {
+    assert.equal(codesCollide('JAIME-12345', 'JAIME-12345', defaults), true);
+    assert.equal(codesCollide('JAIME-12345', 'OTHER-12345', defaults), true);
+  });
+
+  it('flags codes one bio could satisfy through prefix typos or ignored separators', () => {
+    const settings = resolveCodeSettings({ ignoreSeparators: true, prefixTypos: 1 });
+    // "JAIME12345" reads as JAIME1-2345 with one prefix typo
+    assert.equal(codesCollide('JAIME-12345', 'JAIME-2345', settings), true);
+  });
+
+  it('lets different bodies of different lengths coexist', () => {
+    assert.equal(codesCollide('JAIME-12345', 'JAIME-123456', defaults), false);
+    assert.equal(codesCollide('JAIME-12345', 'JAIME-54321', defaults), false);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeForMatching } = require('../codes/normalize');
+const { resolveCodeSettings, findCodeInBio } = require('../codes/format');
+
+const defaults = resolveCodeSettings({});
+
+// Bios the way phones and copy-paste actually deliver them, each hiding the code JAIME-12345
+const BIO_SAMPLES = [
+  { name: 'full-width digits', bio: 'verify JAIME-１２３４５', normalized: 'verify JAIME-12345' },
+  { name: 'full-width letters and hyphen', bio: 'ＪＡＩＭＥ－12345', normalized: 'JAIME-12345' },
+  { name: 'zero-width space inside the body', bio: 'JAIME-123\u200B45', normalized: 'JAIME-12345' },
+  { name: 'zero-width joiner after the prefix', bio: 'JAIME\u200D-12345', normalized: 'JAIME-12345' },
+  { name: 'BOM and word joiner', bio: '\uFEFFJAIME-\u206012345', normalized: 'JAIME-12345' },
+  { name: 'soft hyphen', bio: 'JAI\u00ADME-12345', normalized: 'JAIME-12345' },
+  { name: 'non-breaking space before the code', bio: 'code:\u00A0JAIME-12345', normalized: 'code: JAIME-12345' },
+  { name: 'non-breaking hyphen (U+2011)', bio: 'JAIME\u201112345', normalized: 'JAIME-12345' },
+  { name: 'en dash (U+2013)', bio: 'JAIME\u201312345', normalized: 'JAIME-12345' },
+  { name: 'em dash (U+2014)', bio: 'JAIME\u201412345', normalized: 'JAIME-12345' },
+  { name: 'minus sign (U+2212)', bio: 'JAIME\u221212345', normalized: 'JAIME-12345' },
+  { name: 'Cyrillic A and E (U+0410, U+0415)', bio: 'J\u0410IM\u0415-12345', normalized: 'JAIME-12345' },
+  { name: 'lowercase Cyrillic a and e (U+0430, U+0435)', bio: 'j\u0430im\u0435-12345', normalized: 'jaime-12345' },
+  { name: 'Greek I and M (U+0399, U+039C)', bio: 'JA\u0399\u039CE-12345', normalized: 'JAIME-12345' },
+  { name: 'mathematical bold digits', bio: 'JAIME-\u{1D7CF}\u{1D7D0}\u{1D7D1}\u{1D7D2}\u{1D7D3}', normalized: 'JAIME-12345' },
+  { name: 'line breaks around the code', bio: 'gaming 🎮\n\nJAIME-12345\n', normalized: 'gaming 🎮 JAIME-12345 ' },
+  { name: 'RTL mark before the code', bio: '\u200FJAIME-12345', normalized: 'JAIME-12345' },
+];
+
+describe('normalizeForMatching', () => {
+  for (const sample of BIO_SAMPLES) {
+    it(`folds ${sample.name}`, () => {
+      assert.equal(normalizeForMatching(sample.bio), sample.normalized);
+    });
+  }
+
+  it('returns an empty string for a missing bio', () => {
+    assert.equal(normalizeForMatching(null), '');
+    assert.equal(normalizeForMatching(''), '');
+  });
+});
+
+describe('findCodeInBio after normalization', () => {
+  for (const sample of BIO_SAMPLES) {
+    it(`finds the code with ${sample.name}`, () => {
+      assert.equal(findCodeInBio(sample.bio, ['JAIME-12345'], defaults), 'JAIME-12345');
+    });
+  }
+
+  // Lookalikes fold to the characters they resemble, never into a different code
+  const MISSES = [
+    { name: 'a different body in full-width digits', bio: 'JAIME-１２３４６' },
+    { name: 'a longer body hidden by a zero-width space', bio: 'JAIME-12345\u200B6' },
+    { name: 'a Cyrillic Ze (U+0417) standing in for a 3', bio: 'JAIME-1234\u0417' }, // Looks like a digit, but only letters are mapped
+    { name: 'a space inside the body', bio: 'JAIME-123 45' },
+    { name: 'an en dash inside the body', bio: 'JAIME-123\u201345' },
+  ];
+  for (const sample of MISSES) {
+    it(`rejects ${sample.name}`, () => {
+      assert.equal(findCodeInBio(sample.bio, ['JAIME-12345'], defaults), null);
+    });
+  }
+});
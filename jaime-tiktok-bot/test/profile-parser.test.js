@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseTikTokProfile } = require('../tiktok/profile-parser');
+
+// Saved TikTok profile pages (trimmed to the parts the parser reads) - one per page format it handles
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'profiles', name), 'utf8');
+
+describe('parseTikTokProfile', () => {
+  it('reads the universal-data (rehydration) format', () => {
+    assert.deepEqual(parseTikTokProfile(readFixture('universal-data.html')), {
+      found: true,
+      accountNotFound: false,
+      statusCode: 0,
+      source: 'rehydration',
+      userId: '6812345678901234567',
+      secUid: 'MS4wLjABAAAAexampleSecUid_abc123',
+      uniqueId: 'jaime.creator',
+      nickname: 'Jaime ✨',
+      signature: 'Gaming clips daily 🎮\nVERIFY: JAIME-482913',
+      privateAccount: false,
+      verified: false,
+      followerCount: 15230,
+      followingCount: 187,
+      videoCount: 96,
+      heartCount: 402117,
+      createTime: 1586000000,
+    });
+  });
+
+  it('reads the older SIGI_STATE format', () => {
+    assert.deepEqual(parseTikTokProfile(readFixture('sigi-state.html')), {
+      found: true,
+      accountNotFound: false,
+      statusCode: 0,
+      source: 'sigi',
+      userId: '6700000000000000001',
+      secUid: 'MS4wLjABAAAAsigiSecUid',
+      uniqueId: 'old.school',
+      nickname: 'Old School',
+      signature: 'since 2019 | code: jaime-555111',
+      privateAccount: false,
+      verified: false,
+      followerCount: 321,
+      followingCount: 45,
+      videoCount: 12,
+      heartCount: 9876,
+      createTime: null,
+    });
+  });
+
+  it('falls back to regexes when the embedded JSON is truncated', () => {
+    const profile = parseTikTokProfile(readFixture('regex-fallback.html'));
+    assert.equal(profile.found, true);
+    assert.equal(profile.source, 'regex');
+    assert.equal(profile.statusCode, 0);
+    // The viewer's "id" comes first in the page - only the one on the profile's user object counts
+    assert.equal(profile.userId, '7100000000000000009');
+    assert.equal(profile.uniqueId, 'broken.page');
+    assert.equal(profile.secUid, 'MS4wLjABAAAAregexSecUid');
+    assert.equal(profile.nickname, 'Broken "Page"');
+    assert.equal(profile.signature, 'line one\nJAIME-777000 {not json}');
+    assert.equal(profile.privateAccount, false);
+    assert.equal(profile.verified, true);
+    assert.equal(profile.followerCount, 4242);
+    assert.equal(profile.followingCount, 10);
+    assert.equal(profile.videoCount, 7);
+    assert.equal(profile.heartCount, 100);
+    assert.equal(profile.createTime, 1600000000);
+  });
+
+  it('leaves userId empty in regex mode when the profile object has no numeric id', () => {
+    const html = '<script id="SIGI_STATE">{"viewer":{"id":"7000000000000000123"},"user":{"uniqueId":"no.id","signature":"hi {x}","id":"abc"},"broken":</script>';
+    const profile = parseTikTokProfile(html);
+    assert.equal(profile.source, 'regex');
+    assert.equal(profile.uniqueId, 'no.id');
+    assert.equal(profile.userId, null);
+
+    const nested = '<script>{"user":{"uniqueId":"nested","bioLink":{"id":"7000000000000000456"},"signature":""},</script>';
+    assert.equal(parseTikTokProfile(nested).userId, null);
+  });
+
+  it('flags private accounts', () => {
+    const profile = parseTikTokProfile(readFixture('private.html'));
+    assert.equal(profile.found, true);
+    assert.equal(profile.privateAccount, true);
+    assert.equal(profile.uniqueId, 'quiet.one');
+    assert.equal(profile.userId, '7012345678901234567');
+    assert.equal(profile.signature, '');
+  });
+
+  it('reports banned or missing accounts (status 10221)', () => {
+    const profile = parseTikTokProfile(readFixture('banned-10221.html'));
+    assert.equal(profile.found, false);
+    assert.equal(profile.accountNotFound, true);
+    assert.equal(profile.statusCode, 10221);
+    assert.equal(profile.signature, null);
+    assert.equal(profile.userId, null);
+  });
+
+  it('tells an empty bio ("") apart from an unreadable one (null)', () => {
+    const profile = parseTikTokProfile(readFixture('empty-bio.html'));
+    assert.equal(profile.found, true);
+    assert.equal(profile.signature, '');
+    assert.equal(profile.verified, true);
+    assert.equal(profile.followerCount, 1000000);
+    assert.equal(profile.videoCount, 0);
+
+    const unreadable = parseTikTokProfile('<html><body>Please wait...</body></html>');
+    assert.equal(unreadable.found, false);
+    assert.equal(unreadable.signature, null);
+  });
+
+  it('returns an empty profile for no HTML', () => {
+    assert.deepEqual(parseTikTokProfile(''), parseTikTokProfile(null));
+    assert.equal(parseTikTokProfile('').found, false);
+  });
+});
@@ -0,0 +1,154 @@
+const RedisMock = require('ioredis-mock');
+
+// An in-memory Redis for the storage tests, so the Redis backend is tested even without REDIS_URL
+// ioredis-mock runs Lua scripts, but without the cjson library real Redis provides. This pure-Lua stand-in
+// covers what the backend's scripts use, including cjson's quirks: JSON null decodes to cjson.null,
+// numbers encode with 14 significant digits and an empty table encodes as {}.
+const CJSON_LUA = `
+local cjson = {}
+cjson.null = setmetatable({}, { __tostring = function() return 'null' end })
+
+local ESCAPES = { ['"'] = '\\\\"', ['\\\\'] = '\\\\\\\\', ['/'] = '\\\\/', ['\\b'] = '\\\\b', ['\\f'] = '\\\\f', ['\\n'] = '\\\\n', ['\\r'] = '\\\\r', ['\\t'] = '\\\\t' }
+local UNESCAPES = { b = '\\b', f = '\\f', n = '\\n', r = '\\r', t = '\\t', ['"'] = '"', ['\\\\'] = '\\\\', ['/'] = '/' }
+
+local function encodeString(s)
+  return '"' .. (s:gsub('[%c"\\\\/]', function(c) return ESCAPES[c] or string.format('\\\\u%04x', c:byte()) end)) .. '"'
+end
+
+function cjson.encode(value)
+  local kind = type(value)
+  if value == nil or value == cjson.null then return 'null' end
+  if kind == 'boolean' then return tostring(value) end
+  if kind == 'number' then
+    if value ~= value or value == math.huge or value == -math.huge then error('Cannot serialise number: must not be NaN or Inf') end
+    return string.format('%.14g', value)
+  end
+  if kind == 'string' then return encodeString(value) end
+  if kind ~= 'table' then error('Cannot serialise ' .. kind) end
+
+  local count, max, isArray = 0, 0, true
+  for k in pairs(value) do
+    count = count + 1
+    if type(k) == 'number' and k > 0 and math.floor(k) == k then
+      if k > max then max = k end
+    else
+      isArray = false
+    end
+  end
+  local parts = {}
+  if isArray and count > 0 and max == count then
+    for i = 1, max do parts[i] = cjson.encode(value[i]) end
+    return '[' .. table.concat(parts, ',') .. ']'
+  end
+  for k, v in pairs(value) do parts[#parts + 1] = encodeString(tostring(k)) .. ':' .. cjson.encode(v) end
+  return '{' .. table.concat(parts, ',') .. '}'
+end
+
+function cjson.decode(s)
+  local pos = 1
+  local function fail(what) error('Expected ' .. what .. ' at character ' .. pos) end
+  local function skip() pos = s:find('[^ \\t\\r\\n]', pos) or #s + 1 end
+  local function peek() return s:sub(pos, pos) end
+
+  local function readString()
+    pos = pos + 1
+    local parts = {}
+    while true do
+      local c = peek()
+      if c == '' then fail('closing quote') end
+      if c == '"' then
+        pos = pos + 1
+        return table.concat(parts)
+      end
+      if c == '\\\\' then
+        local e = s:sub(pos + 1, pos + 1)
+        if e == 'u' then
+          local code = tonumber(s:sub(pos + 2, pos + 5), 16) or fail('hex digits')
+          pos = pos + 6
+          if code >= 0xD800 and code <= 0xDBFF and s:sub(pos, pos + 1) == '\\\\u' then
+            code = 0x10000 + (code - 0xD800) * 0x400 + (tonumber(s:sub(pos + 2, pos + 5), 16) - 0xDC00)
+            pos = pos + 6
+          end
+          parts[#parts + 1] = utf8.char(code)
+        else
+          parts[#parts + 1] = UNESCAPES[e] or fail('escape')
+          pos = pos + 2
+        end
+      else
+        local stop = s:find('["\\\\]', pos) or #s + 1
+        parts[#parts + 1] = s:sub(pos, stop - 1)
+        pos = stop
+      end
+    end
+  end
+
+  local readValue
+  local function readList(close, readItem)
+    pos = pos + 1
+    skip()
+    if peek() == close then
+      pos = pos + 1
+      return
+    end
+    while true do
+      readItem()
+      skip()
+      local c = peek()
+      pos = pos + 1
+      if c == close then return end
+      if c ~= ',' then fail("',' or '" .. close .. "'") end
+    end
+  end
+
+  readValue = function()
+    skip()
+    local c = peek()
+    if c == '{' then
+      local object = {}
+      readList('}', function()
+        skip()
+        if peek() ~= '"' then fail('object key') end
+        local key = readString()
+        skip()
+        if peek() ~= ':' then fail("':'") end
+        pos = pos + 1
+        object[key] = readValue()
+      end)
+      return object
+    end
+    if c == '[' then
+      local array = {}
+      readList(']', function() array[#array + 1] = readValue() end)
+      return array
+    end
+    if c == '"' then return readString() end
+    for literal, result in pairs({ ['true'] = true, ['false'] = false, ['null'] = cjson.null }) do
+      if s:sub(pos, pos + #literal - 1) == literal then
+        pos = pos + #literal
+        return result
+      end
+    end
+    local number = s:match('^-?%d+%.?%d*[eE]?[-+]?%d*', pos)
+    if not number then fail('value') end
+    pos = pos + #number
+    return tonumber(number)
+  end
+
+  local value = readValue()
+  skip()
+  if pos <= #s then fail('the end of the JSON') end
+  return value
+end
+`;
+
+// Each client gets its own keyspace (ioredis-mock shares data between clients on the same port)
+let nextPort = 20000;
+
+function createRedisMock() {
+  const client = new RedisMock({ port: nextPort++ });
+  const defineCommand = client.defineCommand.bind(client);
+  client.defineCommand = (name, definition) => defineCommand(name, { ...definition, lua: `${CJSON_LUA}\n${definition.lua}` });
+  return client;
+}
+
+module.exports = { createRedisMock };
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { MAX_FOLLOWING_PAGES, getTikTokResearchConfig, createFollowingChecker } = require('../tiktok/research-api');
+
+// Stand-in Research API: each username maps to the pages of accounts it follows
+const FOLLOWING = {
+  fan: [['someone', 'Jaime'], ['other']],
+  stranger: [['someone'], ['other']],
+  busy: Array.from({ length: MAX_FOLLOWING_PAGES + 1 }, (_, i) => [`account${i}`]),
+};
+
+describe('createFollowingChecker', () => {
+  let server;
+  let config;
+  const requests = { token: 0, following: 0 };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/token') {
+          requests.token++;
+          return res.end(JSON.stringify({ access_token: 'client-token', expires_in: 7200 }));
+        }
+        requests.following++;
+        const { username, cursor } = JSON.parse(raw);
+        const pages = FOLLOWING[username];
+        if (!pages || req.headers.authorization !== 'Bearer client-token') {
+          res.statusCode = 403;
+          return res.end(JSON.stringify({ data: {}, error: { code: 'forbidden', message: 'following list is private' } }));
+        }
+        const users = pages[cursor].map(u => ({ username: u }));
+        res.end(JSON.stringify({ data: { user_following: users, cursor: cursor + 1, has_more: cursor + 1 < pages.length }, error: { code: 'ok' } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    config = getTikTokResearchConfig({
+      TIKTOK_RESEARCH_CLIENT_KEY: 'key',
+      TIKTOK_RESEARCH_CLIENT_SECRET: 'secret',
+      TIKTOK_RESEARCH_TOKEN_URL: `${base}/token`,
+      TIKTOK_RESEARCH_FOLLOWING_URL: `${base}/following`,
+    });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('finds the creator on a later page, ignoring case', async () => {
+    const checker = createFollowingChecker(config);
+    assert.deepEqual(await checker.follows('fan', 'jaime'), { follows: true, complete: true });
+  });
+
+  it('reports a complete list without the creator', async () => {
+    const checker = createFollowingChecker(config);
+    assert.deepEqual(await checker.follows('stranger', 'jaime'), { follows: false, complete: true });
+  });
+
+  it('stops paging after MAX_FOLLOWING_PAGES', async () => {
+    const checker = createFollowingChecker(config);
+    const before = requests.following;
+    assert.deepEqual(await checker.follows('busy', 'jaime'), { follows: false, complete: false });
+    assert.equal(requests.following - before, MAX_FOLLOWING_PAGES);
+  });
+
+  it('throws when the following list cannot be read', async () => {
+    const checker = createFollowingChecker(config);
+    await assert.rejects(checker.follows('private.user', 'jaime'), /following list is private/);
+  });
+
+  it('reuses the client token until it expires', async () => {
+    const checker = createFollowingChecker(config);
+    const before = requests.token;
+    await checker.follows('fan', 'jaime');
+    await checker.follows('stranger', 'jaime');
+    assert.equal(requests.token - before, 1);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../storage/memory');
+const { getEncryptionKey, loadTokens } = require('../linked-roles/token-store');
+const { saveLinkedTokens, refreshExpiringTokens, syncRoleConnection } = require('../linked-roles/role-connection');
+
+// Stand-in Discord API (global fetch): each refresh token works once, like Discord's
+// Hooks let a test change storage mid-request, the way server.js or the bot's other jobs can
+const config = { clientId: 'app', clientSecret: 'secret', encryptionKey: getEncryptionKey('test-key') };
+const MEMBER = 'member-1';
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+describe('linked-role token rotation', () => {
+  let storage;
+  let realFetch;
+  let discord;
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    discord = { issued: 1, used: new Set(), refreshes: 0, pushes: [], onRefresh: null, onPush: null };
+    realFetch = global.fetch;
+    global.fetch = async (url, options) => {
+      if (url.endsWith('/oauth2/token')) {
+        discord.refreshes++;
+        const refreshToken = new URLSearchParams(String(options.body)).get('refresh_token');
+        await new Promise(resolve => setImmediate(resolve)); // Let overlapping callers interleave
+        if (discord.onRefresh) await discord.onRefresh(refreshToken);
+        if (discord.used.has(refreshToken)) return jsonResponse(400, { error: 'invalid_grant' });
+        discord.used.add(refreshToken);
+        discord.issued++;
+        return jsonResponse(200, { access_token: `a${discord.issued}`, refresh_token: `r${discord.issued}`, expires_in: 604800, scope: 'role_connections.write' });
+      }
+      discord.pushes.push(options.headers.Authorization);
+      if (discord.onPush) await discord.onPush();
+      return jsonResponse(200, {});
+    };
+    // Linked, but the access token is inside the refresh margin
+    await saveLinkedTokens(storage, config, MEMBER, { access_token: 'a1', refresh_token: 'r1', expires_in: 30 });
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  const stored = () => loadTokens(storage, config.encryptionKey, MEMBER);
+
+  it('rotates once when a sync and the refresh job overlap', async () => {
+    const [summary, counts] = await Promise.all([
+      syncRoleConnection(storage, config, MEMBER),
+      refreshExpiringTokens(storage, config, { withinMs: 60 * 60 * 1000 }),
+    ]);
+
+    assert.equal(discord.refreshes, 1);
+    assert.notEqual(summary, null);
+    assert.deepEqual(counts, { checked: 1, refreshed: 1, revoked: 0, failed: 0 });
+    assert.deepEqual(discord.pushes, ['Bearer a2']);
+    assert.equal((await stored()).refreshToken, 'r2');
+  });
+
+  it('keeps a login saved elsewhere while a rejected refresh was in flight', async () => {
+    discord.used.add('r1'); // Already spent by another process
+    discord.onRefresh = async () => {
+      discord.onRefresh = null;
+      await saveLinkedTokens(storage, config, MEMBER, { access_token: 'a9', refresh_token: 'r9', expires_in: 604800 });
+    };
+
+    assert.notEqual(await syncRoleConnection(storage, config, MEMBER), null);
+    assert.equal((await stored()).refreshToken, 'r9');
+    assert.deepEqual(discord.pushes, ['Bearer a9']);
+  });
+
+  it('does not overwrite a login saved elsewhere with its own rotation', async () => {
+    discord.onRefresh = async () => {
+      discord.onRefresh = null;
+      await saveLinkedTokens(storage, config, MEMBER, { access_token: 'a9', refresh_token: 'r9', expires_in: 604800 });
+    };
+
+    await syncRoleConnection(storage, config, MEMBER);
+    assert.equal((await stored()).refreshToken, 'r9');
+  });
+
+  it('deletes the tokens when the refresh token Discord rejected is still the stored one', async () => {
+    discord.used.add('r1');
+
+    assert.equal(await syncRoleConnection(storage, config, MEMBER), null);
+    assert.equal(await storage.getRoleConnection(MEMBER), null);
+  });
+
+  it('does not bring back tokens deleted while a refresh was in flight', async () => {
+    discord.onRefresh = () => storage.deleteRoleConnection(MEMBER);
+
+    assert.equal(await syncRoleConnection(storage, config, MEMBER), null);
+    assert.equal(await storage.getRoleConnection(MEMBER), null);
+  });
+
+  it('records syncedAt without undoing a rotation saved during the push', async () => {
+    await saveLinkedTokens(storage, config, MEMBER, { access_token: 'a1', refresh_token: 'r1', expires_in: 604800 });
+    discord.onPush = () => saveLinkedTokens(storage, config, MEMBER, { access_token: 'a9', refresh_token: 'r9', expires_in: 604800 });
+
+    await syncRoleConnection(storage, config, MEMBER);
+    const record = await stored();
+    assert.equal(record.refreshToken, 'r9');
+    assert.ok(record.syncedAt);
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryStorage } = require('../storage/memory');
+const { createFileStorage } = require('../storage/file');
+const { REDIS_PREFIX, createRedisStorage } = require('../storage/redis');
+const { createRedisMock } = require('./redis-mock');
+
+// Backends the storage tests run against
+// memory, file, sqlite and redis-mock always run (sqlite is skipped if the optional better-sqlite3 isn't installed).
+// redis-mock is the Redis backend on an in-memory ioredis-mock, Lua scripts included.
+// redis runs when REDIS_URL is set - point it at a scratch database. Tests only touch IDs made with
+// testId(), which are unique to the run and deleted afterwards, so they never assume an empty keyspace.
+
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+
+// An ID unique to this test run, e.g. testId('guild') -> 'guild-1a2b3c4d'
+function testId(name) {
+  return `${name}-${RUN_ID}`;
+}
+
+function hasModule(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-verify-test-'));
+}
+
+// Each create() returns a fresh { storage, cleanup }
+const BACKENDS = [
+  {
+    name: 'memory',
+    skip: false,
+    async create() {
+      return { storage: createMemoryStorage(), cleanup: async () => {} };
+    },
+  },
+  {
+    name: 'file',
+    skip: false,
+    async create() {
+      const dataDir = makeTempDir();
+      return {
+        storage: createFileStorage({ dataDir }),
+        cleanup: async () => fs.rmSync(dataDir, { recursive: true, force: true }),
+      };
+    },
+  },
+  {
+    name: 'sqlite',
+    skip: hasModule('better-sqlite3') ? false : 'better-sqlite3 is not installed',
+    async create() {
+      const { createSqliteStorage } = require('../storage/sqlite');
+      const dataDir = makeTempDir();
+      const storage = createSqliteStorage({ dataDir, file: path.join(dataDir, 'test.db') });
+      return {
+        storage,
+        cleanup: async () => {
+          storage.db.close();
+          fs.rmSync(dataDir, { recursive: true, force: true });
+        },
+      };
+    },
+  },
+  {
+    name: 'redis-mock',
+    skip: false,
+    async create() {
+      const storage = createRedisStorage({ client: createRedisMock() });
+      return { storage, cleanup: async () => storage.client.disconnect() };
+    },
+  },
+  {
+    name: 'redis',
+    skip: process.env.REDIS_URL ? false : 'REDIS_URL is not set',
+    async create() {
+      const storage = createRedisStorage({ url: process.env.REDIS_URL });
+      return {
+        storage,
+        cleanup: async () => {
+          const redis = storage.client;
+          const keys = await redis.keys(`${REDIS_PREFIX}*${RUN_ID}*`);
+          if (keys.length > 0) await redis.del(...keys);
+          for (const index of ['pending_guilds', 'config_guilds']) {
+            const members = (await redis.smembers(`${REDIS_PREFIX}${index}`)).filter(id => id.includes(RUN_ID));
+            if (members.length > 0) await redis.srem(`${REDIS_PREFIX}${index}`, ...members);
+          }
+          redis.disconnect();
+        },
+      };
+    },
+  },
+];
+
+module.exports = { BACKENDS, testId };
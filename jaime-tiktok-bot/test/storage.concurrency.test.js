@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS, testId } = require('./storage-backends');
+
+// Parallel writes for different users in the same guild must never lose each other
+// (per-user hash fields + Lua merges in Redis, the per-file queue in the file backend, row writes in SQLite)
+
+const USERS = 50;
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} storage under concurrent writes`, { skip: backend.skip }, () => {
+    let storage;
+    let cleanup;
+
+    beforeEach(async () => {
+      ({ storage, cleanup } = await backend.create());
+      await storage.migrate();
+    });
+
+    afterEach(async () => {
+      await cleanup();
+    });
+
+    const guildId = testId('busy-guild');
+    const userIds = Array.from({ length: USERS }, (_, i) => testId(`user${i}`));
+
+    it('keeps every verified user saved in parallel', async () => {
+      await Promise.all(userIds.map((discordId, i) => storage.saveVerifiedUser(guildId, {
+        discordId,
+        tiktokUsername: `tiktok${i}`,
+        verifiedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(),
+      })));
+
+      const users = await storage.getVerifiedUsers(guildId);
+      assert.equal(users.length, USERS);
+      assert.deepEqual(users.map(u => u.discordId).sort(), [...userIds].sort());
+    });
+
+    it('keeps every log entry merged in parallel', async () => {
+      await Promise.all(userIds.map((discordId, i) => storage.mergeVerificationLog(
+        guildId, discordId, { status: 'pending', code: `AB-${String(i).padStart(6, '0')}` }, { createIfMissing: true }
+      )));
+
+      const logs = await storage.getVerificationLogs(guildId);
+      assert.equal(Object.keys(logs).length, USERS);
+      userIds.forEach((discordId, i) => {
+        assert.deepEqual(logs[discordId], { status: 'pending', code: `AB-${String(i).padStart(6, '0')}` });
+      });
+    });
+
+    it('keeps every field when one entry gets parallel merges', async () => {
+      const discordId = userIds[0];
+      await storage.saveVerificationLog(guildId, discordId, { status: 'pending' });
+
+      await Promise.all(Array.from({ length: USERS }, (_, i) => storage.mergeVerificationLog(guildId, discordId, { [`field${i}`]: i })));
+
+      const entry = (await storage.getVerificationLogs(guildId))[discordId];
+      assert.equal(entry.status, 'pending');
+      for (let i = 0; i < USERS; i++) assert.equal(entry[`field${i}`], i);
+    });
+
+    it('keeps every field when one verified user gets parallel merges', async () => {
+      const discordId = userIds[0];
+      await storage.saveVerifiedUser(guildId, { discordId, tiktokUsername: 'tiktok0', verifiedAt: '000' });
+
+      await Promise.all(Array.from({ length: USERS }, (_, i) => storage.mergeVerifiedUser(guildId, discordId, { [`field${i}`]: i })));
+
+      const [user] = await storage.getVerifiedUsers(guildId);
+      assert.equal(user.tiktokUsername, 'tiktok0');
+      for (let i = 0; i < USERS; i++) assert.equal(user[`field${i}`], i);
+    });
+
+    it('never brings back a verified user removed while merges are in flight', async () => {
+      await Promise.all(userIds.map((discordId, i) => storage.saveVerifiedUser(guildId, { discordId, tiktokUsername: `tiktok${i}` })));
+
+      await Promise.all(userIds.flatMap(discordId => [
+        storage.mergeVerifiedUser(guildId, discordId, { followerCount: 1 }),
+        storage.removeVerifiedUser(guildId, discordId),
+        storage.mergeVerifiedUser(guildId, discordId, { followerCount: 2 }),
+      ]));
+
+      assert.deepEqual(await storage.getVerifiedUsers(guildId), []);
+    });
+
+    it('keeps everything when users and log entries are written at the same time', async () => {
+      await Promise.all(userIds.flatMap((discordId, i) => [
+        storage.saveVerifiedUser(guildId, { discordId, tiktokUsername: `tiktok${i}`, verifiedAt: String(i).padStart(3, '0') }),
+        storage.mergeVerificationLog(guildId, discordId, { status: 'verified' }, { createIfMissing: true }),
+        storage.mergeVerificationLog(guildId, discordId, { discordName: `member${i}` }, { createIfMissing: true }),
+      ]));
+
+      const users = await storage.getVerifiedUsers(guildId);
+      const logs = await storage.getVerificationLogs(guildId);
+      assert.equal(users.length, USERS);
+      assert.equal(Object.keys(logs).length, USERS);
+      userIds.forEach((discordId, i) => {
+        assert.deepEqual(logs[discordId], { status: 'verified', discordName: `member${i}` });
+      });
+    });
+  });
+}
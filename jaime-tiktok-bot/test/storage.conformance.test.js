@@ -0,0 +1,324 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BACKENDS, testId } = require('./storage-backends');
+
+// Every backend must behave the same way - this runs the interface documented in storage/index.js
+// against each of them
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let storage;
+    let cleanup;
+
+    beforeEach(async () => {
+      ({ storage, cleanup } = await backend.create());
+      await storage.migrate();
+    });
+
+    afterEach(async () => {
+      await cleanup();
+    });
+
+    const guildId = testId('guild');
+    const otherGuildId = testId('other-guild');
+    const userId = testId('user');
+    const otherUserId = testId('other-user');
+
+    it('answers ping', async () => {
+      assert.equal(await storage.ping(), 'PONG');
+    });
+
+    describe('pending verifications', () => {
+      it('saves, reads and deletes a record per guild and user', async () => {
+        assert.equal(await storage.getPending(guildId, userId), null);
+
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-123456', username: 'someone' });
+        await storage.savePending(otherGuildId, userId, { guildId: otherGuildId, code: 'CD-654321' });
+
+        assert.deepEqual(await storage.getPending(guildId, userId), { guildId, code: 'AB-123456', username: 'someone' });
+        assert.equal((await storage.getPending(otherGuildId, userId)).code, 'CD-654321');
+
+        await storage.deletePending(guildId, userId);
+        assert.equal(await storage.getPending(guildId, userId), null);
+        assert.notEqual(await storage.getPending(otherGuildId, userId), null);
+      });
+
+      it('lists every record keyed by guildId:discordId with the discordId filled in', async () => {
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-111111' });
+        await storage.savePending(guildId, otherUserId, { guildId, code: 'AB-222222' });
+
+        const all = await storage.getAllPending();
+        assert.equal(all[`${guildId}:${userId}`].discordId, userId);
+        assert.equal(all[`${guildId}:${userId}`].code, 'AB-111111');
+        assert.equal(all[`${guildId}:${otherUserId}`].discordId, otherUserId);
+      });
+
+      it('lists one guild\'s records without the other guilds\'', async () => {
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-111111' });
+        await storage.savePending(guildId, otherUserId, { guildId, code: 'AB-222222' });
+        await storage.savePending(otherGuildId, userId, { guildId: otherGuildId, code: 'CD-333333' });
+
+        const guildPending = await storage.getGuildPending(guildId);
+        assert.deepEqual(Object.keys(guildPending).sort(), [`${guildId}:${userId}`, `${guildId}:${otherUserId}`].sort());
+        assert.deepEqual(guildPending[`${guildId}:${userId}`], { discordId: userId, guildId, code: 'AB-111111' });
+        assert.deepEqual(await storage.getGuildPending(testId('empty-guild')), {});
+      });
+
+      it('returns only records that are due, treating a missing nextCheckAt as due', async () => {
+        const now = Date.now();
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-111111', nextCheckAt: now - 1000 });
+        await storage.savePending(guildId, otherUserId, { guildId, code: 'AB-222222', nextCheckAt: now + 60000 });
+        await storage.savePending(otherGuildId, userId, { guildId: otherGuildId, code: 'AB-333333' });
+
+        const due = await storage.getDuePending(now);
+        assert.ok(due[`${guildId}:${userId}`]);
+        assert.equal(due[`${guildId}:${otherUserId}`], undefined);
+        assert.ok(due[`${otherGuildId}:${userId}`]);
+        assert.equal(due[`${guildId}:${userId}`].discordId, userId);
+      });
+
+      it('moves a record in or out of the due set when nextCheckAt changes', async () => {
+        const now = Date.now();
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-111111', nextCheckAt: now - 1000 });
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-111111', nextCheckAt: now + 60000 });
+        assert.equal((await storage.getDuePending(now))[`${guildId}:${userId}`], undefined);
+
+        await storage.deletePending(guildId, userId);
+        assert.equal((await storage.getAllPending())[`${guildId}:${userId}`], undefined);
+      });
+
+      it('finds a record by current or previous code, case-insensitively, within one guild', async () => {
+        await storage.savePending(guildId, userId, {
+          guildId,
+          code: 'AB-111111',
+          previousCodes: [{ code: 'AB-999999', issuedAt: 1 }, 'AB-888888'],
+        });
+
+        assert.equal((await storage.findPendingByCode(guildId, 'ab-111111')).discordId, userId);
+        assert.equal((await storage.findPendingByCode(guildId, 'AB-999999')).discordId, userId);
+        assert.equal((await storage.findPendingByCode(guildId, 'AB-888888')).discordId, userId);
+        assert.equal(await storage.findPendingByCode(guildId, 'AB-000000'), null);
+        assert.equal(await storage.findPendingByCode(otherGuildId, 'AB-111111'), null);
+      });
+    });
+
+    describe('guild configs', () => {
+      it('saves and reads configs', async () => {
+        assert.equal(await storage.getGuildConfig(guildId), null);
+
+        await storage.saveGuildConfig(guildId, { verifiedRoleId: 'role-1' });
+        await storage.saveGuildConfig(guildId, { verifiedRoleId: 'role-2', modLogChannelId: 'chan' });
+
+        assert.deepEqual(await storage.getGuildConfig(guildId), { verifiedRoleId: 'role-2', modLogChannelId: 'chan' });
+        assert.deepEqual((await storage.getGuildConfigs())[guildId], { verifiedRoleId: 'role-2', modLogChannelId: 'chan' });
+      });
+    });
+
+    describe('verified users', () => {
+      const alice = { discordId: userId, discordTag: 'alice', tiktokUsername: 'Alice.TT', verifiedAt: '2024-01-01T00:00:00.000Z' };
+      const bob = { discordId: otherUserId, discordTag: 'bob', tiktokUsername: 'bob', verifiedAt: '2024-02-01T00:00:00.000Z' };
+
+      it('returns an empty list for an unknown guild', async () => {
+        assert.deepEqual(await storage.getVerifiedUsers(guildId), []);
+      });
+
+      it('upserts by discordId and keeps verification order', async () => {
+        await storage.saveVerifiedUser(guildId, alice);
+        await storage.saveVerifiedUser(guildId, bob);
+        await storage.saveVerifiedUser(guildId, { ...alice, followerCount: 10 });
+
+        const users = await storage.getVerifiedUsers(guildId);
+        assert.deepEqual(users.map(u => u.discordId), [userId, otherUserId]);
+        assert.equal(users[0].followerCount, 10);
+        assert.deepEqual((await storage.getAllVerifiedUsers())[guildId].map(u => u.discordId), [userId, otherUserId]);
+      });
+
+      it('finds users by TikTok handle, case-insensitively', async () => {
+        await storage.saveVerifiedUser(guildId, alice);
+        await storage.saveVerifiedUser(guildId, bob);
+
+        assert.deepEqual((await storage.findVerifiedByTikTok(guildId, 'alice.tt')).map(u => u.discordId), [userId]);
+        assert.deepEqual(await storage.findVerifiedByTikTok(guildId, 'nobody'), []);
+        assert.deepEqual(await storage.findVerifiedByTikTok(otherGuildId, 'alice.tt'), []);
+      });
+
+      it('finds every guild a member is verified in', async () => {
+        await storage.saveVerifiedUser(guildId, alice);
+        await storage.saveVerifiedUser(otherGuildId, { ...alice, tiktokUsername: 'alice2' });
+
+        const byGuild = await storage.findVerifiedByDiscordId(userId);
+        assert.deepEqual(Object.keys(byGuild).sort(), [guildId, otherGuildId].sort());
+        assert.equal(byGuild[otherGuildId].tiktokUsername, 'alice2');
+        assert.deepEqual(await storage.findVerifiedByDiscordId(testId('nobody')), {});
+      });
+
+      it('removes a user and returns the removed record once', async () => {
+        await storage.saveVerifiedUser(guildId, alice);
+        await storage.saveVerifiedUser(guildId, bob);
+
+        assert.deepEqual(await storage.removeVerifiedUser(guildId, userId), alice);
+        assert.equal(await storage.removeVerifiedUser(guildId, userId), null);
+        assert.deepEqual((await storage.getVerifiedUsers(guildId)).map(u => u.discordId), [otherUserId]);
+      });
+
+      it('merges fields into an existing user without recreating a removed one', async () => {
+        await storage.saveVerifiedUser(guildId, alice);
+        await storage.saveVerifiedUser(guildId, bob);
+
+        assert.deepEqual(await storage.mergeVerifiedUser(guildId, userId, { followerCount: 10 }), { ...alice, followerCount: 10 });
+        const users = await storage.getVerifiedUsers(guildId);
+        assert.deepEqual(users.map(u => u.discordId), [userId, otherUserId]);
+        assert.deepEqual(users[0], { ...alice, followerCount: 10 });
+        assert.deepEqual(users[1], bob);
+
+        await storage.removeVerifiedUser(guildId, userId);
+        assert.equal(await storage.mergeVerifiedUser(guildId, userId, { followerCount: 20 }), null);
+        assert.equal(await storage.mergeVerifiedUser(otherGuildId, otherUserId, { followerCount: 20 }), null);
+        assert.deepEqual((await storage.getVerifiedUsers(guildId)).map(u => u.discordId), [otherUserId]);
+        assert.deepEqual(await storage.getVerifiedUsers(otherGuildId), []);
+      });
+    });
+
+    describe('verification logs', () => {
+      it('saves and reads entries per guild', async () => {
+        assert.deepEqual(await storage.getVerificationLogs(guildId), {});
+
+        await storage.saveVerificationLog(guildId, userId, { status: 'pending', code: 'AB-111111' });
+        assert.deepEqual(await storage.getVerificationLogs(guildId), { [userId]: { status: 'pending', code: 'AB-111111' } });
+        assert.deepEqual((await storage.getAllVerificationLogs())[guildId], { [userId]: { status: 'pending', code: 'AB-111111' } });
+      });
+
+      it('merges fields into an entry, only creating it when asked', async () => {
+        assert.equal(await storage.mergeVerificationLog(guildId, userId, { status: 'verified' }), null);
+        assert.deepEqual(await storage.getVerificationLogs(guildId), {});
+
+        assert.deepEqual(
+          await storage.mergeVerificationLog(guildId, userId, { status: 'pending' }, { createIfMissing: true }),
+          { status: 'pending' }
+        );
+        assert.deepEqual(
+          await storage.mergeVerificationLog(guildId, userId, { status: 'verified', verifiedAt: 'now' }),
+          { status: 'verified', verifiedAt: 'now' }
+        );
+        assert.deepEqual((await storage.getVerificationLogs(guildId))[userId], { status: 'verified', verifiedAt: 'now' });
+      });
+    });
+
+    describe('verification events', () => {
+      it('returns an empty history for an unknown guild', async () => {
+        assert.deepEqual(await storage.getVerificationEvents(guildId), { total: 0, events: [] });
+      });
+
+      it('lists events newest first with filters and paging', async () => {
+        const events = [
+          { type: 'started', discordId: userId, timestamp: '1' },
+          { type: 'verified', discordId: userId, timestamp: '2' },
+          { type: 'started', discordId: otherUserId, timestamp: '3' },
+          { type: 'expired', discordId: otherUserId, timestamp: '4' },
+        ];
+        for (const event of events) await storage.appendVerificationEvent(guildId, event);
+
+        const all = await storage.getVerificationEvents(guildId);
+        assert.equal(all.total, 4);
+        assert.deepEqual(all.events.map(e => e.timestamp), ['4', '3', '2', '1']);
+
+        const page = await storage.getVerificationEvents(guildId, { offset: 1, limit: 2 });
+        assert.equal(page.total, 4);
+        assert.deepEqual(page.events.map(e => e.timestamp), ['3', '2']);
+
+        const started = await storage.getVerificationEvents(guildId, { type: 'started' });
+        assert.equal(started.total, 2);
+        assert.deepEqual(started.events.map(e => e.timestamp), ['3', '1']);
+
+        const forUser = await storage.getVerificationEvents(guildId, { discordId: userId, limit: 1 });
+        assert.equal(forUser.total, 2);
+        assert.deepEqual(forUser.events.map(e => e.timestamp), ['2']);
+
+        assert.deepEqual((await storage.getVerificationEvents(guildId, { offset: 10 })).events, []);
+        assert.equal((await storage.getVerificationEvents(otherGuildId)).total, 0);
+      });
+    });
+
+    describe('premium grants', () => {
+      it('saves and reads grants', async () => {
+        assert.equal(await storage.getPremiumGrant(guildId), null);
+
+        await storage.savePremiumGrant(guildId, { tier: 'pro', grantedBy: userId });
+        assert.deepEqual(await storage.getPremiumGrant(guildId), { tier: 'pro', grantedBy: userId });
+        assert.deepEqual((await storage.getAllPremiumGrants())[guildId], { tier: 'pro', grantedBy: userId });
+      });
+    });
+
+    describe('role connections', () => {
+      it('saves, lists and deletes records per member', async () => {
+        assert.equal(await storage.getRoleConnection(userId), null);
+
+        await storage.saveRoleConnection(userId, { tokens: 'v1:a:b:c', expiresAt: 1 });
+        await storage.saveRoleConnection(otherUserId, { tokens: 'v1:d:e:f', expiresAt: 2 });
+        assert.deepEqual(await storage.getRoleConnection(userId), { tokens: 'v1:a:b:c', expiresAt: 1 });
+
+        const all = await storage.getAllRoleConnections();
+        assert.deepEqual(all[userId], { tokens: 'v1:a:b:c', expiresAt: 1 });
+        assert.deepEqual(all[otherUserId], { tokens: 'v1:d:e:f', expiresAt: 2 });
+
+        await storage.deleteRoleConnection(userId);
+        assert.equal(await storage.getRoleConnection(userId), null);
+        assert.equal((await storage.getAllRoleConnections())[userId], undefined);
+      });
+
+      it('merges fields into a record without recreating a deleted one', async () => {
+        await storage.saveRoleConnection(userId, { tokens: 'v1:a:b:c', expiresAt: 1 });
+
+        assert.deepEqual(await storage.mergeRoleConnection(userId, { syncedAt: 'now' }), { tokens: 'v1:a:b:c', expiresAt: 1, syncedAt: 'now' });
+        assert.deepEqual(await storage.getRoleConnection(userId), { tokens: 'v1:a:b:c', expiresAt: 1, syncedAt: 'now' });
+
+        await storage.deleteRoleConnection(userId);
+        assert.equal(await storage.mergeRoleConnection(userId, { syncedAt: 'later' }), null);
+        assert.equal(await storage.getRoleConnection(userId), null);
+      });
+    });
+
+    describe('OAuth states', () => {
+      it('hands a state back exactly once', async () => {
+        const state = testId('state');
+        await storage.saveOAuthState(state, { provider: 'discord', discordId: userId }, 60000);
+
+        assert.deepEqual(await storage.takeOAuthState(state), { provider: 'discord', discordId: userId });
+        assert.equal(await storage.takeOAuthState(state), null);
+        assert.equal(await storage.takeOAuthState(testId('unknown-state')), null);
+      });
+
+      it('does not hand back an expired state', async () => {
+        const state = testId('short-state');
+        await storage.saveOAuthState(state, { provider: 'tiktok' }, 20);
+        await sleep(60);
+
+        assert.equal(await storage.takeOAuthState(state), null);
+      });
+    });
+
+    describe('stats', () => {
+      it('counts what was saved', async () => {
+        const before = await storage.getStats();
+
+        await storage.savePending(guildId, userId, { guildId, code: 'AB-111111' });
+        await storage.saveGuildConfig(guildId, {});
+        await storage.saveVerifiedUser(guildId, { discordId: userId, verifiedAt: '1' });
+        await storage.saveVerifiedUser(guildId, { discordId: otherUserId, verifiedAt: '2' });
+        await storage.saveVerificationLog(guildId, userId, { status: 'verified' });
+        await storage.savePremiumGrant(guildId, { tier: 'pro' });
+
+        const after = await storage.getStats();
+        assert.equal(after.pending - before.pending, 1);
+        assert.equal(after.guildConfigs - before.guildConfigs, 1);
+        assert.equal(after.verifiedUsers - before.verifiedUsers, 2);
+        assert.equal(after.verifiedGuilds - before.verifiedGuilds, 1);
+        assert.equal(after.logEntries - before.logEntries, 1);
+        assert.equal(after.logGuilds - before.logGuilds, 1);
+        assert.equal(after.premiumGrants - before.premiumGrants, 1);
+      });
+    });
+  });
+}
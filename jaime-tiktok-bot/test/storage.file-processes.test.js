@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createFileStorage } = require('../storage/file');
+
+// The bot and server.js share the file backend from two processes - run real child processes against one
+// data directory and check nobody's writes are lost and no half-written file is ever read
+
+const PROCESSES = 3;
+const WRITES = 20;
+
+// Each child saves WRITES verified users and role connections, reading the files back as it goes
+const CHILD = `
+  const { createFileStorage } = require(${JSON.stringify(path.join(__dirname, '..', 'storage', 'file'))});
+  const [dataDir, name, writes] = process.argv.slice(1);
+  const storage = createFileStorage({ dataDir });
+  (async () => {
+    for (let i = 0; i < Number(writes); i++) {
+      await Promise.all([
+        storage.saveVerifiedUser('guild', { discordId: name + '-' + i, tiktokUsername: name + i }),
+        storage.saveRoleConnection(name + '-' + i, { tokens: 'v1:x', expiresAt: i }),
+        storage.getAllVerifiedUsers(),
+      ]);
+    }
+  })().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+`;
+
+function runChild(dataDir, name) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', CHILD, dataDir, name, String(WRITES)], { timeout: 60 * 1000 }, (err, stdout, stderr) => {
+      if (err) reject(new Error(`${name} failed: ${stderr || err.message}`));
+      else resolve();
+    });
+  });
+}
+
+describe('file storage shared by several processes', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiktok-verify-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps every write and leaves no lock or temp files behind', async () => {
+    const names = Array.from({ length: PROCESSES }, (_, i) => `p${i}`);
+    await Promise.all(names.map(name => runChild(dataDir, name)));
+
+    const storage = createFileStorage({ dataDir });
+    const users = await storage.getVerifiedUsers('guild');
+    const connections = await storage.getAllRoleConnections();
+    assert.equal(users.length, PROCESSES * WRITES);
+    assert.equal(Object.keys(connections).length, PROCESSES * WRITES);
+    assert.deepEqual(fs.readdirSync(dataDir).sort(), ['role-connections.json', 'verified-users.json']);
+  });
+
+  it('takes over a lock left behind by a crashed process', async () => {
+    const lockFile = path.join(dataDir, 'verified-users.json.lock');
+    fs.writeFileSync(lockFile, '12345');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockFile, longAgo, longAgo);
+
+    const storage = createFileStorage({ dataDir });
+    await storage.saveVerifiedUser('guild', { discordId: 'after-crash' });
+    assert.deepEqual((await storage.getVerifiedUsers('guild')).map(u => u.discordId), ['after-crash']);
+    assert.equal(fs.existsSync(lockFile), false);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { REDIS_PREFIX, createRedisStorage } = require('../storage/redis');
+const { createRedisMock } = require('./redis-mock');
+
+// migrate() scans the whole keyspace and sets the global schema version, so it only runs against
+// a private in-memory Redis - never the shared REDIS_URL database
+
+const alice = { discordId: 'alice', tiktokUsername: 'alice.tt', verifiedAt: '2024-01-01T00:00:00.000Z' };
+const bob = { discordId: 'bob', tiktokUsername: 'bob', verifiedAt: '2024-02-01T00:00:00.000Z' };
+
+describe('redis storage migrations', () => {
+  let storage;
+  let redis;
+
+  beforeEach(() => {
+    storage = createRedisStorage({ client: createRedisMock() });
+    redis = storage.client;
+  });
+
+  afterEach(() => {
+    redis.disconnect();
+  });
+
+  const setJson = (key, value) => redis.set(`${REDIS_PREFIX}${key}`, JSON.stringify(value));
+
+  it('upgrades unversioned data: per-guild pending keys, per-user hashes and indexes', async () => {
+    await setJson('pending:alice', { guildId: 'g1', code: 'AB-111111', nextCheckAt: 5 });
+    await setJson('pending:orphan', { code: 'AB-999999' }); // No guild to move it to
+    await setJson('verified:g1', [alice, bob]);
+    await setJson('verified:g2', []);
+    await setJson('log:g1', { alice: { status: 'verified', code: 'AB-111111' } });
+    await setJson('config:g1', { verifiedRoleId: 'role' });
+
+    assert.equal(await storage.needsMigration(), true);
+    await storage.migrate();
+    assert.equal(await storage.needsMigration(), false);
+
+    assert.deepEqual(await storage.getPending('g1', 'alice'), { guildId: 'g1', code: 'AB-111111', nextCheckAt: 5, discordId: 'alice' });
+    assert.equal(await redis.exists(`${REDIS_PREFIX}pending:alice`), 0);
+    assert.deepEqual(Object.keys(await storage.getDuePending(10)), ['g1:alice']);
+    assert.equal((await storage.findPendingByCode('g1', 'ab-111111')).discordId, 'alice');
+
+    assert.equal(await redis.type(`${REDIS_PREFIX}verified:g1`), 'hash');
+    assert.deepEqual(await storage.getVerifiedUsers('g1'), [alice, bob]);
+    assert.equal(await redis.exists(`${REDIS_PREFIX}verified:g2`), 0);
+    assert.equal(await redis.type(`${REDIS_PREFIX}log:g1`), 'hash');
+    assert.deepEqual(await storage.getVerificationLogs('g1'), { alice: { status: 'verified', code: 'AB-111111' } });
+    assert.deepEqual(await storage.getGuildConfigs(), { g1: { verifiedRoleId: 'role' } });
+
+    // The converted hashes take per-user writes straight away
+    assert.deepEqual(await storage.mergeVerificationLog('g1', 'alice', { discordName: 'Alice' }), { status: 'verified', code: 'AB-111111', discordName: 'Alice' });
+    assert.equal((await storage.mergeVerifiedUser('g1', 'bob', { followerCount: 5 })).followerCount, 5);
+  });
+
+  it('only builds the indexes for data already on version 2', async () => {
+    await redis.set(`${REDIS_PREFIX}meta:schema_version`, '2');
+    await setJson('pending:g1:alice', { guildId: 'g1', code: 'AB-111111', nextCheckAt: 5 });
+    await redis.hset(`${REDIS_PREFIX}verified:g1`, 'alice', JSON.stringify(alice));
+    await setJson('config:g1', { verifiedRoleId: 'role' });
+
+    await storage.migrate();
+
+    assert.deepEqual(Object.keys(await storage.getGuildPending('g1')), ['g1:alice']);
+    assert.deepEqual(Object.keys(await storage.getGuildConfigs()), ['g1']);
+    assert.deepEqual(await storage.getVerifiedUsers('g1'), [alice]);
+  });
+
+  it('does nothing once the data is current', async () => {
+    await storage.migrate();
+    await setJson('verified:g1', [alice]); // A blob written now would be a bug - migrate() must not rescan
+
+    await storage.migrate();
+    assert.equal(await redis.type(`${REDIS_PREFIX}verified:g1`), 'string');
+  });
+
+  it('keeps parallel writes made right after upgrading', async () => {
+    await setJson('log:g1', { alice: { status: 'pending' } });
+    await storage.migrate();
+
+    const userIds = Array.from({ length: 25 }, (_, i) => `user${i}`);
+    await Promise.all(userIds.flatMap((discordId, i) => [
+      storage.saveVerifiedUser('g1', { discordId, verifiedAt: String(i).padStart(3, '0') }),
+      storage.mergeVerificationLog('g1', discordId, { status: 'verified' }, { createIfMissing: true }),
+      storage.mergeVerificationLog('g1', 'alice', { [`field${i}`]: i }),
+    ]));
+
+    assert.equal((await storage.getVerifiedUsers('g1')).length, userIds.length);
+    const logs = await storage.getVerificationLogs('g1');
+    assert.equal(Object.keys(logs).length, userIds.length + 1);
+    for (let i = 0; i < userIds.length; i++) assert.equal(logs.alice[`field${i}`], i);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../storage/memory');
+const { findImportableVerifications } = require('../trust/import');
+
+const GUILD = 'guild-here';
+const MEMBER = 'member-1';
+
+// One record per trusted guild, made in different ways
+const SOURCES = {
+  'guild-bio': { verifiedVia: 'bio' },
+  'guild-video': { verifiedVia: 'video' },
+  'guild-oauth': { verifiedVia: 'oauth' },
+  'guild-manual': { verifiedVia: 'manual' },
+  'guild-legacy': {},
+  'guild-imported': { verifiedVia: 'bio', importedFrom: 'guild-bio' },
+};
+
+describe('findImportableVerifications', () => {
+  let storage;
+
+  beforeEach(async () => {
+    storage = createMemoryStorage();
+    for (const [guildId, fields] of Object.entries(SOURCES)) {
+      await storage.saveVerifiedUser(guildId, { discordId: MEMBER, tiktokUsername: 'jaime', verifiedAt: '2024-01-01T00:00:00.000Z', ...fields });
+    }
+  });
+
+  const offered = async (trusted, discordId = MEMBER) =>
+    (await findImportableVerifications(storage, GUILD, discordId, trusted)).map(c => c.sourceGuildId);
+
+  it('offers links the member proved with a bio code, a video code or Sign in with TikTok', async () => {
+    assert.deepEqual(await offered(['guild-bio', 'guild-video', 'guild-oauth']), ['guild-bio', 'guild-video', 'guild-oauth']);
+  });
+
+  it('does not offer a manual verify', async () => {
+    assert.deepEqual(await offered(['guild-manual']), []);
+  });
+
+  it('does not offer records that do not say how they were proved', async () => {
+    assert.deepEqual(await offered(['guild-legacy']), []);
+  });
+
+  it('does not offer a record that was itself imported', async () => {
+    assert.deepEqual(await offered(['guild-imported']), []);
+  });
+
+  it('only looks at trusted guilds, never this one, and only at this member', async () => {
+    await storage.saveVerifiedUser(GUILD, { discordId: MEMBER, tiktokUsername: 'jaime', verifiedVia: 'bio' });
+
+    assert.deepEqual(await offered([]), []);
+    assert.deepEqual(await offered([GUILD]), []);
+    assert.deepEqual(await offered(['guild-bio'], 'member-2'), []);
+  });
+});
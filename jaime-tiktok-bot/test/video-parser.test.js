@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseTikTokVideoUrl, parseTikTokVideo, parseTikTokComments, commentsReachBefore } = require('../tiktok/video-parser');
+
+// Saved TikTok video pages and comment list responses (trimmed to the parts the parser reads)
+const readFixture = (dir, name) => fs.readFileSync(path.join(__dirname, 'fixtures', dir, name), 'utf8');
+
+describe('parseTikTokVideoUrl', () => {
+  it('reads the handle and video ID from video and photo links', () => {
+    assert.deepEqual(
+      parseTikTokVideoUrl('https://www.tiktok.com/@jaime.creator/video/7390000000000000123?is_from_webapp=1'),
+      { uniqueId: 'jaime.creator', videoId: '7390000000000000123' }
+    );
+    assert.deepEqual(parseTikTokVideoUrl('tiktok.com/@Old_School/photo/7200000000000000456'), { uniqueId: 'Old_School', videoId: '7200000000000000456' });
+  });
+
+  it('rejects links that are not a video', () => {
+    assert.equal(parseTikTokVideoUrl('https://www.tiktok.com/@jaime.creator'), null);
+    assert.equal(parseTikTokVideoUrl('https://vm.tiktok.com/ZM123abc/'), null);
+    assert.equal(parseTikTokVideoUrl(null), null);
+  });
+});
+
+describe('parseTikTokVideo', () => {
+  it('reads the universal-data (rehydration) format', () => {
+    assert.deepEqual(parseTikTokVideo(readFixture('videos', 'universal-data.html')), {
+      found: true,
+      statusCode: 0,
+      videoId: '7390000000000000123',
+      caption: 'Verify me JAIME-482913 #fyp',
+      authorUniqueId: 'jaime.creator',
+      authorId: '6812345678901234567',
+    });
+  });
+
+  it('reads the older SIGI_STATE format', () => {
+    assert.deepEqual(parseTikTokVideo(readFixture('videos', 'sigi-state.html')), {
+      found: true,
+      statusCode: null,
+      videoId: '7200000000000000456',
+      caption: 'code: jaime-555111',
+      authorUniqueId: 'old.school',
+      authorId: '6700000000000000001',
+    });
+  });
+
+  it('reports a deleted or missing video with its status code', () => {
+    const video = parseTikTokVideo(readFixture('videos', 'not-found.html'));
+    assert.equal(video.found, false);
+    assert.equal(video.statusCode, 10204);
+    assert.equal(video.caption, null);
+  });
+
+  it('returns an empty video for no HTML or an unreadable page', () => {
+    assert.deepEqual(parseTikTokVideo(''), parseTikTokVideo(null));
+    assert.equal(parseTikTokVideo('<html><body>Please wait...</body></html>').found, false);
+  });
+});
+
+describe('parseTikTokComments', () => {
+  it('reads each comment with its author and time, and the paging fields', () => {
+    const page = parseTikTokComments(readFixture('comments', 'newest-first.json'));
+    assert.equal(page.hasMore, true);
+    assert.equal(page.cursor, 3);
+    assert.deepEqual(page.comments[0], {
+      text: 'JAIME-482913',
+      uniqueId: 'jaime.creator',
+      userId: '6812345678901234567',
+      createTime: 1717003600,
+    });
+    assert.deepEqual(page.comments.map(c => c.uniqueId), ['jaime.creator', 'quiet.one', 'broken.page']);
+  });
+
+  it('reads the last page, which has no comments left', () => {
+    assert.deepEqual(parseTikTokComments(readFixture('comments', 'last-page.json')), { comments: [], hasMore: false, cursor: 57 });
+  });
+
+  it('accepts an already-parsed body', () => {
+    const body = JSON.parse(readFixture('comments', 'newest-first.json'));
+    assert.deepEqual(parseTikTokComments(body), parseTikTokComments(readFixture('comments', 'newest-first.json')));
+  });
+
+  it('returns null for anything that is not a comment list', () => {
+    assert.equal(parseTikTokComments('<html>captcha</html>'), null);
+    assert.equal(parseTikTokComments('{"status_code":8}'), null);
+    assert.equal(parseTikTokComments(null), null);
+  });
+});
+
+describe('commentsReachBefore', () => {
+  const newest = parseTikTokComments(readFixture('comments', 'newest-first.json'));
+  const popular = parseTikTokComments(readFixture('comments', 'popular-first.json'));
+
+  it('stops once a newest-first page goes back past the cutoff', () => {
+    assert.equal(commentsReachBefore(newest, 1717001000 * 1000), true);
+  });
+
+  it('keeps paging while the whole page is newer than the cutoff', () => {
+    assert.equal(commentsReachBefore(newest, 1717000000 * 1000), false);
+  });
+
+  it('keeps paging when the page is not in newest-first order', () => {
+    assert.equal(commentsReachBefore(popular, 1717001000 * 1000), false);
+  });
+
+  it('keeps paging without a cutoff, comment times or comments', () => {
+    assert.equal(commentsReachBefore(newest, null), false);
+    const untimed = { ...newest, comments: newest.comments.map(c => ({ ...c, createTime: null })) };
+    assert.equal(commentsReachBefore(untimed, 1717001000 * 1000), false);
+    assert.equal(commentsReachBefore({ comments: [], hasMore: true, cursor: 0 }, 1717001000 * 1000), false);
+  });
+});
@@ -0,0 +1,117 @@
+// Shared worker pool for TikTok profile fetches
+// Every fetch (quick checks, background job, admin tools) goes through one pool so that:
+//   - at most `concurrency` requests are in flight at once
+//   - each upstream (direct, proxy, ScraperAPI) has its own token bucket rate limit
+//   - concurrent requests for the same key (e.g. the same username) share one fetch
+
+// Token bucket: holds up to `burst` tokens, refilled at `perMinute` tokens per minute
+function createTokenBucket({ perMinute, burst }) {
+  const capacity = Math.max(1, burst);
+  const refillPerMs = perMinute / 60000;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - updatedAt) * refillPerMs);
+    updatedAt = now;
+  }
+
+  return {
+    // Take a token if one is available; otherwise return how many ms until one will be
+    tryTake() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - tokens) / refillPerMs);
+    },
+
+    available() {
+      refill();
+      return Math.floor(tokens);
+    },
+  };
+}
+
+// rateLimits: { upstreamName: requestsPerMinute } - upstreams not listed are only bounded by concurrency
+function createFetchPool({ concurrency = 3, rateLimits = {} } = {}) {
+  const buckets = new Map();
+  for (const [upstream, perMinute] of Object.entries(rateLimits)) {
+    if (perMinute > 0) buckets.set(upstream, createTokenBucket({ perMinute, burst: concurrency }));
+  }
+
+  const queue = [];          // [{ upstream, task, resolve, reject }]
+  const inFlight = new Map(); // dedupeKey -> promise
+  let active = 0;
+  let wakeTimer = null;
+  const stats = { completed: 0, deduped: 0, rateLimitedWaits: 0 };
+
+  // Start as many queued jobs as concurrency and rate limits allow
+  // Jobs for a throttled upstream don't block jobs for other upstreams behind them
+  function pump() {
+    if (wakeTimer) {
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+    }
+
+    let nextWake = Infinity;
+    for (let i = 0; i < queue.length && active < concurrency;) {
+      const bucket = buckets.get(queue[i].upstream);
+      const waitMs = bucket ? bucket.tryTake() : 0;
+      if (waitMs > 0) {
+        nextWake = Math.min(nextWake, waitMs);
+        i++;
+        continue;
+      }
+
+      const [job] = queue.splice(i, 1);
+      active++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active--;
+          stats.completed++;
+          pump();
+        });
+    }
+
+    if (queue.length > 0 && active < concurrency && nextWake !== Infinity) {
+      stats.rateLimitedWaits++;
+      wakeTimer = setTimeout(pump, nextWake);
+    }
+  }
+
+  return {
+    // Queue task() on the given upstream; callers passing the same dedupeKey while it's queued
+    // or running get the same promise instead of a second request
+    run(upstream, dedupeKey, task) {
+      if (dedupeKey && inFlight.has(dedupeKey)) {
+        stats.deduped++;
+        return inFlight.get(dedupeKey);
+      }
+
+      const promise = new Promise((resolve, reject) => {
+        queue.push({ upstream, task, resolve, reject });
+        pump();
+      });
+
+      if (dedupeKey) {
+        inFlight.set(dedupeKey, promise);
+        const clear = () => inFlight.delete(dedupeKey);
+        promise.then(clear, clear);
+      }
+      return promise;
+    },
+
+    getStats() {
+      const tokens = {};
+      for (const [upstream, bucket] of buckets.entries()) tokens[upstream] = bucket.available();
+      return { ...stats, concurrency, active, queued: queue.length, tokens };
+    },
+  };
+}
+
+module.exports = { createFetchPool, createTokenBucket };
@@ -0,0 +1,114 @@
+// TikTok Login Kit (OAuth 2.0) - "Sign in with TikTok" as a verification method
+// Shared by the bot (builds the sign-in link) and server.js (runs the OAuth flow).
+//
+// Flow:
+//   1. Bot saves a pending record { proofMethod: 'oauth', oauthNonce } and gives the member a link to
+//      <PUBLIC_URL>/tiktok/login?guild=&user=&nonce=
+//   2. server.js checks the nonce against the pending record and redirects to TikTok's authorize page
+//   3. TikTok redirects back to /tiktok/callback; server.js swaps the code for a token, reads the
+//      user's profile and writes { oauth: { openId, username, ... } } onto the pending record
+//   4. The bot sees the completed record ("Verify Now" or the background job) and gives the role
+//
+// Endpoints come from env so the whole flow can run against scripts/mock-tiktok-oauth.js.
+
+const DEFAULT_ENDPOINTS = {
+  authorizeUrl: 'https://www.tiktok.com/v2/auth/authorize/',
+  tokenUrl: 'https://open.tiktokapis.com/v2/oauth/token/',
+  userInfoUrl: 'https://open.tiktokapis.com/v2/user/info/',
+};
+
+// basic = open_id/display name, profile = username, stats = follower/video counts
+const SCOPES = 'user.info.basic,user.info.profile,user.info.stats';
+const USER_INFO_FIELDS = 'open_id,union_id,username,display_name,follower_count,video_count';
+
+// How long a sign-in link stays usable
+const LOGIN_LINK_TTL_MS = 30 * 60 * 1000;
+
+function getTikTokLoginConfig(env = process.env) {
+  const port = env.PORT || 3000;
+  return {
+    clientKey: env.TIKTOK_CLIENT_KEY || null,
+    clientSecret: env.TIKTOK_CLIENT_SECRET || null,
+    publicUrl: (env.PUBLIC_URL || '').replace(/\/+$/, '') || null,
+    redirectUri: env.TIKTOK_REDIRECT_URI || `${(env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, '')}/tiktok/callback`,
+    authorizeUrl: env.TIKTOK_AUTHORIZE_URL || DEFAULT_ENDPOINTS.authorizeUrl,
+    tokenUrl: env.TIKTOK_TOKEN_URL || DEFAULT_ENDPOINTS.tokenUrl,
+    userInfoUrl: env.TIKTOK_USER_INFO_URL || DEFAULT_ENDPOINTS.userInfoUrl,
+  };
+}
+
+// The bot only needs to know where to send members; the server also needs the secret
+function isTikTokLoginConfigured(config = getTikTokLoginConfig()) {
+  return Boolean(config.clientKey && config.publicUrl);
+}
+
+// Link the bot hands out - the nonce ties it to one pending record
+function buildLoginLink(config, { guildId, discordId, nonce }) {
+  const params = new URLSearchParams({ guild: guildId, user: discordId, nonce });
+  return `${config.publicUrl}/tiktok/login?${params}`;
+}
+
+function buildAuthorizeUrl(config, state) {
+  const params = new URLSearchParams({
+    client_key: config.clientKey,
+    response_type: 'code',
+    scope: SCOPES,
+    redirect_uri: config.redirectUri,
+    state,
+  });
+  return `${config.authorizeUrl}?${params}`;
+}
+
+// Swap the authorization code for an access token
+// Returns { accessToken, openId }; throws with TikTok's error description on failure
+async function exchangeCode(config, code) {
+  const response = await fetch(config.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_key: config.clientKey,
+      client_secret: config.clientSecret,
+      code,
+      grant_type: 'authorization_code',
+      redirect_uri: config.redirectUri,
+    }),
+  });
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok || tokens.error || !tokens.access_token) {
+    throw new Error(`TikTok token exchange failed: ${tokens.error_description || tokens.error || response.status}`);
+  }
+  return { accessToken: tokens.access_token, openId: tokens.open_id || null };
+}
+
+// Read the signed-in user's profile
+// Returns { openId, unionId, username, displayName, followerCount, videoCount }
+async function fetchUserInfo(config, accessToken) {
+  const response = await fetch(`${config.userInfoUrl}?fields=${USER_INFO_FIELDS}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  const body = await response.json().catch(() => ({}));
+  // TikTok reports success as error.code === 'ok'
+  if (!response.ok || (body.error && body.error.code !== 'ok') || !body.data?.user) {
+    throw new Error(`TikTok user info failed: ${body.error?.message || body.error?.code || response.status}`);
+  }
+  const user = body.data.user;
+  if (!user.username) throw new Error('TikTok user info has no username (is the user.info.profile scope approved?)');
+  return {
+    openId: user.open_id || null,
+    unionId: user.union_id || null,
+    username: user.username,
+    displayName: user.display_name || null,
+    followerCount: Number.isFinite(user.follower_count) ? user.follower_count : null,
+    videoCount: Number.isFinite(user.video_count) ? user.video_count : null,
+  };
+}
+
+module.exports = {
+  LOGIN_LINK_TTL_MS,
+  getTikTokLoginConfig,
+  isTikTokLoginConfigured,
+  buildLoginLink,
+  buildAuthorizeUrl,
+  exchangeCode,
+  fetchUserInfo,
+};
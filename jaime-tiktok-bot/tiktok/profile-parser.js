@@ -0,0 +1,221 @@
+// TikTok profile page parser
+// Pure function of the page HTML - no fetching, no logging - so markup changes can be handled in one place.
+//
+// Known page formats, tried in order:
+//   1. <script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"> JSON - current web app
+//      __DEFAULT_SCOPE__['webapp.user-detail'] = { statusCode, userInfo: { user, stats } }
+//   2. <script id="SIGI_STATE"> JSON - older web app
+//      UserModule.users[uniqueId] = user, UserModule.stats[uniqueId] = stats
+//   3. Bare "key":"value" regexes over the raw HTML - last resort when the JSON won't parse
+//
+// statusCode 10221 means TikTok couldn't find the account (never existed, deleted or banned).
+
+const NOT_FOUND_STATUS_CODES = new Set([10221]);
+
+const EMPTY_PROFILE = {
+  found: false,           // The page contained profile data
+  accountNotFound: false, // TikTok says the account doesn't exist (or is banned)
+  statusCode: null,
+  source: null,           // 'rehydration' | 'sigi' | 'regex'
+  userId: null,
+  secUid: null,
+  uniqueId: null,
+  nickname: null,
+  signature: null,        // Bio text ('' when the bio is empty, null when it couldn't be read)
+  privateAccount: null,
+  verified: null,
+  followerCount: null,
+  followingCount: null,
+  videoCount: null,
+  heartCount: null,
+  createTime: null,       // Account creation time (unix seconds) when TikTok includes it
+};
+
+function readScriptJson(html, id) {
+  const match = html.match(new RegExp(`<script[^>]*id="${id}"[^>]*>([^<]+)</script>`));
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    return null;
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Map TikTok's user + stats objects onto our profile shape
+function fromUserObjects(user = {}, stats = {}) {
+  return {
+    userId: user.id ? String(user.id) : null,
+    secUid: user.secUid || null,
+    uniqueId: user.uniqueId || null,
+    nickname: user.nickname ?? null,
+    signature: typeof user.signature === 'string' ? user.signature : null,
+    // `secret` is the older name for the private-account flag
+    privateAccount: typeof user.privateAccount === 'boolean' ? user.privateAccount
+      : typeof user.secret === 'boolean' ? user.secret : null,
+    verified: typeof user.verified === 'boolean' ? user.verified : null,
+    followerCount: toNumber(stats.followerCount),
+    followingCount: toNumber(stats.followingCount),
+    videoCount: toNumber(stats.videoCount),
+    heartCount: toNumber(stats.heartCount ?? stats.heart),
+    createTime: toNumber(user.createTime),
+  };
+}
+
+function parseRehydration(html) {
+  const data = readScriptJson(html, '__UNIVERSAL_DATA_FOR_REHYDRATION__');
+  const detail = data?.__DEFAULT_SCOPE__?.['webapp.user-detail'];
+  if (!detail) return null;
+
+  const statusCode = toNumber(detail.statusCode);
+  if (!detail.userInfo?.user) return { statusCode };
+  return { statusCode, source: 'rehydration', ...fromUserObjects(detail.userInfo.user, detail.userInfo.stats) };
+}
+
+function parseSigiState(html) {
+  const data = readScriptJson(html, 'SIGI_STATE');
+  const users = data?.UserModule?.users;
+  if (!users) return null;
+
+  const key = Object.keys(users)[0];
+  if (!key) return null;
+  const statusCode = toNumber(data?.UserPage?.statusCode);
+  return { statusCode, source: 'sigi', ...fromUserObjects(users[key], data.UserModule.stats?.[key]) };
+}
+
+// Undo JSON string escaping for values pulled out with a regex
+function unescapeJsonString(value) {
+  try {
+    return JSON.parse(`"${value}"`);
+  } catch (err) {
+    return value
+      .replace(/\\u([\dA-Fa-f]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/\\n/g, '\n')
+      .replace(/\\"/g, '"')
+      .replace(/\\\\/g, '\\');
+  }
+}
+
+// The JSON object literal around position `index` in a (possibly broken) blob, or null if it never closes
+// String-aware, so braces inside bios and nicknames don't count
+function enclosingObject(text, index) {
+  const opens = [];
+  let start = null;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    if (i === index) {
+      if (opens.length === 0) return null;
+      start = opens[opens.length - 1];
+    }
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      opens.push(i);
+    } else if (ch === '}') {
+      if (opens.pop() === start && start !== null) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+// A "key":"value" string that belongs to the object itself, not to one nested inside it
+function ownStringField(objectText, key) {
+  const pattern = new RegExp(`"${key}":"((?:[^"\\\\]|\\\\.)*)"`, 'g');
+  for (const match of objectText.matchAll(pattern)) {
+    if (enclosingObject(objectText, match.index) === objectText) return unescapeJsonString(match[1]);
+  }
+  return null;
+}
+
+// The profile owner's user ID: the "id" on the same object as the first uniqueId, searched within that <script>
+function findOwnerId(html) {
+  const ownerIndex = html.search(/"uniqueId":"/);
+  if (ownerIndex < 0) return null;
+  const scriptStart = html.lastIndexOf('<script', ownerIndex);
+  const from = scriptStart >= 0 ? html.indexOf('>', scriptStart) + 1 : 0;
+  const scriptEnd = html.indexOf('</script>', ownerIndex);
+  const script = html.slice(from, scriptEnd >= 0 ? scriptEnd : html.length);
+  const owner = enclosingObject(script, ownerIndex - from);
+  return owner ? ownStringField(owner, 'id') : null;
+}
+
+function parseRegexFallback(html) {
+  const string = (key) => {
+    const match = html.match(new RegExp(`"${key}":"((?:[^"\\\\]|\\\\.)*)"`));
+    return match ? unescapeJsonString(match[1]) : null;
+  };
+  const number = (key) => toNumber(html.match(new RegExp(`"${key}":(\\d+)`))?.[1]);
+  const bool = (key) => {
+    const match = html.match(new RegExp(`"${key}":(true|false)`));
+    return match ? match[1] === 'true' : null;
+  };
+
+  const signature = string('signature');
+  const uniqueId = string('uniqueId');
+  if (signature === null && uniqueId === null) return null;
+
+  // Pages hold plenty of other "id"s (videos, music, the viewer) - only trust the one next to the uniqueId,
+  // and only if it looks like a TikTok user ID
+  const userId = findOwnerId(html);
+
+  const privateAccount = bool('privateAccount');
+  return {
+    source: 'regex',
+    userId: userId && /^\d+$/.test(userId) ? userId : null,
+    secUid: string('secUid'),
+    uniqueId,
+    nickname: string('nickname'),
+    signature,
+    privateAccount: privateAccount !== null ? privateAccount : bool('secret'),
+    verified: bool('verified'),
+    followerCount: number('followerCount'),
+    followingCount: number('followingCount'),
+    videoCount: number('videoCount'),
+    heartCount: number('heartCount'),
+    createTime: number('createTime'),
+  };
+}
+
+// Parse a TikTok profile page into a structured profile (see EMPTY_PROFILE for the fields)
+function parseTikTokProfile(html) {
+  if (!html) return { ...EMPTY_PROFILE };
+
+  const rehydration = parseRehydration(html);
+  let statusCode = rehydration?.statusCode ?? null;
+  if (statusCode === null) {
+    const statusMatch = html.match(/"webapp\.user-detail":\s*\{"statusCode":(\d+)/);
+    statusCode = statusMatch ? toNumber(statusMatch[1]) : null;
+  }
+  if (statusCode !== null && NOT_FOUND_STATUS_CODES.has(statusCode)) {
+    return { ...EMPTY_PROFILE, accountNotFound: true, statusCode };
+  }
+
+  const parsed = (rehydration?.source && rehydration) || parseSigiState(html) || parseRegexFallback(html);
+  if (!parsed) return { ...EMPTY_PROFILE, statusCode };
+
+  return { ...EMPTY_PROFILE, ...parsed, found: true, statusCode: parsed.statusCode ?? statusCode };
+}
+
+// When the TikTok account was created (ms), or null if unknown
+// Works on a parsed profile or anything with a userId (e.g. a verified record's tiktokUserId).
+// Pages don't always include createTime, but TikTok user IDs carry their creation time (unix seconds) in the top 32 bits
+function getTikTokAccountCreatedAt(profile) {
+  if (profile?.createTime) return profile.createTime * 1000;
+  if (!profile?.userId || !/^\d+$/.test(profile.userId)) return null;
+  const seconds = Number(BigInt(profile.userId) >> 32n);
+  const createdAt = seconds * 1000;
+  // IDs from before TikTok used this format decode to nonsense - ignore anything outside TikTok's lifetime
+  if (createdAt < Date.UTC(2016, 0, 1) || createdAt > Date.now()) return null;
+  return createdAt;
+}
+
+module.exports = { parseTikTokProfile, getTikTokAccountCreatedAt };
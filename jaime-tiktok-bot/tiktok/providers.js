@@ -0,0 +1,130 @@
+const { ProxyAgent, fetch: undiciFetch } = require('undici');
+
+// TikTok fetcher providers
+// Each provider knows how to turn a tiktok.com profile URL into a fetch Response:
+//   { name, configured, request(tiktokUrl, headers) -> Response }
+// name doubles as the fetch pool upstream, so every provider gets its own rate limit
+
+// fetch() with an abort timeout
+async function fetchWithTimeout(url, options, timeoutMs, fetchImpl = fetch) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetchImpl(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Plain request from the bot's own IP
+function createDirectProvider() {
+  return {
+    name: 'direct',
+    configured: true,
+    request(tiktokUrl, headers) {
+      return fetchWithTimeout(tiktokUrl, { headers }, 10000);
+    },
+  };
+}
+
+// Same request, routed through PROXY_URL (e.g. a rotating residential proxy)
+// fetch() ignores Node `agent`s - the proxy goes in as an undici dispatcher, using undici's own fetch so the
+// dispatcher and fetch always come from the same undici version
+function createProxyProvider(proxyUrl) {
+  let dispatcher = null;
+  return {
+    name: 'proxy',
+    configured: Boolean(proxyUrl),
+    request(tiktokUrl, headers) {
+      if (!dispatcher) dispatcher = new ProxyAgent(proxyUrl);
+      return fetchWithTimeout(tiktokUrl, { headers, dispatcher }, 10000, undiciFetch);
+    },
+  };
+}
+
+// ScraperAPI handles anti-bot, headers, proxies, etc. - costs credits, so it goes last by default
+function createScraperApiProvider(apiKey) {
+  return {
+    name: 'scraperapi',
+    configured: Boolean(apiKey),
+    request(tiktokUrl) {
+      const url = `https://api.scraperapi.com/?api_key=${apiKey}&url=${encodeURIComponent(tiktokUrl)}&render=false`;
+      return fetchWithTimeout(url, {}, 15000);
+    },
+  };
+}
+
+// Ordered failover across providers with per-provider stats
+// A provider is marked unhealthy after `failureThreshold` consecutive failures and skipped
+// until a success (usually from the health check) marks it healthy again
+function createProviderChain(providers, { failureThreshold = 3 } = {}) {
+  const configured = providers.filter(p => p.configured);
+  const stats = new Map(configured.map(p => [p.name, {
+    healthy: true,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+  }]));
+
+  return {
+    providers: configured,
+
+    // Healthy providers in configured order, then unhealthy ones as a last resort
+    ordered() {
+      const healthy = configured.filter(p => stats.get(p.name).healthy);
+      const unhealthy = configured.filter(p => !stats.get(p.name).healthy);
+      return [...healthy, ...unhealthy];
+    },
+
+    recordSuccess(name) {
+      const s = stats.get(name);
+      if (!s) return;
+      if (!s.healthy) console.log(`[Providers] ${name} recovered - moving back to it`);
+      s.healthy = true;
+      s.successes++;
+      s.consecutiveFailures = 0;
+      s.lastSuccessAt = new Date().toISOString();
+    },
+
+    recordFailure(name, error) {
+      const s = stats.get(name);
+      if (!s) return;
+      s.failures++;
+      s.consecutiveFailures++;
+      s.lastFailureAt = new Date().toISOString();
+      s.lastError = error;
+      if (s.healthy && s.consecutiveFailures >= failureThreshold) {
+        s.healthy = false;
+        console.error(`[Providers] ${name} marked unhealthy after ${s.consecutiveFailures} failures (${error}) - failing over`);
+      }
+    },
+
+    getStats() {
+      return configured.map(p => ({ name: p.name, ...stats.get(p.name) }));
+    },
+  };
+}
+
+// Build the provider chain from env config
+// TIKTOK_PROVIDER_ORDER overrides the default direct -> proxy -> ScraperAPI order
+function createTikTokProviders({
+  proxyUrl = process.env.PROXY_URL,
+  scraperApiKey = process.env.SCRAPER_API_KEY,
+  order = process.env.TIKTOK_PROVIDER_ORDER,
+} = {}) {
+  const available = {
+    direct: createDirectProvider(),
+    proxy: createProxyProvider(proxyUrl),
+    scraperapi: createScraperApiProvider(scraperApiKey),
+  };
+  const names = (order || 'direct,proxy,scraperapi').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (!available[name]) throw new Error(`Unknown TikTok provider "${name}" in TIKTOK_PROVIDER_ORDER`);
+  }
+  return createProviderChain(names.map(name => available[name]));
+}
+
+module.exports = { createTikTokProviders };
@@ -0,0 +1,101 @@
+// TikTok Research API - used for the "follows a creator" verification requirement
+// Neither the public profile page nor Login Kit's scopes say who an account follows; the Research API's
+// user/following endpoint does. It needs a TikTok app approved for the Research API (separate from a Login Kit
+// app) and uses an app-level client-credentials token, so members don't have to sign in for it.
+//
+// Endpoints come from env so the check can run against scripts/mock-tiktok-oauth.js.
+
+const DEFAULT_ENDPOINTS = {
+  tokenUrl: 'https://open.tiktokapis.com/v2/oauth/token/',
+  followingUrl: 'https://open.tiktokapis.com/v2/research/user/following/',
+};
+
+// The endpoint returns at most 100 accounts per page - stop after this many pages (1,000 accounts) to
+// stay inside the Research API's daily request quota
+const FOLLOWING_PAGE_SIZE = 100;
+const MAX_FOLLOWING_PAGES = 10;
+
+// Refresh the client token a minute before TikTok expires it
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+function getTikTokResearchConfig(env = process.env) {
+  return {
+    clientKey: env.TIKTOK_RESEARCH_CLIENT_KEY || null,
+    clientSecret: env.TIKTOK_RESEARCH_CLIENT_SECRET || null,
+    tokenUrl: env.TIKTOK_RESEARCH_TOKEN_URL || DEFAULT_ENDPOINTS.tokenUrl,
+    followingUrl: env.TIKTOK_RESEARCH_FOLLOWING_URL || DEFAULT_ENDPOINTS.followingUrl,
+  };
+}
+
+function isTikTokResearchConfigured(config = getTikTokResearchConfig()) {
+  return Boolean(config.clientKey && config.clientSecret);
+}
+
+// Checks whether one account follows another
+// follows(username, creatorUsername) -> { follows: true|false, complete } - complete is false when the member
+// follows more accounts than we page through and the creator wasn't among them
+// Throws with TikTok's error message when the list can't be read (e.g. the member's following list is private)
+function createFollowingChecker(config = getTikTokResearchConfig()) {
+  let token = null;
+
+  async function getClientToken() {
+    if (token && token.expiresAt > Date.now()) return token.accessToken;
+    const response = await fetch(config.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_key: config.clientKey,
+        client_secret: config.clientSecret,
+        grant_type: 'client_credentials',
+      }),
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error || !body.access_token) {
+      throw new Error(`TikTok client token failed: ${body.error_description || body.error || response.status}`);
+    }
+    token = {
+      accessToken: body.access_token,
+      expiresAt: Date.now() + (body.expires_in || 0) * 1000 - TOKEN_EXPIRY_MARGIN_MS,
+    };
+    return token.accessToken;
+  }
+
+  async function fetchFollowingPage(username, cursor) {
+    const response = await fetch(`${config.followingUrl}?fields=username`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${await getClientToken()}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, max_count: FOLLOWING_PAGE_SIZE, cursor }),
+    });
+    const body = await response.json().catch(() => ({}));
+    // TikTok reports success as error.code === 'ok'
+    if (!response.ok || (body.error && body.error.code !== 'ok') || !body.data) {
+      if (response.status === 401) token = null;
+      throw new Error(`TikTok following list failed: ${body.error?.message || body.error?.code || response.status}`);
+    }
+    return body.data;
+  }
+
+  return {
+    async follows(username, creatorUsername) {
+      const wanted = creatorUsername.toLowerCase();
+      let cursor = 0;
+      for (let page = 0; page < MAX_FOLLOWING_PAGES; page++) {
+        const data = await fetchFollowingPage(username, cursor);
+        if ((data.user_following || []).some(u => (u.username || '').toLowerCase() === wanted)) {
+          return { follows: true, complete: true };
+        }
+        if (!data.has_more) return { follows: false, complete: true };
+        cursor = data.cursor;
+      }
+      return { follows: false, complete: false };
+    },
+  };
+}
+
+module.exports = {
+  MAX_FOLLOWING_PAGES,
+  FOLLOWING_PAGE_SIZE,
+  getTikTokResearchConfig,
+  isTikTokResearchConfigured,
+  createFollowingChecker,
+};
@@ -0,0 +1,115 @@
+// TikTok video page and comment list parsers
+// Pure functions - no fetching, no logging - like profile-parser.js.
+//
+// Video pages (https://www.tiktok.com/@user/video/<id>), tried in order:
+//   1. <script id="__UNIVERSAL_DATA_FOR_REHYDRATION__"> JSON
+//      __DEFAULT_SCOPE__['webapp.video-detail'] = { statusCode, itemInfo: { itemStruct: { id, desc, author } } }
+//   2. <script id="SIGI_STATE"> JSON - ItemModule[id] = { id, desc, author (uniqueId), authorId }
+//
+// Comments aren't in the page HTML; they come from the web app's JSON endpoint
+// (/api/comment/list/?aweme_id=<id>) as { comments: [{ text, create_time, user: { unique_id, uid } }], has_more, cursor }.
+
+const EMPTY_VIDEO = {
+  found: false,
+  statusCode: null,
+  videoId: null,
+  caption: null,
+  authorUniqueId: null,
+  authorId: null,
+};
+
+function readScriptJson(html, id) {
+  const match = html.match(new RegExp(`<script[^>]*id="${id}"[^>]*>([^<]+)</script>`));
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Pull the video ID out of a TikTok video URL (https://www.tiktok.com/@user/video/123...)
+function parseTikTokVideoUrl(url) {
+  const match = (url || '').match(/tiktok\.com\/@([a-zA-Z0-9_.]+)\/(?:video|photo)\/(\d+)/i);
+  return match ? { uniqueId: match[1], videoId: match[2] } : null;
+}
+
+function parseRehydration(html) {
+  const data = readScriptJson(html, '__UNIVERSAL_DATA_FOR_REHYDRATION__');
+  const detail = data?.__DEFAULT_SCOPE__?.['webapp.video-detail'];
+  if (!detail) return null;
+
+  const item = detail.itemInfo?.itemStruct;
+  const statusCode = Number.isFinite(Number(detail.statusCode)) ? Number(detail.statusCode) : null;
+  if (!item) return { statusCode };
+  return {
+    statusCode,
+    videoId: item.id ? String(item.id) : null,
+    caption: typeof item.desc === 'string' ? item.desc : null,
+    authorUniqueId: item.author?.uniqueId || null,
+    authorId: item.author?.id ? String(item.author.id) : null,
+  };
+}
+
+function parseSigiState(html) {
+  const data = readScriptJson(html, 'SIGI_STATE');
+  const items = data?.ItemModule;
+  if (!items) return null;
+
+  const item = items[Object.keys(items)[0]];
+  if (!item) return null;
+  return {
+    statusCode: null,
+    videoId: item.id ? String(item.id) : null,
+    caption: typeof item.desc === 'string' ? item.desc : null,
+    authorUniqueId: typeof item.author === 'string' ? item.author : item.author?.uniqueId || null,
+    authorId: item.authorId ? String(item.authorId) : null,
+  };
+}
+
+// Parse a TikTok video page (see EMPTY_VIDEO for the fields)
+function parseTikTokVideo(html) {
+  if (!html) return { ...EMPTY_VIDEO };
+
+  const parsed = parseRehydration(html);
+  if (parsed?.videoId) return { ...EMPTY_VIDEO, ...parsed, found: true };
+
+  const sigi = parseSigiState(html);
+  if (sigi?.videoId) return { ...EMPTY_VIDEO, ...sigi, found: true };
+
+  return { ...EMPTY_VIDEO, statusCode: parsed?.statusCode ?? null };
+}
+
+// Parse one page of the comment list endpoint
+// Returns { comments: [{ text, uniqueId, userId, createTime }], hasMore, cursor }, or null if it isn't a comment list
+// createTime is unix seconds, or null if the comment doesn't say
+function parseTikTokComments(body) {
+  let data;
+  try {
+    data = typeof body === 'string' ? JSON.parse(body) : body;
+  } catch (err) {
+    return null;
+  }
+  if (!data || !('comments' in data)) return null;
+
+  const comments = (data.comments || []).map(c => ({
+    text: typeof c.text === 'string' ? c.text : '',
+    uniqueId: c.user?.unique_id || null,
+    userId: c.user?.uid ? String(c.user.uid) : null,
+    createTime: Number(c.create_time) > 0 ? Number(c.create_time) : null,
+  }));
+  return { comments, hasMore: Boolean(data.has_more), cursor: Number(data.cursor) || 0 };
+}
+
+// Whether a page of comments reaches back past `since` (ms) - later pages can then only hold older comments
+// Only trusted when the page really is newest first; any other order (or a missing time) means keep paging
+function commentsReachBefore(page, since) {
+  const times = page.comments.map(c => c.createTime);
+  if (!since || times.length === 0 || times.some(t => t == null)) return false;
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) return false;
+  }
+  return times[times.length - 1] * 1000 < since;
+}
+
+module.exports = { parseTikTokVideoUrl, parseTikTokVideo, parseTikTokComments, commentsReachBefore };
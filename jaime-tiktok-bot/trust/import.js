@@ -0,0 +1,32 @@
+// Importing a verification from a partner server (/trusted-guilds)
+// Only links the member proved to the bot themselves are offered: a bio or video code, or Sign in with TikTok.
+// Manual verifies (and older records that don't say how they were made) stay in the server that made them,
+// and imported records are skipped so a link can't hop along a chain of trust.
+
+const IMPORTABLE_PROOFS = ['bio', 'video', 'oauth'];
+
+function isImportableRecord(record) {
+  return Boolean(record?.tiktokUsername) && !record.importedFrom && IMPORTABLE_PROOFS.includes(record.verifiedVia);
+}
+
+// The member's importable verifications in the trusted guilds -> [{ sourceGuildId, record }]
+async function findImportableVerifications(storage, guildId, discordId, trustedGuildIds) {
+  const candidates = [];
+  for (const sourceGuildId of trustedGuildIds) {
+    if (sourceGuildId === guildId) continue;
+    try {
+      const users = await storage.getVerifiedUsers(sourceGuildId);
+      const record = users.find(u => u.discordId === discordId);
+      if (isImportableRecord(record)) candidates.push({ sourceGuildId, record });
+    } catch (err) {
+      console.error(`[Import] Error reading verified users for ${sourceGuildId}:`, err.message);
+    }
+  }
+  return candidates;
+}
+
+module.exports = {
+  IMPORTABLE_PROOFS,
+  isImportableRecord,
+  findImportableVerifications,
+};